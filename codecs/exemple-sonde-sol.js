@@ -0,0 +1,31 @@
+// ============================================================================
+// 🧩 CODEC PERSONNALISÉ - EXEMPLE SONDE DE SOL LORA
+// ============================================================================
+// Chargé automatiquement au démarrage (ou via POST /api/codecs/reload).
+// Trame de 5 octets:
+// - [0..1] température du sol, int16 big-endian, /100 (°C)
+// - [2..3] humidité du sol, uint16 big-endian, /10 (%)
+// - [4]    tension batterie, uint8, /10 (V)
+//
+// decode(bytes, context):
+// - bytes: Buffer (champ "data" ChirpStack décodé, payload hex ou binaire)
+// - context: { topic, text, json, buffer }
+// Retourne un objet dont les champs sont sélectionnés par le JSONPath du capteur.
+
+module.exports = {
+    name: 'exemple_sonde_sol',
+    label: 'Exemple sonde de sol (5 octets)',
+    description: 'soil_temperature_c, soil_moisture_percent, battery_v',
+
+    decode(bytes) {
+        if (bytes.length < 5) {
+            throw new Error(`Trame sonde de sol trop courte: ${bytes.length} octets`);
+        }
+
+        return {
+            soil_temperature_c: bytes.readInt16BE(0) / 100,
+            soil_moisture_percent: bytes.readUInt16BE(2) / 10,
+            battery_v: bytes.readUInt8(4) / 10
+        };
+    }
+};
@@ -0,0 +1,234 @@
+// ============================================================================
+// 🔌 SIMULATEUR MODBUS TCP - AUTOMATE DE POMPAGE + COMPTEUR D'ÉNERGIE
+// ============================================================================
+// Usage: node scripts/modbus-simulator.js [port]   (défaut 5020, tous les unit ID)
+// Permet de tester le pilote Modbus de la station sans matériel.
+//
+// Bobines (FC1 lecture, FC5/FC15 écriture):
+// - 0: pompe (marche/arrêt)
+// - 1: vanne de remplissage
+// Entrées TOR (FC2):
+// - 0: flotteur niveau haut (réservoir plein)
+// - 1: défaut pompe (marche à sec, réservoir vide)
+// Registres holding (FC3 lecture, FC6/FC16 écriture):
+// - 0: état pompe (0/1)
+// - 1: courant pompe, uint16, /100 (A)
+// - 2: pression refoulement, uint16, /100 (bar)
+// - 3-4: débit, float32 mots big-endian (m³/h)
+// - 5: niveau du réservoir, uint16, /10 (%)
+// - 10: consigne de vitesse pompe, uint16 (%) - modifiable
+// Registres input (FC4) du compteur d'énergie:
+// - 0-1: tension, float32 mots big-endian (V)
+// - 2-3: puissance active, float32 mots big-endian (W)
+// - 4-5: énergie, uint32 mots big-endian (Wh)
+// - 6: température armoire, int16, /10 (°C)
+
+const net = require('net');
+
+const PORT = parseInt(process.argv[2]) || 5020;
+const TABLE_SIZE = 100;
+
+const coils = new Array(TABLE_SIZE).fill(0);
+const discreteInputs = new Array(TABLE_SIZE).fill(0);
+const holdingRegisters = new Array(TABLE_SIZE).fill(0);
+const inputRegisters = new Array(TABLE_SIZE).fill(0);
+
+const state = {
+    level: 62, // %
+    energyWh: 152340,
+    speed: 80 // Consigne de vitesse (%)
+};
+holdingRegisters[10] = state.speed;
+
+function writeFloat32(table, address, value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeFloatBE(value, 0);
+    table[address] = buffer.readUInt16BE(0);
+    table[address + 1] = buffer.readUInt16BE(2);
+}
+
+function writeUInt32(table, address, value) {
+    table[address] = Math.floor(value / 0x10000) & 0xFFFF;
+    table[address + 1] = value & 0xFFFF;
+}
+
+function noise(amplitude) {
+    return (Math.random() - 0.5) * 2 * amplitude;
+}
+
+/**
+ * Évolution du procédé (une fois par seconde)
+ */
+function updateProcess() {
+    state.speed = holdingRegisters[10];
+    const pumpOn = coils[0] === 1;
+    const valveOpen = coils[1] === 1;
+    const speedRatio = Math.min(Math.max(state.speed, 0), 100) / 100;
+
+    if (pumpOn) state.level -= 0.4 * speedRatio;
+    if (valveOpen) state.level += 0.6;
+    state.level = Math.min(Math.max(state.level, 0), 100);
+
+    // Marche à sec: la pompe se met en défaut et s'arrête
+    const fault = pumpOn && state.level <= 0;
+    if (fault) {
+        coils[0] = 0;
+        console.log('⚠️ Défaut pompe: réservoir vide, arrêt');
+    }
+    discreteInputs[1] = fault ? 1 : 0;
+    discreteInputs[0] = state.level >= 98 ? 1 : 0;
+
+    const running = coils[0] === 1;
+    const flow = running ? 12 * speedRatio + noise(0.3) : 0;
+    const power = running ? 1800 * speedRatio + noise(40) : 15 + noise(2);
+    state.energyWh += power / 3600;
+
+    holdingRegisters[0] = running ? 1 : 0;
+    holdingRegisters[1] = Math.round((running ? 8.5 * speedRatio + noise(0.2) : 0) * 100);
+    holdingRegisters[2] = Math.round((running ? 3.2 * speedRatio + noise(0.05) : 0) * 100);
+    writeFloat32(holdingRegisters, 3, flow);
+    holdingRegisters[5] = Math.round(state.level * 10);
+
+    writeFloat32(inputRegisters, 0, 230 + noise(2));
+    writeFloat32(inputRegisters, 2, power);
+    writeUInt32(inputRegisters, 4, Math.round(state.energyWh));
+    inputRegisters[6] = (Math.round((24 + noise(1.5)) * 10) + 0x10000) & 0xFFFF;
+}
+
+function exceptionResponse(functionCode, code) {
+    return Buffer.from([functionCode | 0x80, code]);
+}
+
+function readBits(table, pdu) {
+    const address = pdu.readUInt16BE(1);
+    const quantity = pdu.readUInt16BE(3);
+    if (quantity < 1 || quantity > 2000) return exceptionResponse(pdu[0], 3);
+    if (address + quantity > TABLE_SIZE) return exceptionResponse(pdu[0], 2);
+
+    const bytes = Buffer.alloc(Math.ceil(quantity / 8));
+    for (let i = 0; i < quantity; i++) {
+        if (table[address + i]) bytes[i >> 3] |= 1 << (i & 7);
+    }
+    return Buffer.concat([Buffer.from([pdu[0], bytes.length]), bytes]);
+}
+
+function readRegisters(table, pdu) {
+    const address = pdu.readUInt16BE(1);
+    const quantity = pdu.readUInt16BE(3);
+    if (quantity < 1 || quantity > 125) return exceptionResponse(pdu[0], 3);
+    if (address + quantity > TABLE_SIZE) return exceptionResponse(pdu[0], 2);
+
+    const response = Buffer.alloc(2 + quantity * 2);
+    response[0] = pdu[0];
+    response[1] = quantity * 2;
+    for (let i = 0; i < quantity; i++) {
+        response.writeUInt16BE(table[address + i], 2 + i * 2);
+    }
+    return response;
+}
+
+function logWrite(label, address, value) {
+    const names = { 'bobine 0': 'pompe', 'bobine 1': 'vanne de remplissage', 'registre 10': 'consigne de vitesse' };
+    const name = names[`${label} ${address}`];
+    console.log(`✍️ Écriture ${label} ${address}${name ? ` (${name})` : ''} = ${value}`);
+}
+
+/**
+ * Traite un PDU de requête et retourne le PDU de réponse
+ */
+function handleRequest(pdu) {
+    const functionCode = pdu[0];
+    if (pdu.length < 5) return exceptionResponse(functionCode || 0, 3);
+
+    switch (functionCode) {
+        case 1: return readBits(coils, pdu);
+        case 2: return readBits(discreteInputs, pdu);
+        case 3: return readRegisters(holdingRegisters, pdu);
+        case 4: return readRegisters(inputRegisters, pdu);
+        case 5: {
+            const address = pdu.readUInt16BE(1);
+            const value = pdu.readUInt16BE(3);
+            if (value !== 0xFF00 && value !== 0x0000) return exceptionResponse(functionCode, 3);
+            if (address >= TABLE_SIZE) return exceptionResponse(functionCode, 2);
+            coils[address] = value === 0xFF00 ? 1 : 0;
+            logWrite('bobine', address, coils[address]);
+            return pdu.subarray(0, 5);
+        }
+        case 6: {
+            const address = pdu.readUInt16BE(1);
+            if (address >= TABLE_SIZE) return exceptionResponse(functionCode, 2);
+            holdingRegisters[address] = pdu.readUInt16BE(3);
+            logWrite('registre', address, holdingRegisters[address]);
+            return pdu.subarray(0, 5);
+        }
+        case 15: {
+            const address = pdu.readUInt16BE(1);
+            const quantity = pdu.readUInt16BE(3);
+            if (address + quantity > TABLE_SIZE) return exceptionResponse(functionCode, 2);
+            for (let i = 0; i < quantity; i++) {
+                coils[address + i] = (pdu[6 + (i >> 3)] >> (i & 7)) & 1;
+                logWrite('bobine', address + i, coils[address + i]);
+            }
+            return pdu.subarray(0, 5);
+        }
+        case 16: {
+            const address = pdu.readUInt16BE(1);
+            const quantity = pdu.readUInt16BE(3);
+            if (address + quantity > TABLE_SIZE) return exceptionResponse(functionCode, 2);
+            if (pdu.length < 6 + quantity * 2) return exceptionResponse(functionCode, 3);
+            for (let i = 0; i < quantity; i++) {
+                holdingRegisters[address + i] = pdu.readUInt16BE(6 + i * 2);
+                logWrite('registre', address + i, holdingRegisters[address + i]);
+            }
+            return pdu.subarray(0, 5);
+        }
+        default:
+            return exceptionResponse(functionCode, 1);
+    }
+}
+
+const server = net.createServer(socket => {
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+    console.log(`🔗 Client connecté: ${peer}`);
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        // Trames MBAP: transaction (2), protocole (2), longueur (2), unit ID (1), PDU
+        while (buffer.length >= 7) {
+            const length = buffer.readUInt16BE(4);
+            if (buffer.length < 6 + length) return;
+
+            const frame = buffer.subarray(0, 6 + length);
+            buffer = buffer.subarray(6 + length);
+
+            const response = handleRequest(frame.subarray(7));
+            const header = Buffer.alloc(7);
+            frame.copy(header, 0, 0, 4); // Transaction + protocole
+            header.writeUInt16BE(response.length + 1, 4);
+            header[6] = frame[6]; // Unit ID
+            socket.write(Buffer.concat([header, response]));
+        }
+    });
+
+    socket.on('error', () => {});
+    socket.on('close', () => console.log(`🔌 Client déconnecté: ${peer}`));
+});
+
+updateProcess();
+const processTimer = setInterval(updateProcess, 1000);
+
+server.listen(PORT, () => {
+    console.log(`🔌 Simulateur Modbus TCP à l'écoute sur le port ${PORT}`);
+    console.log('   Bobines: 0 pompe, 1 vanne de remplissage');
+    console.log('   Holding: 0 état pompe, 1 courant (/100 A), 2 pression (/100 bar), 3-4 débit float32, 5 niveau (/10 %), 10 vitesse (%)');
+    console.log('   Input:   0-1 tension float32, 2-3 puissance float32, 4-5 énergie uint32 (Wh), 6 température int16 (/10 °C)');
+});
+
+process.on('SIGINT', () => {
+    clearInterval(processTimer);
+    server.close();
+    console.log('\n🛑 Simulateur Modbus arrêté');
+    process.exit(0);
+});
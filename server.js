@@ -18,12 +18,20 @@ const socketIo = require('socket.io');
 const mqtt = require('mqtt');
 const path = require('path');
 const fs = require('fs').promises;
+const crypto = require('crypto');
+const net = require('net');
+const Aedes = require('aedes');
+const { WebSocketServer, createWebSocketStream } = require('ws');
 
 // Configuration
 const CONFIG = {
     PORT: 3000,
-    MQTT_BROKER: 'mqtt://192.168.230.1:1883', // CHANGEZ par l'IP de votre gateway
-    DATA_FILE: './data/station_data.json'
+    MQTT_BROKER: 'mqtt://192.168.230.1:1883', // Broker par défaut (modifiable dans les paramètres: config.mqttServer)
+    DATA_FILE: './data/station_data.json',
+    CODECS_DIR: './codecs',
+    CAPTURES_DIR: './data/captures', // Captures de trafic MQTT (enregistrement / rejeu)
+    SCENARIOS_DIR: './scenarios', // Scénarios de simulation
+    MAP_DIR: './data/map' // Cache de tuiles et orthophoto de la carte
 };
 
 // Données en mémoire
@@ -32,10 +40,38 @@ let stationData = {
     reservoirs: [],
     sensorHistory: {},
     reservoirHistory: {},
+    mqttConnections: [], // Brokers supplémentaires (multi-sites), le principal est dans config
+    devices: {},
+    deviceLinkHistory: {},
+    deviceBatteryHistory: {},
+    commandQueue: [], // Commandes sortantes persistées (voir FILE DE COMMANDES SORTANTES)
+    ingestSources: [], // Sources HTTP (voir INGESTION HTTP)
+    modbusDevices: [], // Automates / compteurs interrogés en Modbus TCP (voir MODBUS TCP)
+    outages: {}, // Silences des capteurs / réservoirs (voir SURVEILLANCE DES DONNÉES ANCIENNES)
+    quarantine: [], // Valeurs aberrantes en attente de revue (voir CONTRÔLE DE PLAUSIBILITÉ)
     config: {
         mqttServer: CONFIG.MQTT_BROKER,
         baseTopic: 'agriculture/',
-        updateInterval: 5000
+        updateInterval: 5000,
+        duplicateFCntWindowMs: 60000, // Doublons LoRaWAN: même devEUI + fCnt
+        duplicatePayloadWindowMs: 2000, // Autres topics: même payload sur le même topic (0 = désactivé)
+        commandExpiryMs: 7200000, // Validité des commandes en attente du broker (0 = jamais)
+        commandAckTimeoutMs: 900000, // Délai d'accusé / confirmation d'une commande publiée (0 = pas d'alerte)
+        watchdogDefaultIntervalMs: 0, // Intervalle attendu par défaut (0 = seuls les dispositifs avec leur propre intervalle)
+        watchdogStaleFactor: 1.5, // Données anciennes après 1,5 intervalle sans donnée
+        watchdogOfflineFactor: 3, // Hors ligne après 3 intervalles sans donnée
+        // Broker MQTT embarqué (voir BROKER MQTT EMBARQUÉ)
+        embeddedBrokerEnabled: false,
+        embeddedBrokerPort: 1883,
+        embeddedBrokerUsername: '',
+        embeddedBrokerPassword: '',
+        embeddedBrokerWsEnabled: false,
+        embeddedBrokerWsPort: 9001,
+        embeddedBrokerUseAsMain: true,
+        // Carte de l'exploitation (voir CARTE DE L'EXPLOITATION)
+        mapTileUrl: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        mapTileCacheEnabled: true, // Tuiles conservées sur disque pour la consultation hors ligne
+        mapOrthophoto: null // { file, type, bounds: { north, south, east, west }, size, uploadedAt }
     },
     version: '2.3-chirpstack-complete',
     lastSaved: new Date().toISOString()
@@ -50,53 +86,466 @@ const io = socketIo(server, {
     }
 });
 
-let mqttClient = null;
 
 // ============================================================================
 // UTILITAIRES JSONPATH ET CHIRPSTACK (AMÉLIORÉS)
 // ============================================================================
 
+// JSONPath complet (sous-ensemble courant de Jayway / RFC 9535):
+// - racine optionnelle: "$.object.temp" ou "object.temp"
+// - clés: a.b, a['clé avec espaces'], a["temp 1"], soil-moisture
+// - index: [0], [-1] (depuis la fin), unions [0,2], tranches [1:3], [-2:]
+// - jokers: [*], .*, descente récursive ..temp
+// - filtres: [?(@.id == 3)], [?(@.type == 'temp' && @.value > 0)], [?(@.flag)]
+// - agrégation finale sur l'ensemble des résultats: .sum() .avg() .min() .max() .first() .last() .count()
+// Un chemin sans joker, filtre ni tranche retourne une seule valeur (comportement historique);
+// un chemin multiple sans agrégation retourne le premier résultat.
+
+const JSONPATH_AGGREGATES = ['sum', 'avg', 'min', 'max', 'first', 'last', 'count'];
+const JSONPATH_MAX_DEPTH = 64; // Garde-fou pour la descente récursive
+const jsonPathCache = new Map();
+
+/**
+ * Analyse un JSONPath: { steps, aggregate, definite } ou exception avec la position de l'erreur
+ */
+function parseJSONPath(jsonPath) {
+    if (jsonPathCache.has(jsonPath)) return jsonPathCache.get(jsonPath);
+    
+    const source = String(jsonPath).trim();
+    let pos = 0;
+    const steps = [];
+    let aggregate = null;
+    
+    const fail = (message) => {
+        throw new Error(`${message} (position ${pos + 1})`);
+    };
+    const readName = () => {
+        const match = source.slice(pos).match(/^[^.[\]\s()'"=!<>&|,]+/);
+        if (!match) fail('Nom de clé attendu');
+        pos += match[0].length;
+        return match[0];
+    };
+    
+    if (source[pos] === '$') {
+        pos++;
+    } else if (source[pos] !== '[') {
+        // Chemin historique sans racine: le premier segment est une clé
+        steps.push({ descendant: false, selectors: [{ kind: 'name', name: readName() }] });
+    }
+    
+    while (pos < source.length) {
+        if (aggregate) fail('Rien n\'est permis après une fonction d\'agrégation');
+        
+        if (source.startsWith('..', pos)) {
+            pos += 2;
+            if (source[pos] === '[') {
+                steps.push({ descendant: true, selectors: parseJSONPathBracket() });
+            } else if (source[pos] === '*') {
+                pos++;
+                steps.push({ descendant: true, selectors: [{ kind: 'wildcard' }] });
+            } else {
+                steps.push({ descendant: true, selectors: [{ kind: 'name', name: readName() }] });
+            }
+        } else if (source[pos] === '.') {
+            pos++;
+            if (source[pos] === '*') {
+                pos++;
+                steps.push({ descendant: false, selectors: [{ kind: 'wildcard' }] });
+            } else {
+                const name = readName();
+                if (source.startsWith('()', pos) && JSONPATH_AGGREGATES.includes(name)) {
+                    pos += 2;
+                    aggregate = name;
+                } else {
+                    steps.push({ descendant: false, selectors: [{ kind: 'name', name }] });
+                }
+            }
+        } else if (source[pos] === '[') {
+            steps.push({ descendant: false, selectors: parseJSONPathBracket() });
+        } else {
+            fail(`Caractère inattendu "${source[pos]}"`);
+        }
+    }
+    
+    const definite = steps.every(step =>
+        !step.descendant && step.selectors.length === 1 && ['name', 'index'].includes(step.selectors[0].kind)
+    );
+    const parsed = { steps, aggregate, definite };
+    
+    if (jsonPathCache.size > 500) jsonPathCache.clear();
+    jsonPathCache.set(jsonPath, parsed);
+    return parsed;
+    
+    // [ ... ]: index, clés entre quotes, unions, tranches, joker ou filtre
+    function parseJSONPathBracket() {
+        pos++; // [
+        skipSpaces();
+        const selectors = [];
+        
+        if (source[pos] === '*') {
+            pos++;
+            selectors.push({ kind: 'wildcard' });
+        } else if (source.startsWith('?(', pos)) {
+            pos += 2;
+            const expression = parseFilterOr();
+            skipSpaces();
+            if (source[pos] !== ')') fail('")" attendu à la fin du filtre');
+            pos++;
+            selectors.push({ kind: 'filter', expression });
+        } else {
+            do {
+                skipSpaces();
+                if (source[pos] === ',') pos++;
+                skipSpaces();
+                if (source[pos] === '\'' || source[pos] === '"') {
+                    selectors.push({ kind: 'name', name: readQuoted() });
+                } else {
+                    const match = source.slice(pos).match(/^(-?\d+)?\s*(?::\s*(-?\d+)?\s*(?::\s*(-?\d+)?)?)?/);
+                    if (!match || match[0] === '') fail('Index, tranche ou clé entre quotes attendu');
+                    pos += match[0].length;
+                    if (match[0].includes(':')) {
+                        const step = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+                        if (step === 0) fail('Pas de tranche nul');
+                        selectors.push({
+                            kind: 'slice',
+                            start: match[1] !== undefined ? parseInt(match[1], 10) : null,
+                            end: match[2] !== undefined ? parseInt(match[2], 10) : null,
+                            step
+                        });
+                    } else {
+                        selectors.push({ kind: 'index', index: parseInt(match[1], 10) });
+                    }
+                }
+                skipSpaces();
+            } while (source[pos] === ',');
+        }
+        
+        skipSpaces();
+        if (source[pos] !== ']') fail('"]" attendu');
+        pos++;
+        return selectors;
+    }
+    
+    function skipSpaces() {
+        while (source[pos] === ' ') pos++;
+    }
+    
+    function readQuoted() {
+        const quote = source[pos++];
+        let value = '';
+        while (pos < source.length && source[pos] !== quote) {
+            if (source[pos] === '\\' && pos + 1 < source.length) pos++;
+            value += source[pos++];
+        }
+        if (source[pos] !== quote) fail('Quote fermante manquante');
+        pos++;
+        return value;
+    }
+    
+    function parseFilterOr() {
+        let left = parseFilterAnd();
+        skipSpaces();
+        while (source.startsWith('||', pos)) {
+            pos += 2;
+            left = { op: '||', left, right: parseFilterAnd() };
+            skipSpaces();
+        }
+        return left;
+    }
+    
+    function parseFilterAnd() {
+        let left = parseFilterUnary();
+        skipSpaces();
+        while (source.startsWith('&&', pos)) {
+            pos += 2;
+            left = { op: '&&', left, right: parseFilterUnary() };
+            skipSpaces();
+        }
+        return left;
+    }
+    
+    function parseFilterUnary() {
+        skipSpaces();
+        if (source[pos] === '!' && source[pos + 1] !== '=') {
+            pos++;
+            return { op: '!', operand: parseFilterUnary() };
+        }
+        if (source[pos] === '(') {
+            pos++;
+            const expression = parseFilterOr();
+            skipSpaces();
+            if (source[pos] !== ')') fail('")" attendu');
+            pos++;
+            return expression;
+        }
+        
+        const left = parseFilterOperand();
+        skipSpaces();
+        const operator = source.slice(pos).match(/^(==|!=|<=|>=|<|>)/);
+        if (!operator) return { op: 'exists', operand: left };
+        pos += operator[0].length;
+        return { op: operator[0], left, right: parseFilterOperand() };
+    }
+    
+    // Opérande de filtre: @.chemin relatif, littéral (nombre, chaîne, true/false/null)
+    function parseFilterOperand() {
+        skipSpaces();
+        if (source[pos] === '@') {
+            pos++;
+            const path = [];
+            while (source[pos] === '.' || source[pos] === '[') {
+                if (source[pos] === '.') {
+                    pos++;
+                    path.push(readName());
+                } else {
+                    pos++;
+                    skipSpaces();
+                    if (source[pos] === '\'' || source[pos] === '"') {
+                        path.push(readQuoted());
+                    } else {
+                        const match = source.slice(pos).match(/^-?\d+/);
+                        if (!match) fail('Index ou clé entre quotes attendu');
+                        pos += match[0].length;
+                        path.push(parseInt(match[0], 10));
+                    }
+                    skipSpaces();
+                    if (source[pos] !== ']') fail('"]" attendu');
+                    pos++;
+                }
+            }
+            return { kind: 'path', path };
+        }
+        if (source[pos] === '\'' || source[pos] === '"') {
+            return { kind: 'literal', value: readQuoted() };
+        }
+        
+        const match = source.slice(pos).match(/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/);
+        if (!match) fail('Opérande de filtre attendu (@.champ, nombre ou chaîne)');
+        pos += match[0].length;
+        return { kind: 'literal', value: JSON.parse(match[0]) };
+    }
+}
+
+/**
+ * Message d'erreur d'un JSONPath invalide, null s'il est valide
+ */
+function getJSONPathError(jsonPath) {
+    try {
+        parseJSONPath(jsonPath);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+function formatJSONPathKey(key) {
+    if (typeof key === 'number') return `[${key}]`;
+    return /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(key) ? `.${key}` : `['${key.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}']`;
+}
+
+/**
+ * Ajoute une clé à un JSONPath (notation pointée si possible, sinon ['clé'])
+ */
+function appendJSONPathKey(jsonPath, key) {
+    const segment = formatJSONPathKey(key);
+    if (jsonPath) return jsonPath + segment;
+    return segment.startsWith('.') ? segment.substring(1) : `$${segment}`;
+}
+
+// Nombre ou chaîne numérique ("21.5"), sinon null
+function toJSONPathNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+    return null;
+}
+
+function evaluateFilterOperand(operand, item) {
+    if (operand.kind === 'literal') return { found: true, value: operand.value };
+    
+    let current = item;
+    for (const key of operand.path) {
+        if (typeof key === 'number' && Array.isArray(current)) {
+            const index = key < 0 ? current.length + key : key;
+            if (index < 0 || index >= current.length) return { found: false };
+            current = current[index];
+        } else if (current !== null && typeof current === 'object' && !Array.isArray(current) &&
+                   Object.prototype.hasOwnProperty.call(current, key)) {
+            current = current[key];
+        } else {
+            return { found: false };
+        }
+    }
+    return { found: true, value: current };
+}
+
+function evaluateFilterExpression(expression, item) {
+    switch (expression.op) {
+        case '||':
+            return evaluateFilterExpression(expression.left, item) || evaluateFilterExpression(expression.right, item);
+        case '&&':
+            return evaluateFilterExpression(expression.left, item) && evaluateFilterExpression(expression.right, item);
+        case '!':
+            return !evaluateFilterExpression(expression.operand, item);
+        case 'exists': {
+            const operand = evaluateFilterOperand(expression.operand, item);
+            return operand.found && operand.value !== null && operand.value !== false;
+        }
+        default: {
+            const left = evaluateFilterOperand(expression.left, item);
+            const right = evaluateFilterOperand(expression.right, item);
+            if (!left.found || !right.found) return expression.op === '!=' && left.found !== right.found;
+            
+            let a = left.value;
+            let b = right.value;
+            // "25" == 25: les payloads mélangent souvent nombres et chaînes numériques
+            if (typeof a !== typeof b && toJSONPathNumber(a) !== null && toJSONPathNumber(b) !== null) {
+                a = toJSONPathNumber(a);
+                b = toJSONPathNumber(b);
+            }
+            switch (expression.op) {
+                case '==': return a === b;
+                case '!=': return a !== b;
+                case '<': return a < b;
+                case '<=': return a <= b;
+                case '>': return a > b;
+                case '>=': return a >= b;
+                default: return false;
+            }
+        }
+    }
+}
+
+// Enfants d'un nœud sélectionnés par un sélecteur: [{ value, path }]
+function applyJSONPathSelector(selector, node, results) {
+    const { value, path } = node;
+    const isArray = Array.isArray(value);
+    const isObject = value !== null && typeof value === 'object' && !isArray;
+    
+    switch (selector.kind) {
+        case 'name':
+            if (isObject && Object.prototype.hasOwnProperty.call(value, selector.name)) {
+                results.push({ value: value[selector.name], path: appendJSONPathKey(path, selector.name) });
+            }
+            break;
+        case 'index':
+            if (isArray) {
+                const index = selector.index < 0 ? value.length + selector.index : selector.index;
+                if (index >= 0 && index < value.length) {
+                    results.push({ value: value[index], path: appendJSONPathKey(path, index) });
+                }
+            }
+            break;
+        case 'slice':
+            if (isArray) {
+                const length = value.length;
+                const normalize = (bound, fallback) => bound === null ? fallback : (bound < 0 ? Math.max(length + bound, -1) : Math.min(bound, length));
+                if (selector.step > 0) {
+                    for (let i = Math.max(normalize(selector.start, 0), 0); i < normalize(selector.end, length); i += selector.step) {
+                        results.push({ value: value[i], path: appendJSONPathKey(path, i) });
+                    }
+                } else {
+                    for (let i = Math.min(normalize(selector.start, length - 1), length - 1); i > normalize(selector.end, -1); i += selector.step) {
+                        results.push({ value: value[i], path: appendJSONPathKey(path, i) });
+                    }
+                }
+            }
+            break;
+        case 'wildcard':
+        case 'filter':
+            if (isArray) {
+                value.forEach((item, index) => {
+                    if (selector.kind === 'wildcard' || evaluateFilterExpression(selector.expression, item)) {
+                        results.push({ value: item, path: appendJSONPathKey(path, index) });
+                    }
+                });
+            } else if (isObject) {
+                Object.keys(value).forEach(key => {
+                    if (selector.kind === 'wildcard' || evaluateFilterExpression(selector.expression, value[key])) {
+                        results.push({ value: value[key], path: appendJSONPathKey(path, key) });
+                    }
+                });
+            }
+            break;
+    }
+}
+
+// Nœud et tous ses descendants (ordre du document)
+function collectJSONPathDescendants(node, nodes, depth = 0) {
+    nodes.push(node);
+    if (depth >= JSONPATH_MAX_DEPTH || node.value === null || typeof node.value !== 'object') return nodes;
+    
+    if (Array.isArray(node.value)) {
+        node.value.forEach((item, index) => collectJSONPathDescendants({ value: item, path: appendJSONPathKey(node.path, index) }, nodes, depth + 1));
+    } else {
+        Object.keys(node.value).forEach(key => collectJSONPathDescendants({ value: node.value[key], path: appendJSONPathKey(node.path, key) }, nodes, depth + 1));
+    }
+    return nodes;
+}
+
+/**
+ * Tous les résultats d'un JSONPath: [{ path, value }] (path normalisé, réutilisable tel quel)
+ */
+function findJSONPathMatches(jsonObject, jsonPath) {
+    const { steps } = parseJSONPath(jsonPath);
+    let nodes = [{ value: jsonObject, path: '' }];
+    
+    for (const step of steps) {
+        const next = [];
+        const sources = step.descendant
+            ? nodes.reduce((all, node) => collectJSONPathDescendants(node, all), [])
+            : nodes;
+        sources.forEach(node => step.selectors.forEach(selector => applyJSONPathSelector(selector, node, next)));
+        nodes = next;
+        if (nodes.length === 0) break;
+    }
+    
+    return nodes.map(node => ({ path: node.path || '$', value: node.value }));
+}
+
+/**
+ * Agrégation des résultats (.sum(), .avg()...): valeurs numériques uniquement sauf first/last/count
+ */
+function aggregateJSONPathValues(values, aggregate) {
+    if (aggregate === 'count') return values.length;
+    if (aggregate === 'first') return values.length > 0 ? values[0] : null;
+    if (aggregate === 'last') return values.length > 0 ? values[values.length - 1] : null;
+    
+    const numbers = values.map(value => toJSONPathNumber(value)).filter(value => value !== null);
+    if (numbers.length === 0) return null;
+    
+    switch (aggregate) {
+        case 'sum': return numbers.reduce((total, value) => total + value, 0);
+        case 'avg': return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+        case 'min': return Math.min(...numbers);
+        case 'max': return Math.max(...numbers);
+        default: return null;
+    }
+}
+
 /**
- * Extrait une valeur d'un objet JSON en utilisant un JSONPath simple
+ * Extrait une valeur d'un objet JSON en utilisant un JSONPath
  * Exemples supportés:
  * - "object.temperature_c" 
  * - "data.sensors.temp"
- * - "payload.value"
- * - "sensors[0].temperature"
+ * - "sensors[0].temperature", "sensors[-1].value"
+ * - "object['temp 1']", "object.soil-moisture"
+ * - "sensors[?(@.id==3)].value"
+ * - "sensors[*].value.avg()"
  * - "data" (pour format base64)
  */
 function extractValueFromJSON(jsonObject, jsonPath) {
     if (!jsonPath || !jsonObject) return null;
     
     try {
-        // Diviser le path par les points
-        const parts = jsonPath.split('.');
-        let current = jsonObject;
+        const { aggregate } = parseJSONPath(jsonPath);
+        const matches = findJSONPathMatches(jsonObject, jsonPath);
         
-        for (const part of parts) {
-            // Supporter les index d'array: sensors[0]
-            if (part.includes('[') && part.includes(']')) {
-                const arrayName = part.substring(0, part.indexOf('['));
-                const index = parseInt(part.substring(part.indexOf('[') + 1, part.indexOf(']')));
-                
-                if (current[arrayName] && Array.isArray(current[arrayName])) {
-                    current = current[arrayName][index];
-                } else {
-                    return null;
-                }
-            } else {
-                // Propriété normale
-                if (current && typeof current === 'object' && current.hasOwnProperty(part)) {
-                    current = current[part];
-                } else {
-                    return null;
-                }
-            }
+        if (aggregate) {
+            return aggregateJSONPathValues(matches.map(match => match.value), aggregate);
         }
-        
-        return current;
+        return matches.length > 0 ? matches[0].value : null;
     } catch (error) {
-        console.error(`Erreur extraction JSONPath "${jsonPath}":`, error);
+        console.error(`Erreur extraction JSONPath "${jsonPath}":`, error.message);
         return null;
     }
 }
@@ -106,10 +555,7 @@ function extractValueFromJSON(jsonObject, jsonPath) {
  */
 function validateJSONPath(jsonPath) {
     if (!jsonPath) return true; // Vide = OK
-    
-    // Regex basique pour valider le format
-    const validPattern = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*|\[\d+\])*$/;
-    return validPattern.test(jsonPath);
+    return getJSONPathError(jsonPath) === null;
 }
 
 /**
@@ -124,14 +570,151 @@ function createChirpStackSendPayload(data, confirmed = true, fPort = 1) {
 }
 
 /**
- * Vérifie si un payload JSON est au format ChirpStack (réception)
+ * Vérifie si un payload JSON est au format ChirpStack v3 (réception)
+ * Sans codec côté serveur réseau, "object" est absent et seul "data" (base64) est présent
  */
 function isChirpStackReceiveFormat(jsonData) {
     return jsonData && 
            jsonData.hasOwnProperty('applicationID') &&
            jsonData.hasOwnProperty('deviceName') &&
            jsonData.hasOwnProperty('devEUI') &&
-           jsonData.hasOwnProperty('object');
+           (jsonData.hasOwnProperty('object') || jsonData.hasOwnProperty('data'));
+}
+
+/**
+ * Vérifie si un payload JSON est au format ChirpStack v4 (réception)
+ * Ex: { deviceInfo: { devEui, deviceName, applicationId }, fCnt, fPort, data, object? }
+ */
+function isChirpStackV4ReceiveFormat(jsonData) {
+    return Boolean(jsonData &&
+           jsonData.deviceInfo &&
+           typeof jsonData.deviceInfo === 'object' &&
+           jsonData.deviceInfo.hasOwnProperty('devEui'));
+}
+
+/**
+ * Détecte le format d'un payload JSON reçu
+ */
+function detectJsonFormat(jsonData) {
+    if (isChirpStackV4ReceiveFormat(jsonData)) return 'chirpstack_v4_receive';
+    if (isChirpStackReceiveFormat(jsonData)) return 'chirpstack_receive';
+    if (isChirpStackSendFormat(jsonData)) return 'chirpstack_send';
+    return 'simple';
+}
+
+/**
+ * Format effectif d'un payload selon le format configuré
+ * - 'auto' (ou vide): détection complète
+ * - formats réception ChirpStack: la version (v3/v4) est détectée automatiquement
+ */
+function resolveJsonFormat(jsonData, configuredFormat) {
+    if (!configuredFormat || configuredFormat === 'auto') {
+        return detectJsonFormat(jsonData);
+    }
+    
+    if (configuredFormat === 'chirpstack_receive' || configuredFormat === 'chirpstack_v4_receive') {
+        const detected = detectJsonFormat(jsonData);
+        if (detected === 'chirpstack_receive' || detected === 'chirpstack_v4_receive') {
+            return detected;
+        }
+    }
+    
+    return configuredFormat;
+}
+
+/**
+ * Identité du dispositif dans un uplink ChirpStack (v3: devEUI, v4: deviceInfo.devEui)
+ */
+function extractChirpStackDevice(jsonData) {
+    if (isChirpStackV4ReceiveFormat(jsonData)) {
+        return {
+            devEUI: jsonData.deviceInfo.devEui,
+            deviceName: jsonData.deviceInfo.deviceName || null,
+            applicationId: jsonData.deviceInfo.applicationId || null
+        };
+    }
+    if (isChirpStackReceiveFormat(jsonData)) {
+        return {
+            devEUI: jsonData.devEUI,
+            deviceName: jsonData.deviceName || null,
+            applicationId: jsonData.applicationID || null
+        };
+    }
+    return null;
+}
+
+/**
+ * Décode le champ "data" (base64) d'un uplink ChirpStack en octets bruts
+ */
+function decodeChirpStackData(jsonData) {
+    if (!jsonData || typeof jsonData.data !== 'string' || jsonData.data.length === 0) return null;
+    
+    try {
+        return Buffer.from(jsonData.data, 'base64');
+    } catch (error) {
+        console.error('Erreur décodage base64 "data":', error);
+        return null;
+    }
+}
+
+/**
+ * Valide une configuration d'extraction d'octets
+ * { offset: 0, length: 2, signed: true, endianness: 'big' | 'little', scale: 0.01 }
+ * signed doit être un vrai booléen: la chaîne "false" serait sinon lue comme signée
+ */
+function validateByteExtraction(byteConfig) {
+    if (!byteConfig) return true; // Absent = extraction JSONPath
+    if (typeof byteConfig !== 'object') return false;
+    
+    const offset = Number(byteConfig.offset);
+    const length = Number(byteConfig.length);
+    
+    return Number.isInteger(offset) && offset >= 0 &&
+           Number.isInteger(length) && length >= 1 && length <= 6 &&
+           (byteConfig.signed === undefined || typeof byteConfig.signed === 'boolean') &&
+           (!byteConfig.endianness || ['big', 'little'].includes(byteConfig.endianness)) &&
+           (byteConfig.scale === undefined || byteConfig.scale === null || !isNaN(parseFloat(byteConfig.scale)));
+}
+
+/**
+ * Extrait un nombre des octets bruts selon une configuration d'extraction
+ * Retourne null si le buffer est trop court
+ */
+function extractValueFromBytes(buffer, byteConfig) {
+    if (!buffer || !byteConfig) return null;
+    
+    const offset = parseInt(byteConfig.offset) || 0;
+    const length = parseInt(byteConfig.length) || 1;
+    const littleEndian = byteConfig.endianness === 'little';
+    const scale = byteConfig.scale === undefined || byteConfig.scale === null || byteConfig.scale === ''
+        ? 1
+        : parseFloat(byteConfig.scale);
+    
+    if (offset + length > buffer.length) {
+        console.log(`⚠️ Payload trop court: ${buffer.length} octets, lecture ${offset}+${length}`);
+        return null;
+    }
+    
+    let rawValue;
+    if (byteConfig.signed === true) {
+        rawValue = littleEndian ? buffer.readIntLE(offset, length) : buffer.readIntBE(offset, length);
+    } else {
+        rawValue = littleEndian ? buffer.readUIntLE(offset, length) : buffer.readUIntBE(offset, length);
+    }
+    
+    // Arrondi pour éviter les artefacts flottants (ex: 2345 * 0.01)
+    return Math.round(rawValue * scale * 1e6) / 1e6;
+}
+
+/**
+ * Extrait la valeur configurée d'un payload JSON: octets bruts de "data" si une
+ * extraction d'octets est définie, sinon JSONPath
+ */
+function extractConfiguredValue(jsonData, jsonPath, byteConfig) {
+    if (byteConfig) {
+        return extractValueFromBytes(decodeChirpStackData(jsonData), byteConfig);
+    }
+    return extractValueFromJSON(jsonData, jsonPath);
 }
 
 /**
@@ -145,594 +728,8272 @@ function isChirpStackSendFormat(jsonData) {
 }
 
 // ============================================================================
-// MIDDLEWARE ET ROUTES (CONSERVÉES + AMÉLIORÉES)
+// TOPICS MQTT : WILDCARDS, CAPTURES NOMMÉES ET ABONNEMENTS
 // ============================================================================
 
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// Connexions MQTT actives (une par broker/site): id -> { id, name, broker, client, subscriptions, connected, error }
+// subscriptions: abonnements actifs, filtre MQTT -> { refCount, qos }
+const mqttConnections = new Map();
+const DEFAULT_CONNECTION_ID = 'default';
+const topicPatternCache = new Map();
 
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+/**
+ * Analyse un topic configuré et le convertit en filtre MQTT
+ * Exemples supportés:
+ * - "application/3/device/70b3d57ed004c7dc/rx" (topic exact)
+ * - "application/3/device/+/rx" (wildcard un niveau)
+ * - "application/3/#" (wildcard multi-niveaux, en dernier)
+ * - "application/{app}/device/{devEUI}/rx" (captures nommées = "+")
+ * - "station/{path#}" (capture multi-niveaux = "#")
+ * Retourne null si le topic est invalide
+ */
+function parseTopicPattern(pattern) {
+    if (!pattern || typeof pattern !== 'string') return null;
+    if (topicPatternCache.has(pattern)) return topicPatternCache.get(pattern);
 
-app.get('/api/data', (req, res) => {
-    res.json(stationData);
-});
+    const levels = pattern.split('/');
+    const segments = [];
+    const names = new Set();
+    let parsed = { filter: '', segments, hasWildcard: false };
 
-app.post('/api/data', (req, res) => {
-    try {
-        stationData = {
-            ...stationData,
-            ...req.body,
-            lastSaved: new Date().toISOString()
-        };
-        
-        saveDataToFile();
-        io.emit('data_updated', stationData);
-        
-        res.json({ success: true });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
+    for (let i = 0; i < levels.length; i++) {
+        const level = levels[i];
+        const isLast = i === levels.length - 1;
+        const capture = level.match(/^\{([a-zA-Z_][a-zA-Z0-9_]*)(#)?\}$/);
 
-// POST /api/sensors - CONSERVÉ (déjà optimal)
-app.post('/api/sensors', (req, res) => {
-    try {
-        // Validation JSONPath si payload JSON
-        if (req.body.isJsonPayload && req.body.jsonPath) {
-            if (!validateJSONPath(req.body.jsonPath)) {
-                return res.status(400).json({ 
-                    error: 'JSONPath invalide. Format attendu: object.field ou data.sensors[0].temp' 
-                });
+        if (capture) {
+            if ((capture[2] && !isLast) || names.has(capture[1])) {
+                parsed = null;
+                break;
             }
-        }
-        
-        const sensor = {
-            id: Date.now().toString(),
-            ...req.body,
-            value: 0,
-            status: 'offline',
-            lastUpdate: new Date(),
-            receivedTimestamp: null,
-            // Valeurs par défaut pour nouvelles propriétés
-            isJsonPayload: req.body.isJsonPayload || false,
-            jsonPath: req.body.jsonPath || '',
-            jsonFormat: req.body.jsonFormat || 'chirpstack_receive', // 'chirpstack_receive', 'chirpstack_send', 'simple'
-            showReceivedTimestamp: req.body.showReceivedTimestamp || false,
-            mqttQos: req.body.mqttQos || 1
-        };
-        
-        stationData.sensors.push(sensor);
-        stationData.lastSaved = new Date().toISOString();
-        saveDataToFile();
-        
-        if (!stationData.sensorHistory[sensor.id]) {
-            stationData.sensorHistory[sensor.id] = [];
-        }
-        
-        if (mqttClient && mqttClient.connected) {
-            // S'abonner avec le QoS spécifié
-            mqttClient.subscribe(sensor.topic, { qos: sensor.mqttQos });
-            console.log(`📡 Abonné au capteur: ${sensor.topic} (QoS: ${sensor.mqttQos})`);
-            
-            if (sensor.isJsonPayload) {
-                console.log(`🔍 JSONPath configuré: ${sensor.jsonPath} (Format: ${sensor.jsonFormat})`);
+            names.add(capture[1]);
+            segments.push({ type: capture[2] ? 'multi' : 'single', name: capture[1] });
+        } else if (level === '+') {
+            segments.push({ type: 'single', name: null });
+        } else if (level === '#') {
+            if (!isLast) {
+                parsed = null;
+                break;
             }
+            segments.push({ type: 'multi', name: null });
+        } else if (/[+#{}]/.test(level)) {
+            parsed = null;
+            break;
+        } else {
+            segments.push({ type: 'literal', value: level });
         }
-        
-        io.emit('sensor_added', sensor);
-        res.json(sensor);
-    } catch (error) {
-        res.status(500).json({ error: error.message });
     }
-});
 
-// PUT /api/sensors/:id - CONSERVÉ
-app.put('/api/sensors/:id', (req, res) => {
-    try {
-        const sensorIndex = stationData.sensors.findIndex(s => s.id === req.params.id);
-        if (sensorIndex === -1) {
-            return res.status(404).json({ error: 'Capteur non trouvé' });
-        }
+    if (parsed) {
+        parsed.filter = segments.map(s => s.type === 'literal' ? s.value : (s.type === 'single' ? '+' : '#')).join('/');
+        parsed.hasWildcard = segments.some(s => s.type !== 'literal');
+    }
+
+    topicPatternCache.set(pattern, parsed);
+    return parsed;
+}
+
+/**
+ * Valide qu'un topic configuré (avec wildcards/captures) est correctement formaté
+ */
+function validateTopicPattern(pattern) {
+    if (!pattern) return true; // Vide = OK (topics optionnels)
+    return parseTopicPattern(pattern) !== null;
+}
+
+/**
+ * Compare un topic reçu à un topic configuré
+ * Retourne les segments capturés ({ app: '3', devEUI: '...' }) ou null si pas de correspondance
+ */
+function matchTopic(pattern, topic) {
+    const parsed = parseTopicPattern(pattern);
+    if (!parsed || !topic) return null;
+
+    const levels = topic.split('/');
+    const params = {};
+
+    for (let i = 0; i < parsed.segments.length; i++) {
+        const segment = parsed.segments[i];
+
+        if (segment.type === 'multi') {
+            if (segment.name) params[segment.name] = levels.slice(i).join('/');
+            return params;
+        }
+        if (i >= levels.length) return null;
+        if (segment.type === 'literal' && segment.value !== levels[i]) return null;
+        if (segment.type === 'single' && segment.name) params[segment.name] = levels[i];
+    }
+
+    return levels.length === parsed.segments.length ? params : null;
+}
+
+/**
+ * Vérifie les contraintes de liaison d'un capteur/réservoir sur les captures
+ * Ex: topicBinding = { devEUI: '70b3d57ed004c7dc' } pour lier un topic wildcard à un dispositif
+ */
+function matchesTopicBinding(binding, params) {
+    if (!binding || typeof binding !== 'object') return true;
+    return Object.keys(binding).every(key => {
+        if (binding[key] === '' || binding[key] === null || binding[key] === undefined) return true;
+        return params[key] !== undefined &&
+               String(params[key]).toLowerCase() === String(binding[key]).toLowerCase();
+    });
+}
+
+/**
+ * Combine matchTopic() et matchesTopicBinding() pour un topic configuré
+ */
+function matchEntityTopic(pattern, binding, topic) {
+    const params = matchTopic(pattern, topic);
+    if (!params || !matchesTopicBinding(binding, params)) return null;
+    return params;
+}
+
+/**
+ * Captures fixées par une liaison (valeurs vides ignorées)
+ */
+function getBoundTopicParams(binding) {
+    const params = {};
+    if (!binding || typeof binding !== 'object') return params;
+    Object.keys(binding).forEach(key => {
+        if (binding[key] !== '' && binding[key] !== null && binding[key] !== undefined) params[key] = String(binding[key]);
+    });
+    return params;
+}
+
+/**
+ * Topic wildcard sans liaison à un dispositif: accepté (ex: application/3/device/+/rx), mais tous
+ * les dispositifs du filtre partagent la même valeur et le même historique
+ * Retourne un avertissement à afficher à l'enregistrement, ou null
+ */
+function getTopicBindingWarning(pattern, binding) {
+    const parsed = parseTopicPattern(pattern);
+    if (!parsed || !parsed.hasWildcard) return null;
+    
+    const names = parsed.segments.filter(segment => segment.name).map(segment => segment.name);
+    const bound = Object.keys(getBoundTopicParams(binding)).filter(name => names.includes(name));
+    if (bound.length === 0) {
+        return `Topic ${pattern}: sans liaison à un dispositif, tous les dispositifs du filtre partagent la même valeur et le même historique (lier une capture nommée avec topicBinding, ex: application/3/device/{devEUI}/rx avec devEUI=70b3d57ed004c7dc)`;
+    }
+    
+    const identity = names.find(name => extractDeviceIdentity({ [name]: name }));
+    if (identity && !bound.includes(identity)) {
+        return `Topic ${pattern}: capture {${identity}} non fixée par topicBinding, tous les dispositifs du filtre partagent la même valeur et le même historique`;
+    }
+    return null;
+}
+
+function getReservoirTopicBindingWarning(reservoir) {
+    for (const field of ['topic', 'pumpTopic', 'fillTopic', 'modeTopic']) {
+        const warning = getTopicBindingWarning(reservoir[field], reservoir.topicBinding);
+        if (warning) return warning;
+    }
+    return null;
+}
+
+/**
+ * Identité du dispositif déduite des captures du topic (devEUI ChirpStack en priorité)
+ */
+function extractDeviceIdentity(params) {
+    if (!params) return null;
+    return params.devEUI || params.devEui || params.deviceId || params.device || null;
+}
+
+/**
+ * Remplace les captures {nom} d'un topic par leurs valeurs pour publier
+ * Retourne null si le topic contient encore des wildcards ou des captures non résolues
+ */
+function resolveTopicTemplate(pattern, params = {}) {
+    if (!pattern) return null;
+
+    const resolved = pattern.replace(/\{([a-zA-Z_][a-zA-Z0-9_]*)#?\}/g, (match, name) => {
+        return params[name] !== undefined ? params[name] : match;
+    });
+
+    return /[+#{}]/.test(resolved) ? null : resolved;
+}
+
+/**
+ * Connexion MQTT d'un capteur/réservoir (broker principal par défaut)
+ */
+function getEntityConnectionId(entity) {
+    return (entity && entity.connectionId) || DEFAULT_CONNECTION_ID;
+}
+
+/**
+ * Client MQTT connecté d'une connexion, null si déconnecté
+ */
+function getMqttClient(connectionId) {
+    const connection = mqttConnections.get(connectionId || DEFAULT_CONNECTION_ID);
+    return connection && connection.client && connection.client.connected ? connection.client : null;
+}
+
+/**
+ * Filtre de découverte dérivé du topic de base (ex: 'agriculture/' -> 'agriculture/#')
+ */
+function getDiscoveryTopic(baseTopic) {
+    baseTopic = baseTopic ? baseTopic.trim() : '';
+    if (!baseTopic) return null;
+    
+    const topic = /[+#{}]/.test(baseTopic)
+        ? baseTopic
+        : `${baseTopic}${baseTopic.endsWith('/') ? '' : '/'}#`;
+    return validateTopicPattern(topic) ? topic : null;
+}
+
+/**
+ * Compte les références de chaque filtre MQTT (capteurs + réservoirs d'une connexion)
+ * Le QoS retenu est le plus élevé demandé par les dispositifs partageant le filtre
+ */
+function collectTopicSubscriptions(connectionId) {
+    const wanted = new Map();
+
+    const addReference = (pattern, qos) => {
+        const parsed = parseTopicPattern(pattern);
+        if (!parsed) return;
+
+        const entry = wanted.get(parsed.filter) || { refCount: 0, qos: 0 };
+        entry.refCount++;
+        entry.qos = Math.max(entry.qos, qos === undefined || qos === null ? 1 : parseInt(qos) || 0);
+        wanted.set(parsed.filter, entry);
+    };
+
+    const belongsToConnection = entity => getEntityConnectionId(entity) === connectionId;
+
+    stationData.sensors.filter(belongsToConnection).forEach(sensor => {
+        addReference(sensor.topic, sensor.mqttQos);
+    });
+    
+    // Topic de base = découverte des nouveaux dispositifs (boîte de réception)
+    const connectionConfig = getConnectionConfig(connectionId);
+    const discoveryTopic = getDiscoveryTopic(connectionConfig ? connectionConfig.baseTopic : '');
+    if (discoveryTopic) {
+        addReference(discoveryTopic, 1);
+    }
+
+    stationData.reservoirs.filter(belongsToConnection).forEach(reservoir => {
+        addReference(reservoir.topic, reservoir.mqttQosLevel);
+        if (reservoir.pumpTopic) addReference(reservoir.pumpTopic, reservoir.mqttQosPump);
+        if (reservoir.fillTopic) addReference(reservoir.fillTopic, reservoir.mqttQosFill);
+        if (reservoir.modeTopic) addReference(reservoir.modeTopic, reservoir.mqttQosMode);
+        
+        // Accusés ChirpStack (ack/txack) des commandes pompe et mode
+        [reservoir.pumpTopic, reservoir.modeTopic].forEach(commandTopic => {
+            getDownlinkEventTopics(commandTopic).forEach(eventTopic => addReference(eventTopic, 1));
+        });
+    });
+
+    return wanted;
+}
+
+/**
+ * Synchronise les abonnements de chaque connexion MQTT avec la configuration
+ * Un filtre n'est désabonné que lorsque plus aucun capteur/réservoir ne le référence
+ */
+function syncMqttSubscriptions() {
+    mqttConnections.forEach(connection => {
+        const client = getMqttClient(connection.id);
+        if (!client) return;
+
+        const wanted = collectTopicSubscriptions(connection.id);
+        const label = connection.id === DEFAULT_CONNECTION_ID ? '' : ` [${connection.name}]`;
+
+        connection.subscriptions.forEach((entry, filter) => {
+            if (!wanted.has(filter)) {
+                client.unsubscribe(filter);
+                console.log(`📴 Désabonné${label}: ${filter} (plus aucune référence)`);
+            }
+        });
+
+        wanted.forEach((entry, filter) => {
+            const current = connection.subscriptions.get(filter);
+            if (!current || current.qos !== entry.qos) {
+                client.subscribe(filter, { qos: entry.qos });
+                console.log(`📡 Abonné${label}: ${filter} (QoS: ${entry.qos}, références: ${entry.refCount})`);
+            }
+        });
+
+        connection.subscriptions = wanted;
+    });
+}
+
+// ============================================================================
+// REGISTRE DE CODECS DE PAYLOAD (CAYENNE LPP, BRUT, JSON + MODULES PERSONNALISÉS)
+// ============================================================================
+// Un codec transforme un message MQTT en objet décodé, puis le JSONPath du
+// capteur (ou son extraction d'octets) sélectionne la valeur.
+// Modules personnalisés: fichiers .js dans ./codecs exportant
+// { name, label?, description?, decode(bytes, context) }
+
+const payloadCodecs = new Map();
+
+// Types Cayenne LPP: taille en octets, signé, facteur et nom de champ
+const CAYENNE_LPP_TYPES = {
+    0: { name: 'digital_input', size: 1, signed: false, scale: 1 },
+    1: { name: 'digital_output', size: 1, signed: false, scale: 1 },
+    2: { name: 'analog_input', size: 2, signed: true, scale: 0.01 },
+    3: { name: 'analog_output', size: 2, signed: true, scale: 0.01 },
+    100: { name: 'generic', size: 4, signed: false, scale: 1 },
+    101: { name: 'illuminance', size: 2, signed: false, scale: 1 },
+    102: { name: 'presence', size: 1, signed: false, scale: 1 },
+    103: { name: 'temperature', size: 2, signed: true, scale: 0.1 },
+    104: { name: 'humidity', size: 1, signed: false, scale: 0.5 },
+    113: { name: 'accelerometer', size: 6, signed: true, scale: 0.001, axes: ['x', 'y', 'z'] },
+    115: { name: 'barometer', size: 2, signed: false, scale: 0.1 },
+    116: { name: 'voltage', size: 2, signed: false, scale: 0.01 },
+    117: { name: 'current', size: 2, signed: false, scale: 0.001 },
+    118: { name: 'frequency', size: 4, signed: false, scale: 1 },
+    120: { name: 'percentage', size: 1, signed: false, scale: 1 },
+    121: { name: 'altitude', size: 2, signed: true, scale: 1 },
+    125: { name: 'concentration', size: 2, signed: false, scale: 1 },
+    128: { name: 'power', size: 2, signed: false, scale: 1 },
+    130: { name: 'distance', size: 4, signed: false, scale: 0.001 },
+    131: { name: 'energy', size: 4, signed: false, scale: 0.001 },
+    132: { name: 'direction', size: 2, signed: false, scale: 1 },
+    133: { name: 'unixtime', size: 4, signed: false, scale: 1 },
+    134: { name: 'gyrometer', size: 6, signed: true, scale: 0.01, axes: ['x', 'y', 'z'] },
+    136: { name: 'gps', size: 9, gps: true },
+    142: { name: 'switch', size: 1, signed: false, scale: 1 }
+};
+
+/**
+ * Octets utiles d'un message: "data" base64 si enveloppe ChirpStack,
+ * sinon texte hexadécimal, sinon message binaire brut
+ */
+function getPayloadBytes(context) {
+    if (context.json && typeof context.json === 'object') {
+        const dataBytes = decodeChirpStackData(context.json);
+        if (dataBytes) return dataBytes;
+    }
+    
+    const text = (context.text || '').trim();
+    if (text.length > 0 && text.length % 2 === 0 && /^[0-9a-fA-F]+$/.test(text)) {
+        return Buffer.from(text, 'hex');
+    }
+    
+    return context.buffer || Buffer.alloc(0);
+}
+
+/**
+ * Décodeur Cayenne LPP: [canal][type][valeur]... -> { temperature_1: 21.5, humidity_2: 55, gps_3: {...} }
+ */
+function decodeCayenneLPP(bytes) {
+    const decoded = {};
+    let index = 0;
+    
+    while (index + 2 <= bytes.length) {
+        const channel = bytes[index];
+        const typeId = bytes[index + 1];
+        const type = CAYENNE_LPP_TYPES[typeId];
+        index += 2;
+        
+        if (!type) {
+            throw new Error(`Type Cayenne LPP inconnu: ${typeId} (canal ${channel})`);
+        }
+        if (index + type.size > bytes.length) {
+            throw new Error(`Payload Cayenne LPP tronqué pour ${type.name} (canal ${channel})`);
+        }
+        
+        let value;
+        if (type.gps) {
+            value = {
+                latitude: bytes.readIntBE(index, 3) / 10000,
+                longitude: bytes.readIntBE(index + 3, 3) / 10000,
+                altitude: bytes.readIntBE(index + 6, 3) / 100
+            };
+        } else if (type.axes) {
+            value = {};
+            type.axes.forEach((axis, i) => {
+                value[axis] = Math.round(bytes.readInt16BE(index + i * 2) * type.scale * 1e6) / 1e6;
+            });
+        } else {
+            const raw = type.signed ? bytes.readIntBE(index, type.size) : bytes.readUIntBE(index, type.size);
+            value = Math.round(raw * type.scale * 1e6) / 1e6;
+        }
+        
+        decoded[`${type.name}_${channel}`] = value;
+        index += type.size;
+    }
+    
+    return decoded;
+}
+
+/**
+ * Enregistre un codec dans le registre (remplace un codec du même nom)
+ */
+function registerCodec(codec, source = 'custom') {
+    if (!codec || typeof codec.name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(codec.name)) {
+        throw new Error('Codec invalide: "name" alphanumérique requis');
+    }
+    if (typeof codec.decode !== 'function') {
+        throw new Error(`Codec ${codec.name} invalide: fonction "decode" requise`);
+    }
+    
+    payloadCodecs.set(codec.name, {
+        name: codec.name,
+        label: codec.label || codec.name,
+        description: codec.description || '',
+        source,
+        decode: codec.decode
+    });
+}
+
+function registerBuiltinCodecs() {
+    registerCodec({
+        name: 'cayenne_lpp',
+        label: 'Cayenne LPP',
+        description: 'Champs nommés type_canal (ex: temperature_1, humidity_2, gps_3.latitude)',
+        decode: (bytes) => decodeCayenneLPP(bytes)
+    }, 'builtin');
+    
+    registerCodec({
+        name: 'raw_hex',
+        label: 'Octets bruts (hex)',
+        description: 'Payload hexadécimal ou "data" ChirpStack -> { hex, bytes[] } (avec extraction d\'octets)',
+        decode: (bytes) => ({ hex: bytes.toString('hex'), bytes: Array.from(bytes), length: bytes.length })
+    }, 'builtin');
+    
+    registerCodec({
+        name: 'raw_base64',
+        label: 'Octets bruts (base64)',
+        description: 'Payload base64 ou "data" ChirpStack -> { hex, bytes[] } (avec extraction d\'octets)',
+        decode: (bytes, context) => {
+            const text = (context.text || '').trim();
+            const source = context.json ? bytes : Buffer.from(text, 'base64');
+            return { hex: source.toString('hex'), bytes: Array.from(source), length: source.length };
+        }
+    }, 'builtin');
+    
+    registerCodec({
+        name: 'json_jsonpath',
+        label: 'JSON + JSONPath',
+        description: 'Payload JSON tel quel, valeur sélectionnée par JSONPath',
+        decode: (bytes, context) => {
+            if (context.json === null) throw new Error('Payload non JSON');
+            return context.json;
+        }
+    }, 'builtin');
+}
+
+/**
+ * Charge les modules de codecs personnalisés du dossier ./codecs
+ */
+async function loadCustomCodecs() {
+    let files = [];
+    try {
+        files = (await fs.readdir(CONFIG.CODECS_DIR)).filter(file => file.endsWith('.js'));
+    } catch (error) {
+        return; // Dossier absent = aucun codec personnalisé
+    }
+    
+    files.forEach(file => {
+        const modulePath = path.resolve(CONFIG.CODECS_DIR, file);
+        try {
+            delete require.cache[require.resolve(modulePath)];
+            registerCodec(require(modulePath), 'custom');
+            console.log(`🧩 Codec personnalisé chargé: ${file}`);
+        } catch (error) {
+            console.error(`❌ Erreur chargement codec ${file}:`, error.message);
+        }
+    });
+}
+
+/**
+ * Décode un message MQTT avec un codec enregistré
+ * Lève une erreur si le codec est inconnu ou si le décodage échoue
+ */
+function decodeWithCodec(codecName, rawMessage, topic = null) {
+    const codec = payloadCodecs.get(codecName);
+    if (!codec) {
+        throw new Error(`Codec inconnu: ${codecName}`);
+    }
+    
+    const buffer = Buffer.isBuffer(rawMessage) ? rawMessage : Buffer.from(String(rawMessage));
+    const text = buffer.toString();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        json = null;
+    }
+    
+    const context = { topic, text, json, buffer };
+    return codec.decode(getPayloadBytes(context), context);
+}
+
+/**
+ * Extrait la valeur d'un message décodé par codec (JSONPath ou octets bruts)
+ */
+function extractValueFromDecoded(decoded, jsonPath, byteConfig) {
+    if (byteConfig && decoded && Array.isArray(decoded.bytes)) {
+        return extractValueFromBytes(Buffer.from(decoded.bytes), byteConfig);
+    }
+    if (!jsonPath) return decoded;
+    return extractValueFromJSON(decoded, jsonPath);
+}
+
+// ============================================================================
+// ENCODEURS DE DOWNLINK (TEMPLATES PAR COMMANDE)
+// ============================================================================
+// Chaque commande d'actionneur (reservoir.downlinkPump / downlinkFill / downlinkMode)
+// peut définir sa trame; null = comportement historique (texte '1'/'0'/mode, fPort 1, confirmé):
+// { fPort: 10, confirmed: true, type: 'bytes'|'json'|'text', template: '01 {state:u8} {duration:u16}', defaultDuration: 60 }
+// Variables: {state} (1/0, mode auto = 1), {duration} (secondes), {mode} ('auto'/'manual')
+// - bytes: octets hexadécimaux et variables typées {nom:u8|i8|u16|u16le|i16|i16le|u32|u32le|i32|i32le}
+// - json: objet JSON (champ "object" ChirpStack, encodé par le codec du dispositif)
+// - text: texte libre envoyé tel quel (base64 dans "data")
+
+const DOWNLINK_TEMPLATE_TYPES = ['bytes', 'json', 'text'];
+const DOWNLINK_VARIABLES = ['state', 'duration', 'mode'];
+
+// Types numériques des variables d'un template d'octets: taille et méthode Buffer
+const DOWNLINK_BYTE_TYPES = {
+    u8: { size: 1, write: 'writeUInt8' },
+    i8: { size: 1, write: 'writeInt8' },
+    u16: { size: 2, write: 'writeUInt16BE' },
+    u16le: { size: 2, write: 'writeUInt16LE' },
+    i16: { size: 2, write: 'writeInt16BE' },
+    i16le: { size: 2, write: 'writeInt16LE' },
+    u32: { size: 4, write: 'writeUInt32BE' },
+    u32le: { size: 4, write: 'writeUInt32LE' },
+    i32: { size: 4, write: 'writeInt32BE' },
+    i32le: { size: 4, write: 'writeInt32LE' }
+};
+
+const DOWNLINK_VARIABLE_PATTERN = /\{(state|duration|mode)(?::(\w+))?\}/g;
+
+/**
+ * Valeurs des variables d'un downlink pour une commande
+ */
+function getDownlinkVariables(kind, value, durationSeconds) {
+    let state;
+    if (kind === 'mode') {
+        state = value === 'auto' ? 1 : 0;
+    } else if (kind === 'fill') {
+        state = 1;
+    } else {
+        state = value ? 1 : 0;
+    }
+    
+    return {
+        state,
+        duration: Math.round(Number(durationSeconds) || 0),
+        mode: kind === 'mode' ? value : null
+    };
+}
+
+/**
+ * Encode un template d'octets: "01 {state:u8} {duration:u16}" -> Buffer
+ */
+function encodeByteTemplate(template, variables) {
+    const chunks = [];
+    const tokens = template.replace(/,/g, ' ').trim().split(/\s+/);
+    
+    tokens.forEach(token => {
+        const variableMatch = token.match(/^\{(\w+)(?::(\w+))?\}$/);
+        if (variableMatch) {
+            const [, name, typeName = 'u8'] = variableMatch;
+            const byteType = DOWNLINK_BYTE_TYPES[typeName];
+            if (!DOWNLINK_VARIABLES.includes(name) || name === 'mode') {
+                throw new Error(`Variable inconnue dans le template d'octets: ${name}`);
+            }
+            if (!byteType) {
+                throw new Error(`Type d'octets inconnu: ${typeName}`);
+            }
+            
+            const chunk = Buffer.alloc(byteType.size);
+            try {
+                chunk[byteType.write](variables[name], 0);
+            } catch (error) {
+                throw new Error(`Valeur ${variables[name]} hors limites pour {${name}:${typeName}}`);
+            }
+            chunks.push(chunk);
+            return;
+        }
+        
+        const hex = token.replace(/^0x/i, '');
+        if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+            throw new Error(`Octet invalide dans le template: ${token}`);
+        }
+        chunks.push(Buffer.from(hex, 'hex'));
+    });
+    
+    if (chunks.length === 0) {
+        throw new Error('Template d\'octets vide');
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Encode le contenu d'un downlink
+ * Retourne { bytes: Buffer } (bytes, text) ou { object } (json)
+ */
+function encodeDownlinkTemplate(downlink, variables) {
+    if (downlink.type === 'bytes') {
+        return { bytes: encodeByteTemplate(downlink.template, variables) };
+    }
+    
+    if (downlink.type === 'json') {
+        const text = downlink.template.replace(DOWNLINK_VARIABLE_PATTERN, (match, name) => JSON.stringify(variables[name]));
+        try {
+            return { object: JSON.parse(text) };
+        } catch (error) {
+            throw new Error(`Template JSON invalide: ${error.message}`);
+        }
+    }
+    
+    const text = downlink.template.replace(DOWNLINK_VARIABLE_PATTERN, (match, name) => 
+        variables[name] === null ? '' : String(variables[name])
+    );
+    return { bytes: Buffer.from(text) };
+}
+
+/**
+ * Valide un template de downlink (null = format historique)
+ */
+function validateDownlinkTemplate(downlink) {
+    if (downlink === undefined || downlink === null) return null;
+    if (typeof downlink !== 'object') return 'Template de downlink invalide';
+    
+    const fPort = Number(downlink.fPort);
+    if (!Number.isInteger(fPort) || fPort < 1 || fPort > 223) {
+        return `fPort invalide: ${downlink.fPort} (1 à 223)`;
+    }
+    if (!DOWNLINK_TEMPLATE_TYPES.includes(downlink.type)) {
+        return `Type de template inconnu: ${downlink.type}`;
+    }
+    if (typeof downlink.template !== 'string' || !downlink.template.trim()) {
+        return 'Template de downlink vide';
+    }
+    if (downlink.defaultDuration !== undefined && downlink.defaultDuration !== null && !(Number(downlink.defaultDuration) >= 0)) {
+        return `Durée par défaut invalide: ${downlink.defaultDuration}`;
+    }
+    
+    // Essai d'encodage avec des valeurs représentatives
+    try {
+        encodeDownlinkTemplate(downlink, { state: 1, duration: Number(downlink.defaultDuration) || 0, mode: 'auto' });
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+// ============================================================================
+// BOÎTE DE RÉCEPTION DES NOUVEAUX DISPOSITIFS (TOPICS NON ASSOCIÉS)
+// ============================================================================
+// Les messages reçus sur un topic qu'aucun capteur/réservoir ne reconnaît
+// (topic de base de découverte, wildcards liés à un autre dispositif) sont
+// regroupés par topic pour pouvoir créer les capteurs en une étape.
+
+const DEVICE_INBOX_MAX_TOPICS = 200;
+const deviceInbox = new Map();
+
+// Valeurs par défaut par type (icône, couleur, unité) - identiques à l'interface
+const SENSOR_TYPE_DEFAULTS = {
+    temperature: { icon: '🌡️', color: '#FF6B6B', defaultUnit: '°C' },
+    humidity: { icon: '💧', color: '#4ECDC4', defaultUnit: '%' },
+    light: { icon: '☀️', color: '#FFE66D', defaultUnit: 'lux' },
+    ph: { icon: '🧪', color: '#A8E6CF', defaultUnit: 'pH' },
+    moisture: { icon: '🌱', color: '#8FBC8F', defaultUnit: '%' },
+    wind: { icon: '💨', color: '#87CEEB', defaultUnit: 'km/h' },
+    rain: { icon: '🌧️', color: '#6495ED', defaultUnit: 'mm' },
+    pressure: { icon: '📊', color: '#DDA0DD', defaultUnit: 'hPa' },
+    co2: { icon: '🫧', color: '#F0E68C', defaultUnit: 'ppm' },
+    nutrition: { icon: '🌿', color: '#98FB98', defaultUnit: 'EC' },
+    custom: { icon: '🔧', color: '#9E9E9E', defaultUnit: '' }
+};
+
+// Déduction du type depuis le nom du champ (premier motif trouvé)
+const FIELD_TYPE_RULES = [
+    { pattern: /temp/i, type: 'temperature' },
+    { pattern: /soil|moist/i, type: 'moisture' },
+    { pattern: /hum/i, type: 'humidity' },
+    { pattern: /lux|light|illum/i, type: 'light' },
+    { pattern: /(^|_)ph($|_)/i, type: 'ph' },
+    { pattern: /wind/i, type: 'wind' },
+    { pattern: /rain|precip/i, type: 'rain' },
+    { pattern: /press|baro/i, type: 'pressure' },
+    { pattern: /co2/i, type: 'co2' },
+    { pattern: /(^|_)ec($|_)|conduct|nutri/i, type: 'nutrition' }
+];
+
+// Déduction de l'unité depuis le suffixe du champ (ex: temperature_c, humidity_percent)
+const FIELD_UNIT_RULES = [
+    { pattern: /_c$|celsius/i, unit: '°C' },
+    { pattern: /_f$|fahrenheit/i, unit: '°F' },
+    { pattern: /_percent$|_pct$/i, unit: '%' },
+    { pattern: /_kmh$/i, unit: 'km/h' },
+    { pattern: /_ms$|_mps$/i, unit: 'm/s' },
+    { pattern: /_hpa$/i, unit: 'hPa' },
+    { pattern: /_mm$/i, unit: 'mm' },
+    { pattern: /_ppm$/i, unit: 'ppm' },
+    { pattern: /_mv$/i, unit: 'mV' },
+    { pattern: /_v$/i, unit: 'V' },
+    { pattern: /_lux$/i, unit: 'lux' },
+    { pattern: /_deg$|direction/i, unit: '°' }
+];
+
+/**
+ * Déduit type et unité d'un capteur depuis le nom d'un champ
+ */
+function inferSensorField(fieldName) {
+    const typeRule = FIELD_TYPE_RULES.find(rule => rule.pattern.test(fieldName));
+    const unitRule = FIELD_UNIT_RULES.find(rule => rule.pattern.test(fieldName));
+    const type = typeRule ? typeRule.type : 'custom';
+    
+    return {
+        type,
+        unit: unitRule ? unitRule.unit : SENSOR_TYPE_DEFAULTS[type].defaultUnit
+    };
+}
+
+/**
+ * Liste les champs numériques d'un objet JSON avec leur JSONPath
+ */
+function collectNumericFields(value, jsonPath, fields, depth = 0, fieldName = jsonPath) {
+    if (fields.length >= 50 || depth > 4 || value === null || value === undefined) return fields;
+    
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectNumericFields(item, appendJSONPathKey(jsonPath, index), fields, depth + 1, fieldName));
+    } else if (typeof value === 'object') {
+        Object.keys(value).forEach(key => {
+            collectNumericFields(value[key], appendJSONPathKey(jsonPath, key), fields, depth + 1, key);
+        });
+    } else if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))) {
+        fields.push({ path: jsonPath, sample: Number(value), name: fieldName, ...inferSensorField(fieldName) });
+    }
+    
+    return fields;
+}
+
+/**
+ * Analyse un payload inconnu: format détecté, identité ChirpStack et champs candidats
+ */
+function analyzeUnknownPayload(messageStr) {
+    let jsonData = null;
+    try {
+        jsonData = JSON.parse(messageStr);
+    } catch (error) {
+        jsonData = null;
+    }
+    
+    if (jsonData === null || typeof jsonData !== 'object') {
+        const numeric = messageStr.trim() !== '' && !isNaN(Number(messageStr.trim()));
+        return {
+            detectedFormat: numeric ? 'numeric' : 'raw',
+            device: null,
+            fields: numeric ? [{ path: '', sample: Number(messageStr.trim()), name: 'value', ...inferSensorField('value') }] : []
+        };
+    }
+    
+    const detectedFormat = detectJsonFormat(jsonData);
+    const isUplink = detectedFormat === 'chirpstack_receive' || detectedFormat === 'chirpstack_v4_receive';
+    const fields = isUplink
+        ? collectNumericFields(jsonData.object, 'object', [])
+        : collectNumericFields(jsonData, '', []);
+    
+    return { detectedFormat, device: extractChirpStackDevice(jsonData), fields };
+}
+
+/**
+ * Enregistre un message reçu sur un topic sans dispositif associé (par connexion MQTT)
+ */
+function recordUnmatchedMessage(connectionId, topic, messageStr, packet, receivedTimestamp, context = createLiveContext()) {
+    // Rejeu sandbox: la boîte de réception live n'est pas alimentée
+    if (context.sandbox) return;
+    
+    const id = Buffer.from(`${connectionId}|${topic}`).toString('base64url');
+    let entry = deviceInbox.get(id);
+    
+    if (!entry) {
+        // Limite mémoire: on oublie le topic le plus ancien
+        if (deviceInbox.size >= DEVICE_INBOX_MAX_TOPICS) {
+            let oldest = null;
+            deviceInbox.forEach(candidate => {
+                if (!oldest || candidate.lastSeen < oldest.lastSeen) oldest = candidate;
+            });
+            deviceInbox.delete(oldest.id);
+        }
+        
+        entry = { id, connectionId, topic, firstSeen: receivedTimestamp, messageCount: 0 };
+        deviceInbox.set(id, entry);
+        console.log(`📥 Nouveau topic en boîte de réception: ${topic}`);
+    }
+    
+    const analysis = analyzeUnknownPayload(messageStr);
+    
+    entry.lastSeen = receivedTimestamp;
+    entry.messageCount++;
+    entry.qos = packet && packet.qos !== undefined ? packet.qos : 0;
+    entry.lastPayload = messageStr.substring(0, 2000);
+    entry.detectedFormat = analysis.detectedFormat;
+    entry.devEUI = analysis.device ? analysis.device.devEUI : (extractDeviceIdentity(matchTopic('application/{app}/device/{devEUI}/#', topic)) || null);
+    entry.deviceName = analysis.device ? analysis.device.deviceName : null;
+    entry.fields = analysis.fields;
+    
+    context.emit('device_inbox_updated', entry);
+}
+
+// ============================================================================
+// QUALITÉ DE LIAISON LORAWAN (RSSI, SNR, PASSERELLE, PERTE DE TRAMES)
+// ============================================================================
+// Chaque uplink ChirpStack (v3 ou v4) met à jour un enregistrement par devEUI:
+// métadonnées radio de la meilleure passerelle, trous de fCnt (trames perdues),
+// remises à zéro du compteur (redémarrage / re-join du dispositif) et trames hors séquence.
+
+const LINK_HISTORY_MAX_ENTRIES = 1000;
+const FCNT_RESET_MAX_VALUE = 16; // Après redémarrage / re-join, le compteur repart de 0
+const FCNT_REORDER_WINDOW = 64; // Recul plus court: trame retardée (passerelles, réseau), pas une remise à zéro
+const FCNT_RESET_SILENCE_MS = 10 * 60 * 1000; // Recul après un silence: redémarrage (une trame retardée suit de près la suivante)
+
+/**
+ * Extrait les métadonnées radio d'un uplink ChirpStack v3/v4
+ * La meilleure passerelle (RSSI le plus élevé) est retenue
+ */
+function extractLinkMetadata(jsonData) {
+    const rxInfo = Array.isArray(jsonData.rxInfo) ? jsonData.rxInfo : [];
+    let best = null;
+    
+    rxInfo.forEach(rx => {
+        const gateway = {
+            gatewayId: rx.gatewayId || rx.gatewayID || null,
+            rssi: typeof rx.rssi === 'number' ? rx.rssi : null,
+            snr: typeof rx.snr === 'number' ? rx.snr : (typeof rx.loRaSNR === 'number' ? rx.loRaSNR : null)
+        };
+        if (!best || (gateway.rssi !== null && (best.rssi === null || gateway.rssi > best.rssi))) {
+            best = gateway;
+        }
+    });
+    
+    const txInfo = jsonData.txInfo || {};
+    const fCnt = jsonData.fCnt !== undefined ? parseInt(jsonData.fCnt) : null;
+    
+    return {
+        fCnt: isNaN(fCnt) ? null : fCnt,
+        rssi: best ? best.rssi : null,
+        snr: best ? best.snr : null,
+        gatewayId: best ? best.gatewayId : null,
+        gatewayCount: rxInfo.length,
+        dr: jsonData.dr !== undefined ? jsonData.dr : (txInfo.dr !== undefined ? txInfo.dr : null),
+        frequency: txInfo.frequency || null
+    };
+}
+
+/**
+ * Analyse un événement ChirpStack v3/v4 (uplink ou statut du dispositif)
+ * Retourne { json, identity, isUplink } ou null pour tout autre message
+ */
+function parseChirpStackEvent(messageStr) {
+    if (!messageStr.trim().startsWith('{')) return null;
+    
+    let jsonData;
+    try {
+        jsonData = JSON.parse(messageStr);
+    } catch (error) {
+        return null;
+    }
+    
+    const isUplink = isChirpStackReceiveFormat(jsonData) || isChirpStackV4ReceiveFormat(jsonData);
+    let identity = extractChirpStackDevice(jsonData);
+    
+    // Événements de statut (batterie, marge) sans "object"/"data"
+    if (!identity && jsonData && jsonData.deviceInfo && jsonData.deviceInfo.devEui) {
+        identity = { devEUI: jsonData.deviceInfo.devEui, deviceName: jsonData.deviceInfo.deviceName || null };
+    } else if (!identity && jsonData && jsonData.devEUI && jsonData.applicationID) {
+        identity = { devEUI: jsonData.devEUI, deviceName: jsonData.deviceName || null };
+    }
+    
+    return identity && identity.devEUI ? { json: jsonData, identity, isUplink } : null;
+}
+
+/**
+ * Retourne l'enregistrement d'un dispositif LoRaWAN (créé au premier message)
+ */
+function getOrCreateDevice(identity, receivedTimestamp, context = createLiveContext()) {
+    let device = context.data.devices[identity.devEUI];
+    if (!device) {
+        device = {
+            devEUI: identity.devEUI,
+            firstSeen: receivedTimestamp,
+            uplinkCount: 0,
+            lostFrames: 0,
+            fCntResets: 0,
+            outOfOrderFrames: 0,
+            lastFCnt: null,
+            backwardFCnt: null, // fCnt de la dernière trame en recul (première trame possible après un redémarrage)
+            lowBatteryAlerted: false,
+            battery: { ...DEFAULT_BATTERY_CONFIG }
+        };
+        context.data.devices[identity.devEUI] = device;
+        console.log(`📶 Nouveau dispositif LoRaWAN suivi: ${identity.devEUI}`);
+    }
+    
+    device.deviceName = identity.deviceName || device.deviceName || null;
+    return device;
+}
+
+/**
+ * Qualité de liaison: good / fair / poor selon RSSI, SNR et perte de trames
+ */
+function computeLinkQuality(rssi, snr, lossPercent) {
+    if (rssi === null && snr === null) return 'unknown';
+    
+    if ((snr !== null && snr < -7.5) || (rssi !== null && rssi < -120) || lossPercent > 20) {
+        return 'poor';
+    }
+    if ((snr !== null && snr < 0) || (rssi !== null && rssi < -110) || lossPercent > 5) {
+        return 'fair';
+    }
+    return 'good';
+}
+
+/**
+ * Taux de perte sur une liste d'uplinks (trames perdues / trames attendues)
+ */
+function computeLossPercent(entries) {
+    const lost = entries.reduce((sum, entry) => sum + (entry.lost || 0), 0);
+    const expected = entries.length + lost;
+    return expected > 0 ? Math.round((lost / expected) * 1000) / 10 : 0;
+}
+
+/**
+ * Enregistre un uplink ChirpStack dans l'historique de liaison du dispositif
+ */
+function recordDeviceUplink(jsonData, identity, connectionId, topic, receivedTimestamp, context = createLiveContext()) {
+    const devEUI = identity.devEUI;
+    const link = extractLinkMetadata(jsonData);
+    const device = getOrCreateDevice(identity, receivedTimestamp, context);
+    
+    // Analyse du compteur de trames: un recul est une remise à zéro s'il repart d'une petite valeur
+    // après un grand écart, s'il suit un silence du dispositif, ou si la trame précédente avait déjà
+    // reculé et que celle-ci la prolonge (compteur reparti d'une nouvelle base). Sinon c'est une
+    // trame arrivée en retard
+    let lost = 0;
+    let reset = false;
+    let outOfOrder = false;
+    if (link.fCnt !== null && device.lastFCnt !== null) {
+        const previousBackward = typeof device.backwardFCnt === 'number' ? device.backwardFCnt : null;
+        const continuesBackward = previousBackward !== null && link.fCnt > previousBackward &&
+            link.fCnt - previousBackward <= FCNT_REORDER_WINDOW;
+        const silenceMs = device.lastSeen ? receivedTimestamp - new Date(device.lastSeen) : 0;
+        
+        if (link.fCnt < device.lastFCnt && continuesBackward) {
+            // La trame précédente était la première après le redémarrage, pas une trame en retard
+            const history = context.data.deviceLinkHistory[devEUI] || [];
+            const first = history[history.length - 1];
+            if (first && first.fCnt === previousBackward && first.outOfOrder) {
+                first.outOfOrder = false;
+                first.reset = true;
+            }
+            device.outOfOrderFrames = Math.max((device.outOfOrderFrames || 0) - 1, 0);
+            device.fCntResets++;
+            lost = link.fCnt - previousBackward - 1;
+            device.lostFrames += lost;
+            console.log(`🔁 Remise à zéro fCnt ${devEUI}: ${device.lastFCnt} -> ${previousBackward} (confirmée par fCnt ${link.fCnt})`);
+        } else if (link.fCnt < device.lastFCnt && (silenceMs > FCNT_RESET_SILENCE_MS ||
+            (link.fCnt <= FCNT_RESET_MAX_VALUE && device.lastFCnt - link.fCnt > FCNT_REORDER_WINDOW))) {
+            reset = true;
+            device.fCntResets++;
+            console.log(`🔁 Remise à zéro fCnt ${devEUI}: ${device.lastFCnt} -> ${link.fCnt}`);
+        } else if (link.fCnt < device.lastFCnt) {
+            outOfOrder = true;
+            device.outOfOrderFrames = (device.outOfOrderFrames || 0) + 1;
+            console.log(`🔀 Trame hors séquence ${devEUI}: fCnt ${link.fCnt} reçu après ${device.lastFCnt}`);
+        } else if (link.fCnt > device.lastFCnt + 1) {
+            lost = link.fCnt - device.lastFCnt - 1;
+            device.lostFrames += lost;
+            console.log(`📉 ${lost} trames perdues pour ${devEUI} (fCnt ${device.lastFCnt} -> ${link.fCnt})`);
+        }
+    }
+    // Trame en retard: le compteur de référence reste le plus récent
+    if (link.fCnt !== null && !outOfOrder) device.lastFCnt = link.fCnt;
+    if (link.fCnt !== null) device.backwardFCnt = outOfOrder ? link.fCnt : null;
+    
+    device.lastTopic = topic;
+    device.connectionId = connectionId;
+    device.lastSeen = receivedTimestamp;
+    device.uplinkCount++;
+    device.lastRssi = link.rssi;
+    device.lastSnr = link.snr;
+    device.lastGatewayId = link.gatewayId;
+    device.lastDr = link.dr;
+    
+    if (!context.data.deviceLinkHistory[devEUI]) {
+        context.data.deviceLinkHistory[devEUI] = [];
+    }
+    const history = context.data.deviceLinkHistory[devEUI];
+    history.push({ timestamp: receivedTimestamp, ...link, lost, reset, outOfOrder });
+    if (history.length > LINK_HISTORY_MAX_ENTRIES) {
+        history.shift();
+    }
+    
+    // Perte et qualité sur les 50 derniers uplinks (la perte historique reste dans lostFrames)
+    device.lossPercent = computeLossPercent(history.slice(-50));
+    device.linkQuality = computeLinkQuality(link.rssi, link.snr, device.lossPercent);
+    
+    context.emit('device_link_update', device);
+    return device;
+}
+
+// ============================================================================
+// BATTERIE DES DISPOSITIFS (NIVEAU, COURBES DE DÉCHARGE, AUTONOMIE)
+// ============================================================================
+// Source configurable par dispositif:
+// - auto: batteryLevel de l'enveloppe ChirpStack (événement status) ou champs
+//   usuels de "object" (battery_percent, battery_v, battery_mv...)
+// - jsonPath: champ explicite, en pourcentage, volts ou millivolts
+// - none: suivi désactivé
+// Les tensions sont converties en pourcentage avec la courbe de la chimie choisie.
+
+const DEFAULT_BATTERY_CONFIG = {
+    source: 'auto',
+    jsonPath: '',
+    unit: 'volt',
+    chemistry: 'lithium_3v6',
+    lowThreshold: 20
+};
+
+const BATTERY_HISTORY_MAX_ENTRIES = 1000;
+const BATTERY_ALERT_HYSTERESIS = 5; // Points au-dessus du seuil pour réarmer l'alerte (remplacement de la pile)
+
+// Courbes tension (V) -> pourcentage, interpolées linéairement
+const BATTERY_CHEMISTRIES = {
+    lithium_3v6: { label: 'Lithium-chlorure de thionyle 3,6 V (ER14505, ER34615)', curve: [[3.0, 0], [3.3, 10], [3.45, 30], [3.55, 60], [3.6, 90], [3.65, 100]] },
+    alkaline_2aa: { label: 'Alcaline 2×AA (3 V)', curve: [[2.0, 0], [2.2, 10], [2.4, 30], [2.6, 60], [2.8, 85], [3.0, 95], [3.2, 100]] },
+    lithium_ion_1s: { label: 'Li-ion / LiPo 1S (3,7 V)', curve: [[3.3, 0], [3.5, 5], [3.6, 10], [3.7, 30], [3.8, 55], [3.9, 70], [4.0, 82], [4.1, 92], [4.2, 100]] },
+    lifepo4_1s: { label: 'LiFePO4 1S (3,2 V)', curve: [[2.5, 0], [3.0, 10], [3.2, 30], [3.25, 60], [3.3, 80], [3.35, 95], [3.6, 100]] },
+    nimh_3: { label: 'NiMH 3 éléments (3,6 V)', curve: [[3.0, 0], [3.45, 10], [3.6, 40], [3.75, 75], [3.9, 100]] }
+};
+
+const BATTERY_PERCENT_FIELDS = ['battery_percent', 'batteryPercent', 'battery_level', 'batteryLevel', 'bat_percent'];
+const BATTERY_VOLT_FIELDS = ['battery_v', 'batteryVoltage', 'battery_voltage', 'bat_v', 'vbat'];
+const BATTERY_MILLIVOLT_FIELDS = ['battery_mv', 'bat_mv', 'vbat_mv'];
+
+/**
+ * Valide la configuration batterie d'un dispositif
+ */
+function validateBatteryConfig(battery) {
+    if (!['auto', 'jsonPath', 'none'].includes(battery.source)) {
+        return `Source batterie inconnue: ${battery.source}`;
+    }
+    if (battery.source === 'jsonPath' && (!battery.jsonPath || !validateJSONPath(battery.jsonPath))) {
+        return `JSONPath batterie invalide: ${battery.jsonPath}`;
+    }
+    if (!['percent', 'volt', 'millivolt'].includes(battery.unit)) {
+        return `Unité batterie inconnue: ${battery.unit} (percent, volt, millivolt)`;
+    }
+    if (!BATTERY_CHEMISTRIES[battery.chemistry]) {
+        return `Chimie de batterie inconnue: ${battery.chemistry}`;
+    }
+    if (typeof battery.lowThreshold !== 'number' || battery.lowThreshold < 0 || battery.lowThreshold > 100) {
+        return 'Le seuil de batterie faible doit être compris entre 0 et 100%';
+    }
+    return null;
+}
+
+/**
+ * Convertit une tension en pourcentage selon la courbe de la chimie
+ */
+function batteryVoltageToPercent(voltage, chemistry) {
+    const { curve } = BATTERY_CHEMISTRIES[chemistry] || BATTERY_CHEMISTRIES[DEFAULT_BATTERY_CONFIG.chemistry];
+    const percent = interpolateCalibration(curve, voltage);
+    return Math.round(Math.min(100, Math.max(0, percent)) * 10) / 10;
+}
+
+/**
+ * Lit la batterie d'un événement ChirpStack selon la configuration du dispositif
+ * Retourne { percent, voltage } ou null si le message ne contient pas de batterie
+ */
+function extractBatteryReading(jsonData, battery) {
+    const toNumber = value => (value === null || value === undefined || isNaN(parseFloat(value)) ? null : parseFloat(value));
+    const fromVoltage = voltage => ({ percent: batteryVoltageToPercent(voltage, battery.chemistry), voltage });
+    
+    if (battery.source === 'none') return null;
+    
+    if (battery.source === 'jsonPath') {
+        const value = toNumber(extractValueFromJSON(jsonData, battery.jsonPath));
+        if (value === null) return null;
+        if (battery.unit === 'percent') return { percent: value, voltage: null };
+        return fromVoltage(battery.unit === 'millivolt' ? value / 1000 : value);
+    }
+    
+    // auto: enveloppe ChirpStack (événement status), sauf alimentation externe
+    if (typeof jsonData.batteryLevel === 'number' && !jsonData.batteryLevelUnavailable && !jsonData.externalPowerSource) {
+        return { percent: jsonData.batteryLevel, voltage: null };
+    }
+    
+    const object = jsonData.object;
+    if (!object || typeof object !== 'object') return null;
+    
+    const percentField = BATTERY_PERCENT_FIELDS.find(field => toNumber(object[field]) !== null);
+    if (percentField) return { percent: toNumber(object[percentField]), voltage: null };
+    
+    const voltField = BATTERY_VOLT_FIELDS.find(field => toNumber(object[field]) !== null);
+    if (voltField) return fromVoltage(toNumber(object[voltField]));
+    
+    const millivoltField = BATTERY_MILLIVOLT_FIELDS.find(field => toNumber(object[field]) !== null);
+    if (millivoltField) return fromVoltage(toNumber(object[millivoltField]) / 1000);
+    
+    return null;
+}
+
+/**
+ * Estime le nombre de jours avant décharge complète (régression linéaire)
+ * Ne considère que les mesures depuis le dernier changement/recharge de batterie
+ */
+function estimateDaysUntilEmpty(history) {
+    let start = 0;
+    for (let i = 1; i < history.length; i++) {
+        if (history[i].percent - history[i - 1].percent > 10) start = i;
+    }
+    
+    const points = history.slice(start);
+    if (points.length < 3) return null;
+    
+    const t0 = new Date(points[0].timestamp).getTime();
+    const xs = points.map(p => (new Date(p.timestamp).getTime() - t0) / 86400000);
+    const ys = points.map(p => p.percent);
+    
+    // Tendance significative: au moins une heure de mesures
+    if (xs[xs.length - 1] < 1 / 24) return null;
+    
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < n; i++) {
+        numerator += (xs[i] - meanX) * (ys[i] - meanY);
+        denominator += (xs[i] - meanX) * (xs[i] - meanX);
+    }
+    
+    const slope = denominator > 0 ? numerator / denominator : 0; // %/jour
+    if (slope >= 0) return null;
+    
+    return Math.round((ys[n - 1] / -slope) * 10) / 10;
+}
+
+/**
+ * Enregistre le niveau de batterie d'un dispositif et vérifie le seuil bas
+ */
+function recordDeviceBattery(jsonData, identity, receivedTimestamp, context = createLiveContext()) {
+    const existing = context.data.devices[identity.devEUI];
+    const battery = existing ? existing.battery : DEFAULT_BATTERY_CONFIG;
+    
+    const reading = extractBatteryReading(jsonData, battery);
+    if (!reading) return null;
+    
+    const device = getOrCreateDevice(identity, receivedTimestamp, context);
+    const devEUI = device.devEUI;
+    
+    if (!context.data.deviceBatteryHistory[devEUI]) {
+        context.data.deviceBatteryHistory[devEUI] = [];
+    }
+    const history = context.data.deviceBatteryHistory[devEUI];
+    history.push({ timestamp: receivedTimestamp, percent: reading.percent, voltage: reading.voltage });
+    if (history.length > BATTERY_HISTORY_MAX_ENTRIES) {
+        history.shift();
+    }
+    
+    device.batteryPercent = reading.percent;
+    device.batteryVoltage = reading.voltage;
+    device.batteryUpdatedAt = receivedTimestamp;
+    device.daysUntilEmpty = estimateDaysUntilEmpty(history);
+    
+    console.log(`🔋 Batterie ${device.deviceName || devEUI}: ${reading.percent}%${reading.voltage !== null ? ` (${reading.voltage} V)` : ''}`);
+    
+    // Alerte au franchissement du seuil uniquement, réarmée quand la batterie remonte
+    // nettement au-dessus (les mesures oscillent autour du seuil d'un uplink à l'autre)
+    if (reading.percent <= device.battery.lowThreshold) {
+        if (!device.lowBatteryAlerted) {
+            device.lowBatteryAlerted = true;
+            context.emit('alert', {
+                type: 'low_battery',
+                device: device.deviceName || devEUI,
+                devEUI,
+                battery: reading.percent,
+                threshold: device.battery.lowThreshold,
+                daysUntilEmpty: device.daysUntilEmpty
+            });
+        }
+    } else if (reading.percent > device.battery.lowThreshold + BATTERY_ALERT_HYSTERESIS) {
+        device.lowBatteryAlerted = false;
+    }
+    
+    context.emit('device_battery_update', device);
+    return device;
+}
+
+// ============================================================================
+// SUPPRESSION DES DOUBLONS (PLUSIEURS PASSERELLES, REDÉLIVRANCE QoS 1)
+// ============================================================================
+// Un même uplink peut arriver plusieurs fois: une copie par passerelle à portée
+// et les redélivrances QoS 1. Clé de déduplication:
+// - uplink ChirpStack avec fCnt: devEUI + fCnt (fenêtre duplicateFCntWindowMs)
+// - autres messages: hash topic + payload (fenêtre duplicatePayloadWindowMs)
+
+const recentMessageKeys = new Map(); // clé -> expiration (ms)
+const duplicateTopicCounters = new Map(); // topic -> doublons ignorés (hors LoRaWAN)
+let duplicatesDroppedTotal = 0;
+
+/**
+ * Calcule la clé de déduplication et sa fenêtre pour un message
+ */
+function getDuplicateKey(topic, message, chirpStackEvent, context = createLiveContext()) {
+    const config = context.data.config || {};
+    
+    if (chirpStackEvent && chirpStackEvent.isUplink && chirpStackEvent.json.fCnt !== undefined) {
+        return {
+            key: `fcnt:${chirpStackEvent.identity.devEUI.toLowerCase()}:${chirpStackEvent.json.fCnt}`,
+            windowMs: config.duplicateFCntWindowMs !== undefined ? config.duplicateFCntWindowMs : 60000,
+            devEUI: chirpStackEvent.identity.devEUI
+        };
+    }
+    
+    const hash = crypto.createHash('sha1').update(topic).update('\0').update(message).digest('hex');
+    return {
+        key: `payload:${hash}`,
+        windowMs: config.duplicatePayloadWindowMs !== undefined ? config.duplicatePayloadWindowMs : 2000,
+        devEUI: chirpStackEvent ? chirpStackEvent.identity.devEUI : null
+    };
+}
+
+/**
+ * Retourne true si le message est un doublon récent (et le comptabilise)
+ */
+function isDuplicateMessage(topic, message, chirpStackEvent, context = createLiveContext()) {
+    const { key, windowMs, devEUI } = getDuplicateKey(topic, message, chirpStackEvent, context);
+    if (!windowMs || windowMs <= 0) return false;
+    
+    const now = Date.now();
+    // Rejeu: fenêtre de déduplication propre (la réception d'origine ne masque pas la capture)
+    const messageKeys = context.recentMessageKeys;
+    
+    // Nettoyage des clés expirées
+    if (messageKeys.size > 1000) {
+        messageKeys.forEach((expiresAt, recentKey) => {
+            if (expiresAt <= now) messageKeys.delete(recentKey);
+        });
+    }
+    
+    const expiresAt = messageKeys.get(key);
+    if (expiresAt === undefined || expiresAt <= now) {
+        messageKeys.set(key, now + windowMs);
+        return false;
+    }
+    
+    if (devEUI && context.data.devices[devEUI]) {
+        const device = context.data.devices[devEUI];
+        device.duplicatesDropped = (device.duplicatesDropped || 0) + 1;
+    } else if (!context.sandbox) {
+        duplicateTopicCounters.set(topic, (duplicateTopicCounters.get(topic) || 0) + 1);
+    }
+    if (!context.sandbox) duplicatesDroppedTotal++;
+    
+    return true;
+}
+
+// ============================================================================
+// FILE DE COMMANDES SORTANTES (POMPE, REMPLISSAGE, MODE)
+// ============================================================================
+// Chaque commande vers un réservoir est enregistrée (stationData.commandQueue)
+// avant publication, et survit donc à un redémarrage:
+// - queued: en attente du broker (hors ligne ou échec de publication)
+// - sent: publiée, l'état du réservoir (pompe/mode) est alors mis à jour
+// - expired: non délivrée avant expiresAt (ex: ne pas démarrer une pompe 2h en retard)
+// - cancelled: annulée par l'utilisateur ou réservoir supprimé
+// Les commandes en attente sont rejouées dans l'ordre à la (re)connexion du broker.
+// Transport Modbus (reservoir.modbusPump / modbusFill): écriture directe sur l'automate,
+// rejouée après la prochaine lecture réussie de l'équipement (voir MODBUS TCP).
+
+const COMMAND_QUEUE_MAX_ENTRIES = 500; // Commandes terminées conservées pour l'historique
+const COMMAND_SEND_TIMEOUT_MS = 5000; // Attente maximale de l'accusé de publication dans les routes
+const deliveringCommandIds = new Set(); // Publications en cours (accusé QoS non reçu)
+
+/**
+ * Construit topic, payload et QoS d'une commande de réservoir
+ * kind: 'pump' (value: boolean), 'fill', 'mode' (value: 'auto'|'manual')
+ * Retourne { topic, payload, payloadEncoding, qos } ou { error }
+ * Une cible Modbus configurée est prioritaire sur le topic MQTT
+ */
+function buildReservoirCommand(reservoir, kind, value, durationSeconds) {
+    const modbusTargets = { pump: reservoir.modbusPump, fill: reservoir.modbusFill };
+    if (modbusTargets[kind]) {
+        return buildModbusCommand(modbusTargets[kind], kind, value);
+    }
+    
+    const commandTopics = {
+        pump: { pattern: reservoir.pumpTopic, label: 'pompe', isJson: reservoir.isJsonPayloadPump, format: reservoir.jsonFormatPump, qos: reservoir.mqttQosPump, downlink: reservoir.downlinkPump },
+        fill: { pattern: reservoir.fillTopic, label: 'remplissage', isJson: reservoir.isJsonPayloadFill, format: reservoir.jsonFormatFill, qos: reservoir.mqttQosFill, downlink: reservoir.downlinkFill },
+        mode: { pattern: reservoir.modeTopic, label: 'mode', isJson: reservoir.isJsonPayloadMode, format: reservoir.jsonFormatMode, qos: reservoir.mqttQosMode, downlink: reservoir.downlinkMode }
+    };
+    const commandTopic = commandTopics[kind];
+    
+    if (!commandTopic.pattern) {
+        return { error: `Aucun topic de ${commandTopic.label} configuré` };
+    }
+    
+    const topic = resolveTopicTemplate(commandTopic.pattern, { ...reservoir.topicParams, ...getBoundTopicParams(reservoir.topicBinding) });
+    if (!topic) {
+        return { error: `Topic de ${commandTopic.label} non résolu: captures inconnues (aucun message reçu du dispositif)` };
+    }
+    
+    const qos = commandTopic.qos !== undefined ? commandTopic.qos : 1;
+    const downlink = commandTopic.downlink;
+    
+    if (!downlink) {
+        // Format historique: '1'/'0' pour la pompe, '1' pour le remplissage, le mode en clair
+        const data = kind === 'pump' ? (value ? '1' : '0') : kind === 'fill' ? '1' : value;
+        
+        let payload;
+        if (commandTopic.isJson) {
+            if (commandTopic.format === 'chirpstack_send') {
+                // Format ChirpStack envoi
+                payload = createChirpStackSendPayload(data);
+            } else {
+                // Format simple
+                payload = JSON.stringify(kind === 'mode' ? { mode: data } : { value: data });
+            }
+        } else {
+            // Format normal
+            payload = data;
+        }
+        
+        return { topic, payload, payloadEncoding: 'utf8', qos };
+    }
+    
+    // Template de downlink configuré
+    const duration = durationSeconds !== undefined && durationSeconds !== null ? durationSeconds : downlink.defaultDuration;
+    if (!(Number(duration || 0) >= 0)) {
+        return { error: `Durée invalide: ${durationSeconds}` };
+    }
+    
+    let encoded;
+    try {
+        encoded = encodeDownlinkTemplate(downlink, getDownlinkVariables(kind, value, duration));
+    } catch (error) {
+        return { error: `Downlink ${commandTopic.label}: ${error.message}` };
+    }
+    
+    if (commandTopic.isJson && commandTopic.format === 'chirpstack_send') {
+        // Enveloppe ChirpStack: octets en base64 dans "data", ou "object" pour le codec du dispositif
+        const envelope = { confirmed: downlink.confirmed !== false, fPort: Number(downlink.fPort) };
+        if (encoded.object !== undefined) {
+            envelope.object = encoded.object;
+        } else {
+            envelope.data = encoded.bytes.toString('base64');
+        }
+        return { topic, payload: JSON.stringify(envelope), payloadEncoding: 'utf8', qos };
+    }
+    
+    if (commandTopic.isJson) {
+        // Format simple
+        const payload = encoded.object !== undefined
+            ? JSON.stringify(encoded.object)
+            : JSON.stringify({ data: encoded.bytes.toString('base64') });
+        return { topic, payload, payloadEncoding: 'utf8', qos };
+    }
+    
+    // Format normal: octets bruts (conservés en hexadécimal dans la file)
+    if (encoded.object !== undefined) {
+        return { topic, payload: JSON.stringify(encoded.object), payloadEncoding: 'utf8', qos };
+    }
+    return { topic, payload: encoded.bytes.toString('hex'), payloadEncoding: 'hex', qos };
+}
+
+/**
+ * Payload MQTT d'une commande (les trames binaires sont conservées en hexadécimal)
+ */
+function getCommandPayloadBuffer(command) {
+    return command.payloadEncoding === 'hex' ? Buffer.from(command.payload, 'hex') : Buffer.from(command.payload);
+}
+
+/**
+ * Durée de validité d'une commande: expiresInMs de la requête, sinon config.commandExpiryMs (0 = jamais)
+ */
+function getCommandExpiry(expiresInMs) {
+    const ttl = expiresInMs !== undefined && expiresInMs !== null
+        ? Number(expiresInMs)
+        : stationData.config.commandExpiryMs;
+    return ttl > 0 ? new Date(Date.now() + ttl).toISOString() : null;
+}
+
+function updateCommand(command) {
+    command.updatedAt = new Date().toISOString();
+    io.emit('command_update', command);
+    stationData.lastSaved = new Date().toISOString();
+    saveDataToFile();
+}
+
+/**
+ * Conserve toutes les commandes en attente et les plus récentes terminées
+ */
+function pruneCommandQueue() {
+    const overflow = stationData.commandQueue.length - COMMAND_QUEUE_MAX_ENTRIES;
+    if (overflow <= 0) return;
+    
+    let toRemove = overflow;
+    stationData.commandQueue = stationData.commandQueue.filter(command => {
+        if (toRemove > 0 && command.status !== 'queued') {
+            toRemove--;
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Passe en expired une commande en attente dont l'échéance est dépassée
+ * Retourne true si la commande a expiré
+ */
+function expireCommandIfDue(command, now = Date.now()) {
+    if (command.status !== 'queued' || !command.expiresAt || deliveringCommandIds.has(command.id)) return false;
+    if (new Date(command.expiresAt).getTime() > now) return false;
+    
+    command.status = 'expired';
+    console.log(`⌛ Commande expirée: ${command.reservoirName} ${command.kind} (${command.topic})`);
+    updateCommand(command);
+    
+    const reservoir = stationData.reservoirs.find(r => r.id === command.reservoirId);
+    if (reservoir) revertShadowDesired(reservoir, command);
+    return true;
+}
+
+/**
+ * Publie une commande en attente si sa connexion est disponible
+ * Retourne une promesse résolue après l'accusé de publication (ou immédiatement si hors ligne)
+ */
+function deliverCommand(command) {
+    return new Promise(resolve => {
+        if (command.status !== 'queued' || deliveringCommandIds.has(command.id) || expireCommandIfDue(command)) {
+            return resolve(command);
+        }
+        if (command.transport === 'modbus') {
+            return resolve(deliverModbusCommand(command));
+        }
+        
+        const mqttClient = getMqttClient(command.connectionId);
+        if (!mqttClient) return resolve(command);
+        
+        deliveringCommandIds.add(command.id);
+        command.attempts++;
+        const payload = getCommandPayloadBuffer(command);
+        rememberOutboundMessage(command.connectionId, command.topic, payload);
+        
+        mqttClient.publish(command.topic, payload, { qos: command.qos }, (error) => {
+            deliveringCommandIds.delete(command.id);
+            finishCommandDelivery(command, error);
+            resolve(command);
+        });
+    });
+}
+
+/**
+ * Résultat d'une tentative de livraison (publication MQTT ou écriture Modbus)
+ */
+function finishCommandDelivery(command, error) {
+    if (error) {
+        // Reste en attente: nouvel essai à la prochaine connexion
+        command.lastError = error.message;
+        command.deferred = true;
+        console.error(`❌ Échec publication commande ${command.reservoirName} ${command.kind}:`, error.message);
+    } else {
+        command.status = 'sent';
+        command.sentAt = new Date().toISOString();
+        command.lastError = null;
+        console.log(`📤 Commande délivrée: ${command.reservoirName} ${command.kind} (${command.payload})`);
+        
+        // Seul l'état désiré avance: pumpStatus / isAutoMode attendent le retour d'état du dispositif
+        const reservoir = stationData.reservoirs.find(r => r.id === command.reservoirId);
+        if (reservoir) markShadowSent(reservoir, command);
+    }
+    
+    updateCommand(command);
+}
+
+/**
+ * Enregistre une commande de réservoir puis tente de la publier
+ * Retourne { command } ou { error }
+ */
+function queueReservoirCommand(reservoir, kind, value, options = {}) {
+    const { expiresInMs, durationSeconds } = options;
+    if (expiresInMs !== undefined && expiresInMs !== null && !(Number(expiresInMs) >= 0)) {
+        return { error: `Durée de validité invalide: ${expiresInMs}` };
+    }
+    
+    const built = buildReservoirCommand(reservoir, kind, value, durationSeconds);
+    if (built.error) return built;
+    
+    const now = new Date().toISOString();
+    const command = {
+        id: generateId(),
+        reservoirId: reservoir.id,
+        reservoirName: reservoir.name,
+        connectionId: getEntityConnectionId(reservoir),
+        kind,
+        value: value === undefined ? null : value,
+        durationSeconds: durationSeconds === undefined ? null : durationSeconds,
+        transport: built.transport || 'mqtt',
+        modbus: built.modbus || null, // Cible d'écriture { deviceId, table, address, dataType, wordOrder, value }
+        topic: built.topic,
+        payload: built.payload,
+        payloadEncoding: built.payloadEncoding,
+        qos: built.qos,
+        status: 'queued',
+        deferred: false, // true si la commande a dû attendre le broker
+        attempts: 0,
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        expiresAt: getCommandExpiry(expiresInMs),
+        sentAt: null
+    };
+    
+    stationData.commandQueue.push(command);
+    pruneCommandQueue();
+    setShadowDesired(reservoir, command);
+    
+    if (command.transport === 'mqtt' && !getMqttClient(command.connectionId)) {
+        command.deferred = true;
+        console.log(`📥 Broker hors ligne, commande en attente: ${reservoir.name} ${kind} (${built.payload})`);
+    }
+    updateCommand(command);
+    
+    return { command, delivery: deliverCommand(command) };
+}
+
+/**
+ * Attend la publication d'une commande (bornée) pour répondre avec son état réel
+ */
+function waitForCommandDelivery(delivery) {
+    return Promise.race([
+        delivery,
+        new Promise(resolve => setTimeout(resolve, COMMAND_SEND_TIMEOUT_MS))
+    ]);
+}
+
+/**
+ * Rejoue dans l'ordre les commandes en attente d'une connexion (appelé à la connexion)
+ */
+function flushCommandQueue(connectionId) {
+    const pending = stationData.commandQueue.filter(command => 
+        command.status === 'queued' && command.transport !== 'modbus' && command.connectionId === connectionId
+    );
+    if (pending.length === 0) return;
+    
+    console.log(`📤 ${pending.length} commande(s) en attente à rejouer`);
+    pending.forEach(command => deliverCommand(command));
+}
+
+function expireQueuedCommands() {
+    const now = Date.now();
+    stationData.commandQueue.forEach(command => expireCommandIfDue(command, now));
+}
+
+/**
+ * Annule les commandes en attente (réservoir supprimé, annulation manuelle)
+ */
+function cancelQueuedCommands(predicate) {
+    stationData.commandQueue.forEach(command => {
+        if (command.status === 'queued' && !deliveringCommandIds.has(command.id) && predicate(command)) {
+            command.status = 'cancelled';
+            updateCommand(command);
+            
+            const reservoir = stationData.reservoirs.find(r => r.id === command.reservoirId);
+            if (reservoir) revertShadowDesired(reservoir, command);
+        }
+    });
+}
+
+// ============================================================================
+// ÉTAT DÉSIRÉ / RAPPORTÉ DES ACTIONNEURS (SHADOW) ET ACCUSÉS DE DOWNLINK
+// ============================================================================
+// reservoir.shadow.pump / reservoir.shadow.mode:
+// - desired: état demandé (true/false pour la pompe, 'auto'/'manual' pour le mode)
+// - reported: dernier état remonté par le topic de retour (pompe/mode)
+// - state: queued -> pending (publié) -> acknowledged (ack ChirpStack) -> confirmed (reported = desired)
+//          ou timeout (délai config.commandAckTimeoutMs dépassé, downlink non acquitté) + alerte
+// Les événements ack/txack ChirpStack sont déduits du topic de commande:
+// - v3: application/{id}/device/{devEUI}/tx          -> .../ack, .../txack
+// - v4: application/{id}/device/{devEUI}/command/down -> .../event/ack, .../event/txack
+// Un dispositif qui n'a jamais remonté son état s'arrête à acknowledged (pas de délai de confirmation).
+
+const SHADOW_ACTUATORS = ['pump', 'mode'];
+const COMMAND_ECHO_WINDOW_MS = 30000; // Nos propres commandes reçues en retour sur un topic partagé
+
+const recentOutboundMessages = new Map(); // connexion + topic + payload -> expiration (ms)
+
+function createActuatorShadow() {
+    return {
+        desired: null,
+        reported: null,
+        state: null,
+        commandId: null,
+        previousDesired: null,
+        desiredAt: null,
+        sentAt: null,
+        transmittedAt: null,
+        ackedAt: null,
+        reportedAt: null,
+        confirmedAt: null,
+        deadline: null,
+        error: null
+    };
+}
+
+function createReservoirShadow() {
+    const shadow = {};
+    SHADOW_ACTUATORS.forEach(kind => {
+        shadow[kind] = createActuatorShadow();
+    });
+    return shadow;
+}
+
+function getActuatorShadow(reservoir, kind) {
+    if (!SHADOW_ACTUATORS.includes(kind)) return null;
+    if (!reservoir.shadow) reservoir.shadow = createReservoirShadow();
+    if (!reservoir.shadow[kind]) reservoir.shadow[kind] = createActuatorShadow();
+    return reservoir.shadow[kind];
+}
+
+function emitShadowUpdate(reservoir, context = createLiveContext()) {
+    context.emit('reservoir_shadow_update', { id: reservoir.id, shadow: reservoir.shadow });
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
+}
+
+/**
+ * Préfixe ChirpStack du dispositif d'un topic de commande (v3 .../tx, v4 .../command/down)
+ */
+function getChirpStackDeviceTopic(commandTopic) {
+    const match = (commandTopic || '').match(/^(.*\/device\/[^/]+)\/(tx|command\/down)$/);
+    if (!match) return null;
+    return { prefix: match[1], version: match[2] === 'tx' ? 'v3' : 'v4' };
+}
+
+/**
+ * Filtres ack/txack à suivre pour un topic de commande (motif avec captures accepté)
+ */
+function getDownlinkEventTopics(commandTopic) {
+    const deviceTopic = getChirpStackDeviceTopic(commandTopic);
+    if (!deviceTopic) return [];
+    const eventPrefix = deviceTopic.version === 'v4' ? `${deviceTopic.prefix}/event` : deviceTopic.prefix;
+    return [`${eventPrefix}/ack`, `${eventPrefix}/txack`];
+}
+
+/**
+ * Mémorise une commande publiée pour ignorer son écho (topic de commande = topic de retour)
+ */
+function rememberOutboundMessage(connectionId, topic, payload) {
+    const now = Date.now();
+    recentOutboundMessages.forEach((expiresAt, key) => {
+        if (expiresAt <= now) recentOutboundMessages.delete(key);
+    });
+    recentOutboundMessages.set(`${connectionId}\0${topic}\0${Buffer.from(payload).toString('hex')}`, now + COMMAND_ECHO_WINDOW_MS);
+}
+
+/**
+ * Retourne true (une seule fois) si le message est l'écho d'une commande publiée
+ */
+function isOwnCommandEcho(connectionId, topic, message) {
+    const key = `${connectionId}\0${topic}\0${message.toString('hex')}`;
+    const expiresAt = recentOutboundMessages.get(key);
+    if (expiresAt === undefined) return false;
+    
+    recentOutboundMessages.delete(key);
+    return expiresAt > Date.now();
+}
+
+/**
+ * État à basculer (bouton pompe / mode): état réel, ou état demandé tant que la commande
+ * est en cours ou si le dispositif ne remonte pas son état
+ */
+function getActuatorToggleState(reservoir, kind) {
+    const real = kind === 'pump' ? reservoir.pumpStatus : (reservoir.isAutoMode ? 'auto' : 'manual');
+    const shadow = reservoir.shadow && reservoir.shadow[kind];
+    if (!shadow || shadow.desired === null) return real;
+    if (shadow.reported === null || ['queued', 'pending', 'acknowledged'].includes(shadow.state)) return shadow.desired;
+    return real;
+}
+
+/**
+ * Commande mise en file: nouvel état désiré
+ */
+function setShadowDesired(reservoir, command) {
+    const shadow = getActuatorShadow(reservoir, command.kind);
+    if (!shadow) return;
+    
+    shadow.previousDesired = shadow.desired;
+    shadow.desired = command.value;
+    shadow.commandId = command.id;
+    shadow.state = 'queued';
+    shadow.desiredAt = command.createdAt;
+    shadow.sentAt = null;
+    shadow.transmittedAt = null;
+    shadow.ackedAt = null;
+    shadow.confirmedAt = null;
+    shadow.deadline = null;
+    shadow.error = null;
+    emitShadowUpdate(reservoir);
+}
+
+/**
+ * Commande publiée: attente de l'accusé / du retour d'état
+ */
+function markShadowSent(reservoir, command) {
+    const shadow = getActuatorShadow(reservoir, command.kind);
+    if (!shadow || shadow.commandId !== command.id) return;
+    
+    const timeoutMs = stationData.config.commandAckTimeoutMs;
+    shadow.state = 'pending';
+    shadow.sentAt = command.sentAt;
+    shadow.deadline = timeoutMs > 0 ? new Date(Date.now() + timeoutMs).toISOString() : null;
+    emitShadowUpdate(reservoir);
+}
+
+/**
+ * Commande expirée ou annulée avant publication: l'état désiré précédent est rétabli
+ */
+function revertShadowDesired(reservoir, command) {
+    const shadow = getActuatorShadow(reservoir, command.kind);
+    if (!shadow || shadow.commandId !== command.id) return;
+    
+    shadow.desired = shadow.previousDesired;
+    shadow.state = command.status;
+    shadow.deadline = null;
+    emitShadowUpdate(reservoir);
+}
+
+function raiseCommandTimeout(reservoir, kind, shadow, reason, context = createLiveContext()) {
+    shadow.state = 'timeout';
+    shadow.deadline = null;
+    shadow.error = reason;
+    console.log(`⏰ Commande ${kind} ${reservoir.name} non confirmée: ${reason}`);
+    
+    context.emit('alert', {
+        type: 'command_timeout',
+        reservoir: reservoir.name,
+        actuator: kind,
+        desired: shadow.desired,
+        reported: shadow.reported,
+        reason
+    });
+    emitShadowUpdate(reservoir, context);
+}
+
+/**
+ * État remonté par le topic de retour (pompe/mode)
+ */
+function recordShadowReported(reservoir, kind, value, receivedTimestamp, context = createLiveContext()) {
+    const shadow = getActuatorShadow(reservoir, kind);
+    if (!shadow) return;
+    
+    shadow.reported = value;
+    shadow.reportedAt = receivedTimestamp || new Date();
+    
+    if ((shadow.state === 'pending' || shadow.state === 'acknowledged') && value === shadow.desired) {
+        shadow.state = 'confirmed';
+        shadow.confirmedAt = shadow.reportedAt;
+        shadow.deadline = null;
+        console.log(`✅ Commande ${kind} ${reservoir.name} confirmée par le dispositif`);
+    }
+    
+    emitShadowUpdate(reservoir, context);
+}
+
+/**
+ * Traite un événement ack/txack ChirpStack
+ * Retourne true si le topic est un événement de downlink (consommé)
+ */
+function handleDownlinkEvent(connectionId, topic, messageStr, receivedTimestamp, context = createLiveContext()) {
+    const match = topic.match(/^(.*\/device\/[^/]+)\/(?:event\/)?(ack|txack)$/);
+    if (!match) return false;
+    
+    const [, prefix, eventType] = match;
+    let jsonData = {};
+    try {
+        jsonData = JSON.parse(messageStr);
+    } catch (error) {
+        // Événement sans corps exploitable: seul le topic compte
+    }
+    
+    // Actionneur le plus ancien en attente sur ce dispositif
+    let target = null;
+    context.data.reservoirs.forEach(reservoir => {
+        if (getEntityConnectionId(reservoir) !== connectionId || !reservoir.shadow) return;
+        SHADOW_ACTUATORS.forEach(kind => {
+            const shadow = reservoir.shadow[kind];
+            if (!shadow || shadow.state !== 'pending') return;
+            const command = context.data.commandQueue.find(c => c.id === shadow.commandId);
+            const deviceTopic = command ? getChirpStackDeviceTopic(command.topic) : null;
+            if (!deviceTopic || deviceTopic.prefix.toLowerCase() !== prefix.toLowerCase()) return;
+            if (!target || new Date(shadow.sentAt) < new Date(target.shadow.sentAt)) {
+                target = { reservoir, kind, shadow };
+            }
+        });
+    });
+    
+    if (!target) {
+        console.log(`📭 ${eventType} ChirpStack sans commande en attente: ${topic}`);
+        return true;
+    }
+    
+    const { reservoir, kind, shadow } = target;
+    if (eventType === 'txack') {
+        // Downlink émis par la passerelle, pas encore acquitté par le dispositif
+        shadow.transmittedAt = receivedTimestamp;
+        console.log(`📡 Downlink ${kind} ${reservoir.name} émis par la passerelle`);
+        emitShadowUpdate(reservoir, context);
+    } else if (jsonData.acknowledged === false) {
+        raiseCommandTimeout(reservoir, kind, shadow, 'Downlink non acquitté par le dispositif', context);
+    } else {
+        markShadowAcknowledged(reservoir, kind, shadow, receivedTimestamp, context);
+    }
+    
+    return true;
+}
+
+/**
+ * Accusé du dispositif (ack ChirpStack ou réponse d'écriture Modbus)
+ */
+function markShadowAcknowledged(reservoir, kind, shadow, receivedTimestamp, context = createLiveContext()) {
+    shadow.state = 'acknowledged';
+    shadow.ackedAt = receivedTimestamp;
+    // Sans retour d'état connu, l'accusé est l'étape finale
+    if (!shadow.reportedAt) shadow.deadline = null;
+    console.log(`📬 Commande ${kind} ${reservoir.name} acquittée par le dispositif`);
+    emitShadowUpdate(reservoir, context);
+}
+
+/**
+ * Commandes non acquittées / non confirmées dans le délai
+ */
+function checkShadowTimeouts() {
+    const now = Date.now();
+    stationData.reservoirs.forEach(reservoir => {
+        if (!reservoir.shadow) return;
+        SHADOW_ACTUATORS.forEach(kind => {
+            const shadow = reservoir.shadow[kind];
+            if (!shadow || !shadow.deadline || new Date(shadow.deadline).getTime() > now) return;
+            if (shadow.state !== 'pending' && shadow.state !== 'acknowledged') return;
+            
+            raiseCommandTimeout(reservoir, kind, shadow, shadow.state === 'pending'
+                ? 'Aucun accusé ni retour d\'état du dispositif'
+                : 'État rapporté différent de l\'état demandé');
+        });
+    });
+}
+
+// ============================================================================
+// INGESTION HTTP (INTÉGRATION HTTP CHIRPSTACK, DISPOSITIFS SANS MQTT)
+// ============================================================================
+// POST /api/ingest/:sourceKey transmet le corps de la requête au même traitement
+// que les messages MQTT (processIncomingMessage) sur un topic virtuel:
+// - ?event=up|status|ack|txack|join... (intégration HTTP ChirpStack) -> topic MQTT équivalent
+//   v4: application/{applicationId}/device/{devEui}/event/{event}
+//   v3: application/{applicationID}/device/{devEUI}/{event} (up -> rx)
+// - sinon: topic de la source (défaut http/{key})
+// Authentification par jeton: en-tête Authorization: Bearer <token>, X-Ingest-Token ou ?token=
+
+const INGEST_KEY_PATTERN = /^[a-zA-Z0-9_-]{3,64}$/;
+
+function generateIngestToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function getIngestSourceTopic(source) {
+    return source.topic || `http/${source.key}`;
+}
+
+/**
+ * Jeton fourni par la requête (en-tête ou paramètre)
+ */
+function getIngestRequestToken(req) {
+    const authorization = req.get('authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (bearer) return bearer[1].trim();
+    return req.get('x-ingest-token') || req.query.token || '';
+}
+
+function isValidIngestToken(source, token) {
+    const expected = Buffer.from(source.token);
+    const provided = Buffer.from(String(token));
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * devEUI ChirpStack v3: hexadécimal (json_v3) ou base64 (marshaler json)
+ */
+function normalizeDevEUI(devEUI) {
+    if (/^[0-9a-fA-F]{16}$/.test(devEUI)) return devEUI.toLowerCase();
+    const decoded = Buffer.from(devEUI, 'base64');
+    return decoded.length === 8 ? decoded.toString('hex') : devEUI;
+}
+
+/**
+ * Topic virtuel d'un message HTTP
+ */
+function getIngestTopic(source, eventType, jsonData) {
+    if (eventType && jsonData) {
+        if (jsonData.deviceInfo && jsonData.deviceInfo.devEui) {
+            return `application/${jsonData.deviceInfo.applicationId}/device/${jsonData.deviceInfo.devEui}/event/${eventType}`;
+        }
+        if (jsonData.applicationID !== undefined && jsonData.devEUI) {
+            const v3Event = eventType === 'up' ? 'rx' : eventType;
+            return `application/${jsonData.applicationID}/device/${normalizeDevEUI(jsonData.devEUI)}/${v3Event}`;
+        }
+    }
+    return getIngestSourceTopic(source);
+}
+
+/**
+ * Valide une source d'ingestion (clé unique, topic, connexion)
+ */
+function validateIngestSource(sourceData, currentId = null) {
+    if (!sourceData.name || !String(sourceData.name).trim()) {
+        return 'Le nom de la source est requis';
+    }
+    if (!INGEST_KEY_PATTERN.test(sourceData.key || '')) {
+        return 'Clé invalide (3 à 64 caractères: lettres, chiffres, - et _)';
+    }
+    if (stationData.ingestSources.some(source => source.key === sourceData.key && source.id !== currentId)) {
+        return `Clé déjà utilisée: ${sourceData.key}`;
+    }
+    if (sourceData.topic && (!parseTopicPattern(sourceData.topic) || /[+#{]/.test(sourceData.topic))) {
+        return `Topic invalide (sans wildcard): ${sourceData.topic}`;
+    }
+    if (sourceData.connectionId && !getConnectionConfig(sourceData.connectionId)) {
+        return `Connexion MQTT inconnue: ${sourceData.connectionId}`;
+    }
+    return null;
+}
+
+// ============================================================================
+// MODBUS TCP (AUTOMATES LOCAUX, COMPTEURS D'ÉNERGIE)
+// ============================================================================
+// Chaque équipement (stationData.modbusDevices) est interrogé à son propre intervalle.
+// Les registres lus sont décodés (type, ordre des mots, échelle, décalage) puis transmis
+// à processIncomingMessage sur un topic virtuel (défaut modbus/{key}) sous la forme:
+//   { device, unitId, timestamp, registers: { nom: valeur } }
+// Un capteur lit donc un registre avec ce topic et le JSONPath registers.{nom}.
+// Tables: holding (FC3), input (FC4), coil (FC1), discrete (FC2) - bits lus en 1/0.
+// Écriture: FC5 (coil), FC6 (registre 16 bits), FC16 (valeur 32 bits), utilisée comme
+// transport des commandes pompe/remplissage (reservoir.modbusPump / reservoir.modbusFill).
+// Une commande non écrite reste en file et est rejouée après la prochaine lecture réussie.
+
+const MODBUS_TABLES = {
+    holding: { readFunction: 3, bits: false, writable: true },
+    input: { readFunction: 4, bits: false, writable: false },
+    coil: { readFunction: 1, bits: true, writable: true },
+    discrete: { readFunction: 2, bits: true, writable: false }
+};
+const MODBUS_DATA_TYPES = { uint16: 1, int16: 1, uint32: 2, int32: 2, float32: 2 }; // Nombre de registres
+const MODBUS_REGISTER_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const MODBUS_MIN_POLL_INTERVAL_MS = 500;
+const MODBUS_DEFAULT_TIMEOUT_MS = 2000;
+const MODBUS_MAX_READ_REGISTERS = 125; // Limites d'une requête de lecture (spécification Modbus)
+const MODBUS_MAX_READ_BITS = 2000;
+const MODBUS_EXCEPTIONS = {
+    1: 'fonction non supportée',
+    2: 'adresse de registre invalide',
+    3: 'valeur invalide',
+    4: 'défaillance de l\'équipement',
+    5: 'traitement en cours',
+    6: 'équipement occupé',
+    10: 'passerelle: chemin indisponible',
+    11: 'passerelle: l\'équipement cible ne répond pas'
+};
+
+const modbusClients = new Map(); // deviceId -> { host, port, socket, ready, transactionId, pending, buffer }
+const modbusPollers = new Map(); // deviceId -> { timer } (boucle d'interrogation active)
+const modbusStatus = new Map(); // deviceId -> état de la dernière interrogation (mémoire uniquement)
+
+function getModbusDeviceTopic(device) {
+    return device.topic || `modbus/${device.key}`;
+}
+
+function getModbusRegisterSize(register) {
+    return MODBUS_TABLES[register.table].bits ? 1 : MODBUS_DATA_TYPES[register.dataType];
+}
+
+function toModbusInteger(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return Number(value);
+}
+
+/**
+ * Registre avec ses valeurs par défaut (table holding, uint16, mots big-endian, échelle 1)
+ */
+function normalizeModbusRegister(register) {
+    return {
+        name: String(register.name || '').trim(),
+        table: register.table || 'holding',
+        address: toModbusInteger(register.address, NaN),
+        dataType: register.dataType || 'uint16',
+        wordOrder: register.wordOrder || 'big',
+        scale: toModbusInteger(register.scale, 1),
+        offset: toModbusInteger(register.offset, 0)
+    };
+}
+
+function normalizeModbusDevice(deviceData) {
+    return {
+        name: String(deviceData.name || '').trim(),
+        key: deviceData.key,
+        host: String(deviceData.host || '').trim(),
+        port: toModbusInteger(deviceData.port, 502),
+        unitId: toModbusInteger(deviceData.unitId, 1),
+        pollIntervalMs: toModbusInteger(deviceData.pollIntervalMs, 5000),
+        timeoutMs: toModbusInteger(deviceData.timeoutMs, MODBUS_DEFAULT_TIMEOUT_MS),
+        topic: deviceData.topic || '',
+        connectionId: deviceData.connectionId || DEFAULT_CONNECTION_ID,
+        enabled: deviceData.enabled !== false,
+        registers: Array.isArray(deviceData.registers) ? deviceData.registers.map(normalizeModbusRegister) : deviceData.registers
+    };
+}
+
+function validateModbusRegister(register, names) {
+    const label = register.name || '(sans nom)';
+    if (!MODBUS_REGISTER_NAME_PATTERN.test(register.name)) {
+        return `Nom de registre invalide: ${label} (lettres, chiffres et _)`;
+    }
+    if (names.has(register.name)) {
+        return `Nom de registre en double: ${register.name}`;
+    }
+    if (!MODBUS_TABLES[register.table]) {
+        return `Registre ${label}: table inconnue ${register.table} (holding, input, coil, discrete)`;
+    }
+    if (!MODBUS_TABLES[register.table].bits) {
+        if (!MODBUS_DATA_TYPES[register.dataType]) {
+            return `Registre ${label}: type inconnu ${register.dataType} (${Object.keys(MODBUS_DATA_TYPES).join(', ')})`;
+        }
+        if (!['big', 'little'].includes(register.wordOrder)) {
+            return `Registre ${label}: ordre des mots invalide ${register.wordOrder} (big, little)`;
+        }
+    }
+    if (!Number.isInteger(register.address) || register.address < 0 ||
+        register.address + getModbusRegisterSize(register) - 1 > 65535) {
+        return `Registre ${label}: adresse invalide (0 à 65535)`;
+    }
+    if (!Number.isFinite(register.scale) || !Number.isFinite(register.offset)) {
+        return `Registre ${label}: échelle et décalage doivent être numériques`;
+    }
+    return null;
+}
+
+/**
+ * Valide un équipement Modbus normalisé (clé unique, adresse réseau, registres)
+ */
+function validateModbusDevice(device, currentId = null) {
+    if (!device.name) {
+        return 'Le nom de l\'équipement est requis';
+    }
+    if (!INGEST_KEY_PATTERN.test(device.key || '')) {
+        return 'Clé invalide (3 à 64 caractères: lettres, chiffres, - et _)';
+    }
+    if (stationData.modbusDevices.some(other => other.key === device.key && other.id !== currentId)) {
+        return `Clé déjà utilisée: ${device.key}`;
+    }
+    if (!/^[a-zA-Z0-9.:\-[\]]+$/.test(device.host)) {
+        return 'Adresse de l\'équipement invalide (IP ou nom d\'hôte)';
+    }
+    if (!Number.isInteger(device.port) || device.port < 1 || device.port > 65535) {
+        return `Port invalide: ${device.port}`;
+    }
+    if (!Number.isInteger(device.unitId) || device.unitId < 0 || device.unitId > 255) {
+        return `Unit ID invalide: ${device.unitId} (0 à 255)`;
+    }
+    if (!Number.isInteger(device.pollIntervalMs) || device.pollIntervalMs < MODBUS_MIN_POLL_INTERVAL_MS) {
+        return `Intervalle d'interrogation invalide (minimum ${MODBUS_MIN_POLL_INTERVAL_MS} ms)`;
+    }
+    if (!Number.isInteger(device.timeoutMs) || device.timeoutMs < 100 || device.timeoutMs > 60000) {
+        return 'Délai de réponse invalide (100 à 60000 ms)';
+    }
+    if (device.topic && (!parseTopicPattern(device.topic) || /[+#{]/.test(device.topic))) {
+        return `Topic invalide (sans wildcard): ${device.topic}`;
+    }
+    if (!getConnectionConfig(device.connectionId)) {
+        return `Connexion MQTT inconnue: ${device.connectionId}`;
+    }
+    if (!Array.isArray(device.registers)) {
+        return 'Liste de registres attendue';
+    }
+
+    const names = new Set();
+    for (const register of device.registers) {
+        const registerError = validateModbusRegister(register, names);
+        if (registerError) return registerError;
+        names.add(register.name);
+    }
+    return null;
+}
+
+/**
+ * Cible d'écriture d'une commande de réservoir (reservoir.modbusPump / modbusFill)
+ * { deviceId, table: 'coil'|'holding', address, dataType, wordOrder, onValue, offValue }
+ * Normalise l'objet en place, retourne un message d'erreur ou null
+ */
+function normalizeModbusTarget(body, field) {
+    const target = body[field];
+    if (target === undefined || target === null) return null;
+    if (typeof target !== 'object') return `${field}: objet attendu`;
+
+    const normalized = {
+        deviceId: target.deviceId,
+        table: target.table || 'coil',
+        address: toModbusInteger(target.address, NaN),
+        dataType: target.dataType || 'uint16',
+        wordOrder: target.wordOrder || 'big',
+        onValue: toModbusInteger(target.onValue, 1),
+        offValue: toModbusInteger(target.offValue, 0)
+    };
+
+    if (!stationData.modbusDevices.some(device => device.id === normalized.deviceId)) {
+        return `${field}: équipement Modbus inconnu (${normalized.deviceId})`;
+    }
+    if (!MODBUS_TABLES[normalized.table] || !MODBUS_TABLES[normalized.table].writable) {
+        return `${field}: table non inscriptible ${normalized.table} (coil, holding)`;
+    }
+    const registerError = validateModbusRegister({ ...normalized, name: field, scale: 1, offset: 0 }, new Set());
+    if (registerError) return registerError;
+    if (!Number.isFinite(normalized.onValue) || !Number.isFinite(normalized.offValue)) {
+        return `${field}: valeurs marche/arrêt numériques attendues`;
+    }
+
+    body[field] = normalized;
+    return null;
+}
+
+function getModbusStatus(deviceId) {
+    if (!modbusStatus.has(deviceId)) {
+        modbusStatus.set(deviceId, {
+            connected: false,
+            lastPollAt: null,
+            lastError: null,
+            pollCount: 0,
+            errorCount: 0,
+            lastValues: {}
+        });
+    }
+    return modbusStatus.get(deviceId);
+}
+
+function emitModbusStatus(device) {
+    io.emit('modbus_status', { id: device.id, name: device.name, ...getModbusStatus(device.id) });
+}
+
+function isModbusClientConnected(deviceId) {
+    const client = modbusClients.get(deviceId);
+    return Boolean(client && client.socket && !client.socket.connecting && !client.socket.destroyed);
+}
+
+/**
+ * Client TCP d'un équipement (recréé si l'adresse a changé)
+ */
+function getModbusClient(device) {
+    let client = modbusClients.get(device.id);
+    if (client && client.host === device.host && client.port === device.port) return client;
+
+    closeModbusClient(device.id);
+    client = {
+        host: device.host,
+        port: device.port,
+        socket: null,
+        ready: null,
+        transactionId: 0,
+        pending: new Map(), // transactionId -> { functionCode, resolve, reject, timer }
+        buffer: Buffer.alloc(0)
+    };
+    modbusClients.set(device.id, client);
+    return client;
+}
+
+function closeModbusClient(deviceId) {
+    const client = modbusClients.get(deviceId);
+    if (!client) return;
+
+    modbusClients.delete(deviceId);
+    if (client.socket) client.socket.destroy();
+}
+
+function rejectModbusRequests(client, error) {
+    client.pending.forEach(request => {
+        clearTimeout(request.timer);
+        request.reject(error);
+    });
+    client.pending.clear();
+}
+
+/**
+ * Connexion TCP à la demande (une seule par équipement, partagée par les requêtes)
+ */
+function connectModbusClient(client, timeoutMs) {
+    if (client.socket) return client.ready;
+
+    const socket = net.createConnection({ host: client.host, port: client.port });
+    client.socket = socket;
+    client.ready = new Promise((resolve, reject) => {
+        let socketError = null;
+        const timer = setTimeout(() => {
+            socket.destroy(new Error(`Connexion impossible à ${client.host}:${client.port} (délai dépassé)`));
+        }, timeoutMs);
+
+        socket.once('connect', () => {
+            clearTimeout(timer);
+            socket.setNoDelay(true);
+            resolve(socket);
+        });
+        socket.on('data', chunk => handleModbusData(client, chunk));
+        socket.on('error', error => {
+            socketError = error;
+        });
+        socket.on('close', () => {
+            clearTimeout(timer);
+            const error = socketError || new Error(`Connexion fermée par ${client.host}:${client.port}`);
+            if (client.socket === socket) {
+                client.socket = null;
+                client.buffer = Buffer.alloc(0);
+                rejectModbusRequests(client, error);
+            }
+            reject(error);
+        });
+    });
+    client.ready.catch(() => {}); // Erreur remontée par chaque requête en attente
+    return client.ready;
+}
+
+/**
+ * Trames MBAP reçues: en-tête de 7 octets (transaction, protocole, longueur, unit ID) + PDU
+ */
+function handleModbusData(client, chunk) {
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+
+    while (client.buffer.length >= 7) {
+        const length = client.buffer.readUInt16BE(4);
+        if (length < 2) {
+            // Flux désynchronisé: la connexion est réinitialisée
+            client.socket.destroy(new Error('Trame Modbus invalide'));
+            return;
+        }
+        if (client.buffer.length < 6 + length) return;
+
+        const frame = client.buffer.subarray(0, 6 + length);
+        client.buffer = client.buffer.subarray(6 + length);
+
+        const transactionId = frame.readUInt16BE(0);
+        const request = client.pending.get(transactionId);
+        if (!request) continue; // Réponse arrivée après le délai
+
+        client.pending.delete(transactionId);
+        clearTimeout(request.timer);
+
+        const functionCode = frame.readUInt8(7);
+        if (functionCode === (request.functionCode | 0x80)) {
+            const code = frame.length > 8 ? frame.readUInt8(8) : 0;
+            request.reject(new Error(`Exception Modbus ${code}: ${MODBUS_EXCEPTIONS[code] || 'code inconnu'}`));
+        } else if (functionCode !== request.functionCode) {
+            request.reject(new Error(`Réponse inattendue (fonction ${functionCode})`));
+        } else {
+            request.resolve(frame.subarray(8));
+        }
+    }
+}
+
+/**
+ * Envoie une requête (code fonction + données) et retourne les données de la réponse
+ */
+async function sendModbusRequest(device, functionCode, data) {
+    const client = getModbusClient(device);
+    const timeoutMs = device.timeoutMs || MODBUS_DEFAULT_TIMEOUT_MS;
+    const socket = await connectModbusClient(client, timeoutMs);
+
+    return new Promise((resolve, reject) => {
+        client.transactionId = (client.transactionId + 1) % 0x10000;
+        const transactionId = client.transactionId;
+
+        const header = Buffer.alloc(8);
+        header.writeUInt16BE(transactionId, 0);
+        header.writeUInt16BE(0, 2); // Protocole Modbus
+        header.writeUInt16BE(data.length + 2, 4);
+        header.writeUInt8(device.unitId, 6);
+        header.writeUInt8(functionCode, 7);
+
+        const timer = setTimeout(() => {
+            client.pending.delete(transactionId);
+            reject(new Error(`Pas de réponse de ${device.name} (unit ${device.unitId}) en ${timeoutMs} ms`));
+        }, timeoutMs);
+
+        client.pending.set(transactionId, { functionCode, resolve, reject, timer });
+        socket.write(Buffer.concat([header, data]));
+    });
+}
+
+/**
+ * Lit une plage de registres (mots de 16 bits) ou de bits (0/1)
+ */
+async function readModbusTable(device, table, address, quantity) {
+    const request = Buffer.alloc(4);
+    request.writeUInt16BE(address, 0);
+    request.writeUInt16BE(quantity, 2);
+
+    const response = await sendModbusRequest(device, MODBUS_TABLES[table].readFunction, request);
+    const byteCount = response.length > 0 ? response.readUInt8(0) : 0;
+    const data = response.subarray(1, 1 + byteCount);
+
+    if (MODBUS_TABLES[table].bits) {
+        if (data.length < Math.ceil(quantity / 8)) {
+            throw new Error(`Réponse tronquée: ${data.length} octets pour ${quantity} bits`);
+        }
+        return Array.from({ length: quantity }, (_, i) => (data[i >> 3] >> (i & 7)) & 1);
+    }
+
+    if (data.length < quantity * 2) {
+        throw new Error(`Réponse tronquée: ${data.length} octets pour ${quantity} registres`);
+    }
+    return Array.from({ length: quantity }, (_, i) => data.readUInt16BE(i * 2));
+}
+
+/**
+ * Regroupe les registres contigus d'une même table en requêtes de lecture
+ */
+function planModbusReads(registers) {
+    const sorted = [...registers].sort((a, b) =>
+        a.table === b.table ? a.address - b.address : a.table.localeCompare(b.table)
+    );
+
+    const blocks = [];
+    sorted.forEach(register => {
+        const limit = MODBUS_TABLES[register.table].bits ? MODBUS_MAX_READ_BITS : MODBUS_MAX_READ_REGISTERS;
+        const end = register.address + getModbusRegisterSize(register);
+        const last = blocks[blocks.length - 1];
+
+        if (last && last.table === register.table && register.address <= last.address + last.quantity &&
+            end - last.address <= limit) {
+            last.quantity = Math.max(last.quantity, end - last.address);
+            last.registers.push(register);
+        } else {
+            blocks.push({ table: register.table, address: register.address, quantity: end - register.address, registers: [register] });
+        }
+    });
+    return blocks;
+}
+
+/**
+ * Valeur d'un registre à partir de ses mots (ordre des mots, type, échelle, décalage)
+ */
+function decodeModbusValue(register, words) {
+    if (MODBUS_TABLES[register.table].bits) return words[0];
+
+    const ordered = register.wordOrder === 'little' ? [...words].reverse() : words;
+    const buffer = Buffer.alloc(ordered.length * 2);
+    ordered.forEach((word, i) => buffer.writeUInt16BE(word, i * 2));
+
+    let raw;
+    switch (register.dataType) {
+        case 'int16': raw = buffer.readInt16BE(0); break;
+        case 'uint32': raw = buffer.readUInt32BE(0); break;
+        case 'int32': raw = buffer.readInt32BE(0); break;
+        case 'float32': raw = parseFloat(buffer.readFloatBE(0).toPrecision(7)); break; // Précision simple
+        default: raw = buffer.readUInt16BE(0);
+    }
+
+    return parseFloat((raw * register.scale + register.offset).toPrecision(12));
+}
+
+/**
+ * Mots de 16 bits d'une valeur à écrire dans des registres holding
+ */
+function encodeModbusValue(value, dataType, wordOrder) {
+    const size = MODBUS_DATA_TYPES[dataType] || 1;
+    const buffer = Buffer.alloc(size * 2);
+    const number = Number(value);
+
+    switch (dataType) {
+        case 'int16': buffer.writeInt16BE(Math.round(number), 0); break;
+        case 'uint32': buffer.writeUInt32BE(Math.round(number), 0); break;
+        case 'int32': buffer.writeInt32BE(Math.round(number), 0); break;
+        case 'float32': buffer.writeFloatBE(number, 0); break;
+        default: buffer.writeUInt16BE(Math.round(number), 0);
+    }
+
+    const words = Array.from({ length: size }, (_, i) => buffer.readUInt16BE(i * 2));
+    return wordOrder === 'little' ? words.reverse() : words;
+}
+
+/**
+ * Écrit une bobine (FC5) ou un registre holding (FC6, FC16 pour les types 32 bits)
+ */
+async function writeModbusValue(device, target, value) {
+    if (target.table === 'coil') {
+        const request = Buffer.alloc(4);
+        request.writeUInt16BE(target.address, 0);
+        request.writeUInt16BE(Number(value) ? 0xFF00 : 0x0000, 2);
+        return sendModbusRequest(device, 5, request);
+    }
+    if (target.table !== 'holding') {
+        throw new Error(`Table non inscriptible: ${target.table}`);
+    }
+
+    let words;
+    try {
+        words = encodeModbusValue(value, target.dataType, target.wordOrder);
+    } catch (error) {
+        throw new Error(`Valeur hors plage pour ${target.dataType}: ${value}`);
+    }
+
+    if (words.length === 1) {
+        const request = Buffer.alloc(4);
+        request.writeUInt16BE(target.address, 0);
+        request.writeUInt16BE(words[0], 2);
+        return sendModbusRequest(device, 6, request);
+    }
+
+    const request = Buffer.alloc(5 + words.length * 2);
+    request.writeUInt16BE(target.address, 0);
+    request.writeUInt16BE(words.length, 2);
+    request.writeUInt8(words.length * 2, 4);
+    words.forEach((word, i) => request.writeUInt16BE(word, 5 + i * 2));
+    return sendModbusRequest(device, 16, request);
+}
+
+/**
+ * Lit tous les registres d'un équipement et transmet le document au traitement des messages
+ * Retourne { values, topic, status } ou { error }
+ */
+async function pollModbusDevice(device) {
+    const status = getModbusStatus(device.id);
+    const values = {};
+
+    try {
+        if (device.registers.length === 0) {
+            // Équipement utilisé seulement en écriture: vérification de la connexion
+            await connectModbusClient(getModbusClient(device), device.timeoutMs);
+        }
+
+        for (const block of planModbusReads(device.registers)) {
+            const words = await readModbusTable(device, block.table, block.address, block.quantity);
+            block.registers.forEach(register => {
+                const start = register.address - block.address;
+                values[register.name] = decodeModbusValue(register, words.slice(start, start + getModbusRegisterSize(register)));
+            });
+        }
+    } catch (error) {
+        status.errorCount++;
+        status.connected = isModbusClientConnected(device.id);
+        if (status.lastError !== error.message) {
+            console.error(`❌ Modbus ${device.name} (${device.host}:${device.port}): ${error.message}`);
+        }
+        status.lastError = error.message;
+        emitModbusStatus(device);
+        return { error: error.message };
+    }
+
+    if (status.lastError) console.log(`✅ Modbus ${device.name}: communication rétablie`);
+    status.connected = true;
+    status.lastError = null;
+    status.lastPollAt = new Date().toISOString();
+    status.pollCount++;
+    status.lastValues = values;
+
+    const topic = getModbusDeviceTopic(device);
+    let result = { status: 'no_registers' };
+    if (device.registers.length > 0) {
+        // L'horodatage rend chaque lecture unique (pas de suppression comme doublon)
+        const message = Buffer.from(JSON.stringify({
+            device: device.key,
+            unitId: device.unitId,
+            timestamp: status.lastPollAt,
+            registers: values
+        }));
+        result = processIncomingMessage(device.connectionId, topic, message, { qos: 0 }, ` [Modbus ${device.name}]`);
+    }
+
+    emitModbusStatus(device);
+    flushModbusCommands(device.id);
+    return { values, topic, ...result };
+}
+
+/**
+ * Interrogation périodique: la lecture suivante est planifiée à la fin de la précédente
+ */
+function startModbusPolling(device) {
+    stopModbusPolling(device.id);
+    if (!device.enabled) return;
+
+    const poller = { timer: null };
+    modbusPollers.set(device.id, poller);
+
+    const poll = async () => {
+        const current = stationData.modbusDevices.find(d => d.id === device.id);
+        if (!current || modbusPollers.get(device.id) !== poller) return;
+
+        await pollModbusDevice(current);
+        if (modbusPollers.get(device.id) === poller) {
+            poller.timer = setTimeout(poll, current.pollIntervalMs);
+        }
+    };
+    poller.timer = setTimeout(poll, 0);
+}
+
+function stopModbusPolling(deviceId) {
+    const poller = modbusPollers.get(deviceId);
+    if (poller) clearTimeout(poller.timer);
+    modbusPollers.delete(deviceId);
+}
+
+function startAllModbusPolling() {
+    stationData.modbusDevices.forEach(device => startModbusPolling(device));
+    const enabled = stationData.modbusDevices.filter(device => device.enabled).length;
+    if (enabled > 0) console.log(`🔌 Modbus TCP: ${enabled} équipement(s) interrogé(s)`);
+}
+
+function stopAllModbus() {
+    Array.from(modbusPollers.keys()).forEach(stopModbusPolling);
+    Array.from(modbusClients.keys()).forEach(closeModbusClient);
+}
+
+/**
+ * Commande de réservoir écrite par Modbus (topic = adresse lisible de la cible)
+ */
+function buildModbusCommand(target, kind, value) {
+    const device = stationData.modbusDevices.find(d => d.id === target.deviceId);
+    if (!device) {
+        return { error: `Équipement Modbus inconnu: ${target.deviceId}` };
+    }
+
+    const writeValue = kind === 'pump' && !value ? target.offValue : target.onValue;
+    return {
+        transport: 'modbus',
+        modbus: {
+            deviceId: device.id,
+            table: target.table,
+            address: target.address,
+            dataType: target.dataType,
+            wordOrder: target.wordOrder,
+            value: writeValue
+        },
+        topic: `modbus://${device.host}:${device.port}/${device.unitId}/${target.table}/${target.address}`,
+        payload: String(writeValue),
+        payloadEncoding: 'utf8',
+        qos: 0
+    };
+}
+
+/**
+ * Écrit une commande en file: la réponse de l'équipement vaut accusé de réception
+ */
+async function deliverModbusCommand(command) {
+    const device = stationData.modbusDevices.find(d => d.id === command.modbus.deviceId);
+
+    deliveringCommandIds.add(command.id);
+    command.attempts++;
+
+    let error = null;
+    try {
+        if (!device) throw new Error('Équipement Modbus supprimé');
+        await writeModbusValue(device, command.modbus, command.modbus.value);
+    } catch (writeError) {
+        error = writeError;
+    }
+
+    deliveringCommandIds.delete(command.id);
+    finishCommandDelivery(command, error);
+
+    if (!error) {
+        const reservoir = stationData.reservoirs.find(r => r.id === command.reservoirId);
+        const shadow = reservoir ? getActuatorShadow(reservoir, command.kind) : null;
+        if (shadow && shadow.commandId === command.id) {
+            markShadowAcknowledged(reservoir, command.kind, shadow, new Date());
+        }
+    }
+    return command;
+}
+
+/**
+ * Rejoue les commandes Modbus en attente d'un équipement (appelé après une lecture réussie)
+ */
+function flushModbusCommands(deviceId) {
+    stationData.commandQueue
+        .filter(command => command.status === 'queued' && command.transport === 'modbus' && command.modbus.deviceId === deviceId)
+        .forEach(command => deliverCommand(command));
+}
+
+// ============================================================================
+// MIDDLEWARE ET ROUTES (CONSERVÉES + AMÉLIORÉES)
+// ============================================================================
+
+// Limite relevée pour l'import d'historique (fichiers CSV / NDJSON)
+// Les routes d'ingestion HTTP lisent elles-mêmes le corps brut (après le contrôle du jeton)
+const jsonBodyParser = express.json({ limit: '10mb' });
+app.use((req, res, next) => {
+    if (req.path.startsWith('/api/ingest/')) return next();
+    jsonBodyParser(req, res, error => {
+        if (error) {
+            return res.status(error.status || 400).json({ error: `Corps JSON invalide: ${error.message}` });
+        }
+        next();
+    });
+});
+app.use(express.static(path.join(__dirname, 'public')));
+
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+/**
+ * Données envoyées aux clients (REST, Socket.IO): secrets des brokers et jetons d'ingestion masqués
+ * (stationData ou copie sandbox d'un rejeu)
+ */
+function getPublicStationData(data = stationData) {
+    return {
+        ...data,
+        config: maskMqttSecrets(data.config, CONFIG_SECRET_FIELDS),
+        mqttConnections: data.mqttConnections.map(connection => maskMqttSecrets(connection)),
+        ingestSources: data.ingestSources.map(source => getIngestSourceResponse(source))
+    };
+}
+
+app.get('/api/data', (req, res) => {
+    res.json(getPublicStationData());
+});
+
+app.post('/api/data', (req, res) => {
+    try {
+        const { config, ...data } = req.body;
+        
+        // Paramètres du broker modifiés depuis l'interface: validation + reconnexion
+        if (config) {
+            const configError = validateWatchdogConfig({ ...stationData.config, ...config }) || applyMqttConfig(config);
+            if (configError) {
+                return res.status(400).json({ error: configError });
+            }
+        }
+        
+        // Secrets déjà appliqués par applyMqttConfig (vides = conservés), indicateurs non enregistrés;
+        // le mot de passe du broker embarqué ne change que par PUT /api/mqtt/embedded-broker
+        const settings = { ...config };
+        CONFIG_SECRET_FIELDS.forEach(({ field, flag }) => {
+            delete settings[field];
+            delete settings[flag];
+        });
+        
+        stationData = {
+            ...stationData,
+            ...data,
+            config: config ? { ...stationData.config, ...settings } : stationData.config,
+            lastSaved: new Date().toISOString()
+        };
+        
+        saveDataToFile();
+        syncMqttSubscriptions(); // Topic de base / topics modifiés
+        io.emit('data_updated', getPublicStationData());
+        
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API CONFIGURATION DU BROKER MQTT
+// ============================================================================
+
+app.get('/api/mqtt/status', (req, res) => {
+    const connections = Array.from(mqttConnections.values()).map(getConnectionStatus);
+    const main = connections.find(c => c.connectionId === DEFAULT_CONNECTION_ID);
+    
+    res.json({
+        connected: Boolean(main && main.connected),
+        broker: getMqttBrokerUrl(),
+        subscriptions: main ? main.subscriptions : 0,
+        connections
+    });
+});
+
+// GET /api/mqtt/config - Mot de passe et clé privée masqués (hasPassword, hasKey)
+app.get('/api/mqtt/config', (req, res) => {
+    res.json(maskMqttSecrets({ ...pickMqttConfig(stationData.config), mqttServer: getMqttBrokerUrl() }));
+});
+
+// PUT /api/mqtt/config - Reconfiguration à chaud du broker (déconnexion propre + réabonnement)
+// Body: { mqttServer, mqttUsername, mqttPassword, mqttClientId, mqttKeepalive, mqttCa, mqttCert, mqttKey, mqttRejectUnauthorized }
+// mqttPassword / mqttKey vides: valeurs enregistrées conservées
+app.put('/api/mqtt/config', (req, res) => {
+    try {
+        const configError = applyMqttConfig(req.body);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+        
+        saveDataToFile();
+        io.emit('data_updated', getPublicStationData());
+        
+        // Le résultat de la connexion est notifié par l'événement mqtt_status
+        res.json({ success: true, broker: getMqttBrokerUrl() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/mqtt/embedded-broker - Paramètres et état du broker embarqué (mot de passe masqué: hasPassword)
+app.get('/api/mqtt/embedded-broker', (req, res) => {
+    const config = {};
+    EMBEDDED_BROKER_FIELDS.forEach(field => { config[field] = stationData.config[field]; });
+    res.json({ ...maskMqttSecrets(config, [{ ...EMBEDDED_BROKER_SECRET, flag: 'hasPassword' }]), status: getEmbeddedBrokerStatus() });
+});
+
+// PUT /api/mqtt/embedded-broker - Body: { embeddedBrokerEnabled, embeddedBrokerPort, embeddedBrokerUsername,
+//   embeddedBrokerPassword, embeddedBrokerWsEnabled, embeddedBrokerWsPort, embeddedBrokerUseAsMain }
+// embeddedBrokerPassword vide: valeur enregistrée conservée
+app.put('/api/mqtt/embedded-broker', async (req, res) => {
+    try {
+        const configError = await applyEmbeddedBrokerConfig(req.body);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+        
+        saveDataToFile();
+        io.emit('data_updated', getPublicStationData());
+        
+        const status = getEmbeddedBrokerStatus();
+        if (status.enabled && !status.running) {
+            return res.status(409).json({ error: `Broker embarqué non démarré: ${status.error}`, status });
+        }
+        res.json({ success: true, status });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/mqtt/connections - Connexions (principal + sites) avec leur état
+app.get('/api/mqtt/connections', (req, res) => {
+    res.json(getConnectionConfigs().map(connectionConfig => {
+        const connection = mqttConnections.get(connectionConfig.id);
+        return {
+            ...maskMqttSecrets(connectionConfig),
+            status: connection ? getConnectionStatus(connection) : null
+        };
+    }));
+});
+
+/**
+ * Valide une connexion de site (nom + paramètres du broker)
+ */
+function validateConnectionConfig(connectionConfig) {
+    if (!connectionConfig.name || !String(connectionConfig.name).trim()) {
+        return 'Le nom de la connexion est requis';
+    }
+    if (connectionConfig.baseTopic && !getDiscoveryTopic(connectionConfig.baseTopic)) {
+        return `Topic de base invalide: ${connectionConfig.baseTopic}`;
+    }
+    return validateMqttConfig(connectionConfig);
+}
+
+// POST /api/mqtt/connections - Ajoute le broker d'un autre site
+// Body: { name, mqttServer, baseTopic?, mqttUsername?, mqttPassword?, mqttClientId?, mqttKeepalive?, mqttCa?, mqttCert?, mqttKey?, mqttRejectUnauthorized? }
+app.post('/api/mqtt/connections', (req, res) => {
+    try {
+        const connectionConfig = {
+            id: generateId(),
+            name: req.body.name,
+            baseTopic: req.body.baseTopic || '',
+            ...pickMqttConfig(req.body)
+        };
+        
+        const configError = validateConnectionConfig(connectionConfig);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+        
+        stationData.mqttConnections.push(connectionConfig);
+        saveDataToFile();
+        connectMQTT(connectionConfig);
+        
+        console.log(`🏭 Connexion MQTT ajoutée: ${connectionConfig.name} (${connectionConfig.mqttServer})`);
+        res.json(maskMqttSecrets(connectionConfig));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/mqtt/connections/:id - Modifie un site (reconnexion si le broker change)
+app.put('/api/mqtt/connections/:id', (req, res) => {
+    try {
+        if (req.params.id === DEFAULT_CONNECTION_ID) {
+            return res.status(400).json({ error: 'Le broker principal se configure via PUT /api/mqtt/config' });
+        }
+        
+        const index = stationData.mqttConnections.findIndex(c => c.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Connexion MQTT non trouvée' });
+        }
+        
+        const previous = stationData.mqttConnections[index];
+        const connectionConfig = {
+            ...previous,
+            ...(req.body.name !== undefined ? { name: req.body.name } : {}),
+            ...(req.body.baseTopic !== undefined ? { baseTopic: req.body.baseTopic } : {}),
+            ...pickMqttConfig(req.body)
+        };
+        keepStoredMqttSecrets(connectionConfig, req.body, previous);
+        
+        const configError = validateConnectionConfig(connectionConfig);
+        if (configError) {
+            return res.status(400).json({ error: configError });
+        }
+        
+        stationData.mqttConnections[index] = connectionConfig;
+        saveDataToFile();
+        
+        const brokerChanged = MQTT_CONFIG_FIELDS.some(field =>
+            JSON.stringify(connectionConfig[field]) !== JSON.stringify(previous[field])
+        );
+        if (brokerChanged) {
+            reconnectMQTT(connectionConfig.id);
+        } else {
+            const connection = mqttConnections.get(connectionConfig.id);
+            if (connection) connection.name = connectionConfig.name;
+            syncMqttSubscriptions(); // Topic de base modifié
+        }
+        
+        res.json(maskMqttSecrets(connectionConfig));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/mqtt/connections/:id - Refusé tant que des capteurs/réservoirs l'utilisent
+app.delete('/api/mqtt/connections/:id', (req, res) => {
+    try {
+        if (req.params.id === DEFAULT_CONNECTION_ID) {
+            return res.status(400).json({ error: 'Le broker principal ne peut pas être supprimé' });
+        }
+        
+        const index = stationData.mqttConnections.findIndex(c => c.id === req.params.id);
+        if (index === -1) {
+            return res.status(404).json({ error: 'Connexion MQTT non trouvée' });
+        }
+        
+        const users = [...stationData.sensors, ...stationData.reservoirs, ...stationData.ingestSources]
+            .filter(entity => getEntityConnectionId(entity) === req.params.id);
+        if (users.length > 0) {
+            return res.status(400).json({ 
+                error: `Connexion utilisée par ${users.length} capteurs/réservoirs/sources HTTP: ${users.map(u => u.name).join(', ')}` 
+            });
+        }
+        
+        const [removed] = stationData.mqttConnections.splice(index, 1);
+        saveDataToFile();
+        disconnectMQTT(removed.id);
+        
+        io.emit('mqtt_status', { connectionId: removed.id, name: removed.name, connected: false, removed: true });
+        res.json({ message: 'Connexion MQTT supprimée' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API INGESTION HTTP
+// ============================================================================
+
+const ingestBodyParser = express.raw({ type: () => true, limit: '1mb' });
+
+/**
+ * Source et jeton vérifiés avant de lire le corps de la requête
+ */
+function authenticateIngestSource(req, res, next) {
+    const source = stationData.ingestSources.find(s => s.key === req.params.sourceKey);
+    if (!source) {
+        return res.status(404).json({ error: 'Source inconnue' });
+    }
+    if (!isValidIngestToken(source, getIngestRequestToken(req))) {
+        return res.status(401).json({ error: 'Jeton d\'ingestion invalide' });
+    }
+    req.ingestSource = source;
+    next();
+}
+
+/**
+ * Corps toujours lu en octets bruts, erreurs de lecture (taille, encodage) renvoyées en JSON
+ */
+function readIngestBody(req, res, next) {
+    ingestBodyParser(req, res, error => {
+        if (error) {
+            return res.status(error.status || 400).json({ error: `Corps de requête illisible: ${error.message}` });
+        }
+        next();
+    });
+}
+
+// POST /api/ingest/:sourceKey?event=up - Message d'une source HTTP (JSON, texte ou binaire)
+app.post('/api/ingest/:sourceKey', authenticateIngestSource, readIngestBody, (req, res) => {
+    try {
+        const source = req.ingestSource;
+        
+        // Octets reçus transmis tels quels (pas de ré-sérialisation du JSON)
+        const message = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        if (message.length === 0) {
+            return res.status(400).json({ error: 'Corps de requête vide' });
+        }
+        
+        let jsonData = null;
+        try {
+            jsonData = JSON.parse(message.toString());
+        } catch (error) {
+            // Payload texte ou binaire
+        }
+        
+        const topic = getIngestTopic(source, req.query.event, jsonData);
+        const connectionId = source.connectionId || DEFAULT_CONNECTION_ID;
+        const result = processIncomingMessage(connectionId, topic, message, { qos: 0 }, ` [HTTP ${source.name}]`);
+        
+        source.messageCount = (source.messageCount || 0) + 1;
+        source.lastMessageAt = new Date().toISOString();
+        
+        if (result.status === 'error') {
+            return res.status(500).json({ error: result.error, topic });
+        }
+        res.json({ success: true, topic, ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Source telle que renvoyée par l'API: le jeton n'est renvoyé qu'à sa création (ou régénération),
+ * les listes n'en montrent que le début pour reconnaître la source
+ */
+function getIngestSourceResponse(source, includeToken = false) {
+    const { token, ...response } = source;
+    return {
+        ...response,
+        ...(includeToken ? { token } : {}),
+        tokenPreview: `${token.slice(0, 4)}…`,
+        effectiveTopic: getIngestSourceTopic(source)
+    };
+}
+
+app.get('/api/ingest-sources', (req, res) => {
+    res.json(stationData.ingestSources.map(source => getIngestSourceResponse(source)));
+});
+
+// POST /api/ingest-sources - Body: { name, key, topic?, connectionId? } (jeton généré)
+app.post('/api/ingest-sources', (req, res) => {
+    try {
+        const sourceError = validateIngestSource(req.body);
+        if (sourceError) {
+            return res.status(400).json({ error: sourceError });
+        }
+        
+        const source = {
+            id: generateId(),
+            name: String(req.body.name).trim(),
+            key: req.body.key,
+            token: generateIngestToken(),
+            topic: req.body.topic || '',
+            connectionId: req.body.connectionId || DEFAULT_CONNECTION_ID,
+            messageCount: 0,
+            lastMessageAt: null,
+            createdAt: new Date().toISOString()
+        };
+        stationData.ingestSources.push(source);
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        console.log(`🌐 Source HTTP ajoutée: ${source.name} (/api/ingest/${source.key})`);
+        res.status(201).json(getIngestSourceResponse(source, true));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/ingest-sources/:id - Body: { name?, key?, topic?, connectionId?, regenerateToken? }
+app.put('/api/ingest-sources/:id', (req, res) => {
+    try {
+        const source = stationData.ingestSources.find(s => s.id === req.params.id);
+        if (!source) {
+            return res.status(404).json({ error: 'Source non trouvée' });
+        }
+        
+        const { regenerateToken, ...changes } = req.body;
+        const nextSource = { ...source };
+        ['name', 'key', 'topic', 'connectionId'].forEach(field => {
+            if (changes[field] !== undefined) nextSource[field] = changes[field];
+        });
+        
+        const sourceError = validateIngestSource(nextSource, source.id);
+        if (sourceError) {
+            return res.status(400).json({ error: sourceError });
+        }
+        
+        Object.assign(source, nextSource);
+        if (regenerateToken) source.token = generateIngestToken();
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        res.json(getIngestSourceResponse(source, Boolean(regenerateToken)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/ingest-sources/:id', (req, res) => {
+    try {
+        const sourceIndex = stationData.ingestSources.findIndex(s => s.id === req.params.id);
+        if (sourceIndex === -1) {
+            return res.status(404).json({ error: 'Source non trouvée' });
+        }
+        
+        stationData.ingestSources.splice(sourceIndex, 1);
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        res.json({ message: 'Source HTTP supprimée' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API MODBUS TCP
+// ============================================================================
+
+function getModbusDeviceResponse(device) {
+    return {
+        ...device,
+        effectiveTopic: getModbusDeviceTopic(device),
+        status: getModbusStatus(device.id)
+    };
+}
+
+app.get('/api/modbus/devices', (req, res) => {
+    res.json(stationData.modbusDevices.map(getModbusDeviceResponse));
+});
+
+// POST /api/modbus/devices - Body: { name, key, host, port?, unitId?, pollIntervalMs?, timeoutMs?, topic?, connectionId?, enabled?,
+//   registers: [{ name, table: 'holding'|'input'|'coil'|'discrete', address, dataType?, wordOrder?: 'big'|'little', scale?, offset? }] }
+app.post('/api/modbus/devices', (req, res) => {
+    try {
+        const device = normalizeModbusDevice(req.body);
+        const deviceError = validateModbusDevice(device);
+        if (deviceError) {
+            return res.status(400).json({ error: deviceError });
+        }
+
+        device.id = generateId();
+        device.createdAt = new Date().toISOString();
+        stationData.modbusDevices.push(device);
+
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        startModbusPolling(device);
+
+        console.log(`🔌 Équipement Modbus ajouté: ${device.name} (${device.host}:${device.port}, unit ${device.unitId}, ${device.registers.length} registre(s))`);
+        res.status(201).json(getModbusDeviceResponse(device));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/modbus/devices/:id - Mêmes champs que POST (champs absents conservés)
+app.put('/api/modbus/devices/:id', (req, res) => {
+    try {
+        const device = stationData.modbusDevices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Équipement Modbus non trouvé' });
+        }
+
+        const { id, createdAt, ...changes } = req.body;
+        const nextDevice = normalizeModbusDevice({ ...device, ...changes });
+        const deviceError = validateModbusDevice(nextDevice, device.id);
+        if (deviceError) {
+            return res.status(400).json({ error: deviceError });
+        }
+
+        Object.assign(device, nextDevice);
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+
+        // Nouvelle adresse / intervalle pris en compte immédiatement
+        if (device.enabled) {
+            startModbusPolling(device);
+        } else {
+            stopModbusPolling(device.id);
+            closeModbusClient(device.id);
+        }
+
+        res.json(getModbusDeviceResponse(device));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/modbus/devices/:id - Refusé tant que des réservoirs l'utilisent comme transport
+app.delete('/api/modbus/devices/:id', (req, res) => {
+    try {
+        const deviceIndex = stationData.modbusDevices.findIndex(d => d.id === req.params.id);
+        if (deviceIndex === -1) {
+            return res.status(404).json({ error: 'Équipement Modbus non trouvé' });
+        }
+
+        const users = stationData.reservoirs.filter(reservoir =>
+            [reservoir.modbusPump, reservoir.modbusFill].some(target => target && target.deviceId === req.params.id)
+        );
+        if (users.length > 0) {
+            return res.status(400).json({
+                error: `Équipement utilisé par ${users.length} réservoir(s): ${users.map(u => u.name).join(', ')}`
+            });
+        }
+
+        const [removed] = stationData.modbusDevices.splice(deviceIndex, 1);
+        stopModbusPolling(removed.id);
+        closeModbusClient(removed.id);
+        modbusStatus.delete(removed.id);
+        cancelQueuedCommands(command => command.transport === 'modbus' && command.modbus.deviceId === removed.id);
+
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+
+        res.json({ message: 'Équipement Modbus supprimé' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/modbus/devices/:id/poll - Lecture immédiate (même désactivé), valeurs transmises aux capteurs
+app.post('/api/modbus/devices/:id/poll', async (req, res) => {
+    try {
+        const device = stationData.modbusDevices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Équipement Modbus non trouvé' });
+        }
+
+        const result = await pollModbusDevice(device);
+        if (result.error) {
+            return res.status(502).json({ error: result.error, status: getModbusStatus(device.id) });
+        }
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/modbus/devices/:id/write - Écriture manuelle (mise en service, essais)
+// Body: { table: 'coil'|'holding', address, value, dataType?, wordOrder? }
+app.post('/api/modbus/devices/:id/write', async (req, res) => {
+    try {
+        const device = stationData.modbusDevices.find(d => d.id === req.params.id);
+        if (!device) {
+            return res.status(404).json({ error: 'Équipement Modbus non trouvé' });
+        }
+
+        const value = Number(req.body.value);
+        if (req.body.value === undefined || req.body.value === null || !Number.isFinite(value)) {
+            return res.status(400).json({ error: 'Valeur numérique attendue' });
+        }
+        const request = { target: { ...req.body, deviceId: device.id, onValue: value } };
+        const targetError = normalizeModbusTarget(request, 'target');
+        if (targetError) {
+            return res.status(400).json({ error: targetError });
+        }
+
+        try {
+            await writeModbusValue(device, request.target, value);
+        } catch (error) {
+            return res.status(502).json({ error: error.message });
+        }
+        const { table, address, dataType, wordOrder } = request.target;
+        console.log(`✍️ Écriture Modbus ${device.name}: ${table} ${address} = ${value}`);
+        res.json({ success: true, table, address, dataType, wordOrder, value });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API CODECS DE PAYLOAD
+// ============================================================================
+
+app.get('/api/codecs', (req, res) => {
+    res.json(Array.from(payloadCodecs.values()).map(({ name, label, description, source }) => ({
+        name, label, description, source
+    })));
+});
+
+// POST /api/codecs/preview - Décodage d'un payload d'exemple (formulaire capteur)
+app.post('/api/codecs/preview', (req, res) => {
+    try {
+        const { codec, payload = '', encoding = 'text', jsonPath = '', byteExtraction = null } = req.body;
+        
+        if (!payloadCodecs.has(codec)) {
+            return res.status(400).json({ error: `Codec inconnu: ${codec}` });
+        }
+        if (!['text', 'hex', 'base64'].includes(encoding)) {
+            return res.status(400).json({ error: 'Encodage invalide. Attendu: text, hex ou base64' });
+        }
+        if (!validateByteExtraction(byteExtraction)) {
+            return res.status(400).json({ error: 'Extraction d\'octets invalide. Attendu: { offset >= 0, length 1-6, signed: true|false, endianness: big|little, scale }' });
+        }
+        
+        const rawMessage = encoding === 'text' ? Buffer.from(payload) : Buffer.from(payload.trim(), encoding);
+        
+        try {
+            const decoded = decodeWithCodec(codec, rawMessage);
+            const value = extractValueFromDecoded(decoded, jsonPath, byteExtraction);
+            res.json({ success: true, decoded, value: value === undefined ? null : value });
+        } catch (decodeError) {
+            res.json({ success: false, error: decodeError.message });
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/codecs/reload - Recharge les modules du dossier ./codecs
+app.post('/api/codecs/reload', async (req, res) => {
+    try {
+        await loadCustomCodecs();
+        res.json({ success: true, codecs: Array.from(payloadCodecs.keys()) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API JSONPATH (TEST SUR LE DERNIER PAYLOAD)
+// ============================================================================
+
+const RECENT_PAYLOADS_MAX_TOPICS = 500;
+const RECENT_PAYLOAD_MAX_BYTES = 64 * 1024;
+const JSONPATH_TEST_MAX_MATCHES = 100;
+
+// Dernier payload reçu par connexion + topic (mémoire uniquement, pour tester un JSONPath)
+const recentTopicPayloads = new Map();
+
+function recordTopicPayload(connectionId, topic, message, receivedTimestamp, context = createLiveContext()) {
+    if (context.sandbox || message.length > RECENT_PAYLOAD_MAX_BYTES) return;
+    
+    const key = `${connectionId}|${topic}`;
+    recentTopicPayloads.delete(key); // Réinsertion = plus récent en fin de Map
+    recentTopicPayloads.set(key, { connectionId, topic, message, receivedAt: receivedTimestamp.toISOString() });
+    
+    if (recentTopicPayloads.size > RECENT_PAYLOADS_MAX_TOPICS) {
+        recentTopicPayloads.delete(recentTopicPayloads.keys().next().value);
+    }
+}
+
+/**
+ * Payload le plus récent sur un topic configuré (wildcards et captures acceptés)
+ */
+function findRecentTopicPayload(topicPattern, connectionId = null) {
+    const entries = Array.from(recentTopicPayloads.values()).reverse();
+    return entries.find(entry =>
+        (!connectionId || entry.connectionId === connectionId) && matchTopic(topicPattern, entry.topic)
+    ) || null;
+}
+
+// POST /api/jsonpath/test - Évalue un JSONPath sur un payload fourni ou sur le dernier payload du topic
+// Body: { jsonPath, payload?, topic?, connectionId?, codec? }
+app.post('/api/jsonpath/test', (req, res) => {
+    try {
+        const { jsonPath, payload, topic, connectionId, codec } = req.body;
+        
+        if (!jsonPath) {
+            return res.status(400).json({ error: 'jsonPath requis' });
+        }
+        const pathError = getJSONPathError(jsonPath);
+        if (pathError) {
+            return res.status(400).json({ error: `JSONPath invalide: ${pathError}` });
+        }
+        if (codec && !payloadCodecs.has(codec)) {
+            return res.status(400).json({ error: `Codec inconnu: ${codec}` });
+        }
+        
+        let rawMessage;
+        let source;
+        if (payload !== undefined && payload !== null && payload !== '') {
+            rawMessage = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+            source = { type: 'payload' };
+        } else {
+            if (!topic) {
+                return res.status(400).json({ error: 'payload ou topic requis' });
+            }
+            const recent = findRecentTopicPayload(topic, connectionId || null);
+            if (!recent) {
+                return res.status(404).json({ error: `Aucun payload reçu sur ${topic} depuis le démarrage du serveur` });
+            }
+            rawMessage = recent.message;
+            source = { type: 'topic', topic: recent.topic, connectionId: recent.connectionId, receivedAt: recent.receivedAt };
+        }
+        
+        let document;
+        try {
+            document = codec ? decodeWithCodec(codec, rawMessage, source.topic || null) : JSON.parse(rawMessage.toString());
+        } catch (parseError) {
+            return res.json({ success: false, source, payload: rawMessage.toString().substring(0, 2000), error: parseError.message });
+        }
+        
+        const matches = findJSONPathMatches(document, jsonPath);
+        const value = extractValueFromJSON(document, jsonPath);
+        res.json({
+            success: true,
+            source,
+            payload: document,
+            aggregate: parseJSONPath(jsonPath).aggregate,
+            matches: matches.slice(0, JSONPATH_TEST_MAX_MATCHES),
+            matchCount: matches.length,
+            value: value === undefined ? null : value
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// INSPECTEUR DE PAYLOADS (DÉBOGAGE JSONPATH / CODECS)
+// ============================================================================
+// Tampon circulaire en mémoire des derniers messages bruts par connexion + topic:
+// QoS, horodatage, payload et, pour chaque capteur / réservoir concerné, la valeur
+// extraite ou la raison de l'échec. Diffusion en direct aux clients abonnés
+// (room Socket.IO, événements inspector_subscribe / inspector_unsubscribe).
+
+const INSPECTOR_MESSAGES_PER_TOPIC = 50;
+const INSPECTOR_MAX_TOPICS = 200;
+const INSPECTOR_PAYLOAD_MAX_BYTES = 16 * 1024;
+const INSPECTOR_ROOM = 'payload_inspector';
+
+// `${connectionId}|${topic}` -> [entrées], plus récentes en fin
+const inspectorMessages = new Map();
+
+/**
+ * Payload affichable: texte UTF-8, ou hexadécimal pour un payload binaire
+ */
+function formatInspectorPayload(message) {
+    const truncated = message.length > INSPECTOR_PAYLOAD_MAX_BYTES;
+    const bytes = truncated ? message.subarray(0, INSPECTOR_PAYLOAD_MAX_BYTES) : message;
+    // Coupure au milieu d'un caractère multi-octets: dernier caractère retiré
+    const text = truncated ? bytes.toString('utf8').replace(/\uFFFD$/, '') : bytes.toString('utf8');
+    
+    // Caractères de contrôle ou octets invalides: le texte ne représente pas le payload
+    const isBinary = /[\u0000-\u0008\u000E-\u001F\uFFFD]/.test(text);
+    return {
+        payload: isBinary ? bytes.toString('hex') : text,
+        encoding: isBinary ? 'hex' : 'utf8',
+        truncated
+    };
+}
+
+function recordInspectorMessage(connectionId, topic, message, packet, receivedAt, result, extractions, context = createLiveContext()) {
+    // Rejeu sandbox: l'inspecteur ne montre que le trafic live
+    if (context.sandbox) return;
+    
+    const entry = {
+        id: generateId(),
+        connectionId,
+        topic,
+        qos: packet && packet.qos !== undefined ? packet.qos : 0,
+        timestamp: receivedAt.toISOString(),
+        size: message.length,
+        ...formatInspectorPayload(message),
+        status: result.status,
+        error: result.error || null,
+        extractions
+    };
+    
+    const key = `${connectionId}|${topic}`;
+    const entries = inspectorMessages.get(key) || [];
+    inspectorMessages.delete(key); // Réinsertion = topic le plus récent en fin de Map
+    entries.push(entry);
+    if (entries.length > INSPECTOR_MESSAGES_PER_TOPIC) {
+        entries.shift();
+    }
+    inspectorMessages.set(key, entries);
+    
+    if (inspectorMessages.size > INSPECTOR_MAX_TOPICS) {
+        inspectorMessages.delete(inspectorMessages.keys().next().value);
+    }
+    
+    io.to(INSPECTOR_ROOM).emit('payload_inspector', entry);
+}
+
+// GET /api/inspector?topic=&connectionId=&sensorId=&reservoirId=&status=&limit=100
+// Messages récents (plus récents d'abord); topic accepte les wildcards et captures
+app.get('/api/inspector', (req, res) => {
+    try {
+        const { topic, connectionId, sensorId, reservoirId, status } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, INSPECTOR_MESSAGES_PER_TOPIC * INSPECTOR_MAX_TOPICS);
+        
+        const hasEntity = (entry, entityType, id) =>
+            entry.extractions.some(extraction => extraction.entityType === entityType && extraction.id === id);
+        
+        const entries = [];
+        inspectorMessages.forEach(topicEntries => entries.push(...topicEntries));
+        
+        // Plus récents d'abord (ordre de réception conservé à horodatage égal)
+        const filtered = entries.reverse()
+            .filter(entry => !connectionId || entry.connectionId === connectionId)
+            .filter(entry => !topic || matchTopic(topic, entry.topic))
+            .filter(entry => !sensorId || hasEntity(entry, 'sensor', sensorId))
+            .filter(entry => !reservoirId || hasEntity(entry, 'reservoir', reservoirId))
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+        
+        res.json(filtered.slice(0, limit));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/inspector/topics - Topics présents dans le tampon
+app.get('/api/inspector/topics', (req, res) => {
+    const topics = Array.from(inspectorMessages.values()).reverse().map(entries => {
+        const last = entries[entries.length - 1];
+        return {
+            connectionId: last.connectionId,
+            topic: last.topic,
+            messageCount: entries.length,
+            lastStatus: last.status,
+            lastSeen: last.timestamp
+        };
+    });
+    res.json(topics);
+});
+
+// DELETE /api/inspector?topic= - Vide le tampon (d'un topic)
+app.delete('/api/inspector', (req, res) => {
+    let cleared = 0;
+    Array.from(inspectorMessages.entries()).forEach(([key, entries]) => {
+        if (req.query.topic && !matchTopic(req.query.topic, entries[0].topic)) return;
+        cleared += entries.length;
+        inspectorMessages.delete(key);
+    });
+    res.json({ message: `${cleared} message(s) effacé(s)`, cleared });
+});
+
+// ============================================================================
+// API QUALITÉ DE LIAISON DES DISPOSITIFS LORAWAN
+// ============================================================================
+
+/**
+ * Retrouve la clé d'un dispositif (devEUI insensible à la casse)
+ */
+function findDeviceKey(devEUI) {
+    return Object.keys(stationData.devices).find(key => key.toLowerCase() === devEUI.toLowerCase());
+}
+
+app.get('/api/devices', (req, res) => {
+    res.json(Object.values(stationData.devices));
+});
+
+// GET /api/devices/:devEUI/link?period=24h&points=200 - Historique radio et perte de trames
+app.get('/api/devices/:devEUI/link', (req, res) => {
+    try {
+        const devEUI = findDeviceKey(req.params.devEUI);
+        if (!devEUI) {
+            return res.status(404).json({ error: 'Dispositif non trouvé' });
+        }
+        
+        const { period = '24h', points = 200 } = req.query;
+        const history = stationData.deviceLinkHistory[devEUI] || [];
+        const startTime = getPeriodStartTime(period);
+        const entries = history.filter(record => new Date(record.timestamp) >= startTime);
+        
+        // Échantillonnage pour l'affichage, perte calculée sur toute la période
+        const maxPoints = parseInt(points) || 200;
+        const step = Math.ceil(entries.length / maxPoints);
+        const data = entries.length > maxPoints ? entries.filter((_, index) => index % step === 0) : entries;
+        const rssiValues = entries.map(e => e.rssi).filter(v => v !== null);
+        const snrValues = entries.map(e => e.snr).filter(v => v !== null);
+        const average = values => values.length > 0
+            ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+            : null;
+        
+        res.json({
+            device: stationData.devices[devEUI],
+            period,
+            summary: {
+                uplinks: entries.length,
+                lostFrames: entries.reduce((sum, e) => sum + (e.lost || 0), 0),
+                fCntResets: entries.filter(e => e.reset).length,
+                outOfOrderFrames: entries.filter(e => e.outOfOrder).length,
+                lossPercent: computeLossPercent(entries),
+                averageRssi: average(rssiValues),
+                averageSnr: average(snrValues),
+                gateways: [...new Set(entries.map(e => e.gatewayId).filter(Boolean))]
+            },
+            data
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/duplicates - Doublons ignorés par dispositif LoRaWAN et par topic
+app.get('/api/duplicates', (req, res) => {
+    res.json({
+        total: duplicatesDroppedTotal,
+        fCntWindowMs: stationData.config.duplicateFCntWindowMs,
+        payloadWindowMs: stationData.config.duplicatePayloadWindowMs,
+        devices: Object.values(stationData.devices)
+            .filter(device => device.duplicatesDropped)
+            .map(device => ({ devEUI: device.devEUI, deviceName: device.deviceName, duplicatesDropped: device.duplicatesDropped })),
+        topics: Array.from(duplicateTopicCounters.entries())
+            .map(([topic, duplicatesDropped]) => ({ topic, duplicatesDropped }))
+    });
+});
+
+app.get('/api/battery/chemistries', (req, res) => {
+    res.json(Object.entries(BATTERY_CHEMISTRIES).map(([name, chemistry]) => ({ name, ...chemistry })));
+});
+
+// GET /api/devices/:devEUI/battery?period=7d&points=200 - Historique batterie et autonomie estimée
+app.get('/api/devices/:devEUI/battery', (req, res) => {
+    try {
+        const devEUI = findDeviceKey(req.params.devEUI);
+        if (!devEUI) {
+            return res.status(404).json({ error: 'Dispositif non trouvé' });
+        }
+        
+        const { period = '7d', points = 200 } = req.query;
+        const device = stationData.devices[devEUI];
+        const history = stationData.deviceBatteryHistory[devEUI] || [];
+        const startTime = getPeriodStartTime(period);
+        const entries = history.filter(record => new Date(record.timestamp) >= startTime);
+        
+        const maxPoints = parseInt(points) || 200;
+        const step = Math.ceil(entries.length / maxPoints);
+        
+        res.json({
+            devEUI,
+            battery: device.battery,
+            batteryPercent: device.batteryPercent !== undefined ? device.batteryPercent : null,
+            batteryVoltage: device.batteryVoltage !== undefined ? device.batteryVoltage : null,
+            daysUntilEmpty: device.daysUntilEmpty !== undefined ? device.daysUntilEmpty : null,
+            period,
+            data: entries.length > maxPoints ? entries.filter((_, index) => index % step === 0) : entries
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/devices/:devEUI/battery - Source, chimie et seuil de batterie faible
+// Body: { source: 'auto'|'jsonPath'|'none', jsonPath?, unit?: 'percent'|'volt'|'millivolt', chemistry?, lowThreshold? }
+app.put('/api/devices/:devEUI/battery', (req, res) => {
+    try {
+        const devEUI = findDeviceKey(req.params.devEUI);
+        if (!devEUI) {
+            return res.status(404).json({ error: 'Dispositif non trouvé' });
+        }
+        
+        const device = stationData.devices[devEUI];
+        const battery = { ...DEFAULT_BATTERY_CONFIG, ...device.battery };
+        ['source', 'jsonPath', 'unit', 'chemistry'].forEach(field => {
+            if (req.body[field] !== undefined) battery[field] = req.body[field];
+        });
+        if (req.body.lowThreshold !== undefined) battery.lowThreshold = parseFloat(req.body.lowThreshold);
+        
+        const batteryError = validateBatteryConfig(battery);
+        if (batteryError) {
+            return res.status(400).json({ error: batteryError });
+        }
+        
+        device.battery = battery;
+        saveDataToFile();
+        io.emit('device_battery_update', device);
+        
+        console.log(`🔋 Configuration batterie ${devEUI}: ${battery.source} (${battery.chemistry}, seuil ${battery.lowThreshold}%)`);
+        res.json(device);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API BOÎTE DE RÉCEPTION DES NOUVEAUX DISPOSITIFS
+// ============================================================================
+
+app.get('/api/inbox', (req, res) => {
+    const entries = Array.from(deviceInbox.values())
+        .sort((a, b) => new Date(b.lastSeen) - new Date(a.lastSeen));
+    res.json(entries);
+});
+
+app.delete('/api/inbox/:id', (req, res) => {
+    if (!deviceInbox.delete(req.params.id)) {
+        return res.status(404).json({ error: 'Topic non trouvé dans la boîte de réception' });
+    }
+    
+    io.emit('device_inbox_removed', req.params.id);
+    res.json({ message: 'Topic retiré de la boîte de réception' });
+});
+
+// POST /api/inbox/:id/provision - Crée les capteurs des champs sélectionnés
+// Body: { fields: [{ path, name?, type?, unit? }], topic?: 'application/3/device/{devEUI}/rx', mqttQos? }
+app.post('/api/inbox/:id/provision', (req, res) => {
+    try {
+        const entry = deviceInbox.get(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Topic non trouvé dans la boîte de réception' });
+        }
+        
+        const { fields = [], topic = entry.topic, mqttQos = entry.qos || 1 } = req.body;
+        if (!Array.isArray(fields) || fields.length === 0) {
+            return res.status(400).json({ error: 'Aucun champ sélectionné' });
+        }
+        if (!validateTopicPattern(topic) || !matchTopic(topic, entry.topic)) {
+            return res.status(400).json({ error: `Le topic ${topic} ne couvre pas ${entry.topic}` });
+        }
+        
+        // Topic wildcard: captures liées au dispositif de ce topic
+        const topicBinding = parseTopicPattern(topic).hasWildcard ? matchTopic(topic, entry.topic) : null;
+        const topicWarning = getTopicBindingWarning(topic, topicBinding);
+        if (topicWarning) console.log(`⚠️ ${topicWarning}`);
+        
+        const selected = [];
+        for (const field of fields) {
+            const known = entry.fields.find(f => f.path === field.path);
+            if (!known) {
+                return res.status(400).json({ error: `Champ inconnu pour ce topic: ${field.path}` });
+            }
+            selected.push({ ...known, ...field });
+        }
+        
+        const receiveFormats = ['chirpstack_receive', 'chirpstack_v4_receive', 'simple'];
+        const deviceLabel = entry.deviceName || entry.devEUI || entry.topic;
+        
+        const sensors = selected.map(field => {
+            const type = SENSOR_TYPE_DEFAULTS[field.type] ? field.type : 'custom';
+            const typeDefaults = SENSOR_TYPE_DEFAULTS[type];
+            
+            return createSensor({
+                name: field.label || `${deviceLabel} - ${field.name}`,
+                type,
+                topic,
+                topicBinding,
+                devEUI: extractDeviceIdentity(topicBinding) || entry.devEUI,
+                unit: field.unit !== undefined ? field.unit : typeDefaults.defaultUnit,
+                minValue: null,
+                maxValue: null,
+                icon: typeDefaults.icon,
+                color: typeDefaults.color,
+                isJsonPayload: field.path !== '',
+                jsonPath: field.path,
+                jsonFormat: receiveFormats.includes(entry.detectedFormat) ? entry.detectedFormat : 'auto',
+                showReceivedTimestamp: false,
+                mqttQos: parseInt(mqttQos) || 1,
+                connectionId: entry.connectionId
+            });
+        });
+        
+        console.log(`📥 ${sensors.length} capteurs créés depuis la boîte de réception: ${entry.topic}`);
+        
+        deviceInbox.delete(entry.id);
+        io.emit('device_inbox_removed', entry.id);
+        
+        res.json(topicWarning ? { success: true, sensors, topicWarning } : { success: true, sensors });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Génère un identifiant unique basé sur l'horodatage (plusieurs créations dans la même milliseconde)
+ */
+let lastGeneratedId = 0;
+function generateId() {
+    lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+    return lastGeneratedId.toString();
+}
+
+/**
+ * Crée un capteur avec les valeurs par défaut, l'abonne et le diffuse (données déjà validées)
+ */
+function createSensor(data) {
+    const valueKind = data.valueKind || 'numeric';
+    const sensor = {
+        id: generateId(),
+        ...data,
+        valueKind, // 'numeric', 'boolean', 'enum', 'text', 'location'
+        value: valueKind === 'numeric' ? 0 : null,
+        stateSince: null, // Début de l'état courant (capteurs non numériques)
+        status: 'offline',
+        lastUpdate: new Date(),
+        lastDataAt: null, // Dernière donnée reçue (surveillance des données anciennes)
+        silentSince: null,
+        expectedIntervalMs: data.expectedIntervalMs !== undefined ? data.expectedIntervalMs : null, // null = valeur par défaut
+        receivedTimestamp: null,
+        // Valeurs par défaut pour nouvelles propriétés
+        isJsonPayload: data.isJsonPayload || false,
+        jsonPath: data.jsonPath || '',
+        jsonFormat: data.jsonFormat || 'chirpstack_receive', // 'chirpstack_receive', 'chirpstack_v4_receive', 'chirpstack_send', 'simple', 'auto'
+        byteExtraction: data.byteExtraction || null, // Lecture directe des octets de "data" (sans codec)
+        codec: data.codec || '', // Codec de payload enregistré (cayenne_lpp, raw_hex, ...)
+        transforms: data.transforms || [], // Pipeline de calibration (offset, table, clamp, unités, lissage)
+        plausibility: normalizePlausibility(data.plausibility, getDefaultPlausibility(data)), // Valeurs aberrantes mises en quarantaine
+        alertStates: data.alertStates || [], // États déclenchant une alerte (capteurs non numériques)
+        alertOnChange: data.alertOnChange || false,
+        location: data.location || null, // Position fixe sur la carte { latitude, longitude }
+        showReceivedTimestamp: data.showReceivedTimestamp || false,
+        mqttQos: data.mqttQos || 1,
+        connectionId: data.connectionId || DEFAULT_CONNECTION_ID // Broker du site (multi-connexions)
+    };
+    
+    stationData.sensors.push(sensor);
+    stationData.lastSaved = new Date().toISOString();
+    saveDataToFile();
+    
+    if (!stationData.sensorHistory[sensor.id]) {
+        stationData.sensorHistory[sensor.id] = [];
+    }
+    
+    if (getMqttClient(sensor.connectionId)) {
+        // S'abonner avec le QoS spécifié (filtre partagé compté par références)
+        syncMqttSubscriptions();
+        
+        if (sensor.isJsonPayload) {
+            console.log(`🔍 JSONPath configuré: ${sensor.jsonPath} (Format: ${sensor.jsonFormat})`);
+        }
+    }
+    
+    io.emit('sensor_added', sensor);
+    return sensor;
+}
+
+// POST /api/sensors - CONSERVÉ (déjà optimal)
+app.post('/api/sensors', (req, res) => {
+    try {
+        // Validation du topic (wildcards + et #, captures {nom})
+        if (!validateTopicPattern(req.body.topic)) {
+            return res.status(400).json({ 
+                error: 'Topic MQTT invalide: + et # doivent occuper un niveau entier (# en dernier), captures {nom} uniques. Exemples: application/{app}/device/{devEUI}/rx, application/3/device/+/rx, station/#' 
+            });
+        }
+        
+        // Identité fixée par la liaison (sinon apprise au premier message d'un topic non partagé)
+        req.body.devEUI = extractDeviceIdentity(getBoundTopicParams(req.body.topicBinding));
+        
+        // Validation JSONPath si payload JSON
+        if (req.body.isJsonPayload && req.body.jsonPath) {
+            if (!validateJSONPath(req.body.jsonPath)) {
+                return res.status(400).json({ 
+                    error: `JSONPath invalide: ${getJSONPathError(req.body.jsonPath)}. Exemples: object.field, data.sensors[0].temp, sensors[?(@.id==3)].value` 
+                });
+            }
+        }
+        
+        if (!validateByteExtraction(req.body.byteExtraction)) {
+            return res.status(400).json({ 
+                error: 'Extraction d\'octets invalide. Attendu: { offset >= 0, length 1-6, signed: true|false, endianness: big|little, scale }' 
+            });
+        }
+        
+        if (req.body.connectionId && !getConnectionConfig(req.body.connectionId)) {
+            return res.status(400).json({ error: `Connexion MQTT inconnue: ${req.body.connectionId}` });
+        }
+        
+        if (req.body.codec && !payloadCodecs.has(req.body.codec)) {
+            return res.status(400).json({ error: `Codec inconnu: ${req.body.codec}` });
+        }
+        
+        const transformsError = validateTransforms(req.body.transforms);
+        if (transformsError) {
+            return res.status(400).json({ error: `Pipeline de transformation invalide: ${transformsError}` });
+        }
+        
+        const plausibilityError = validatePlausibility(normalizePlausibility(req.body.plausibility, getDefaultPlausibility(req.body)), req.body);
+        if (plausibilityError) {
+            return res.status(400).json({ error: plausibilityError });
+        }
+        
+        const valueConfigError = validateSensorValueConfig(req.body) || normalizeStaticLocation(req.body) ||
+            validateExpectedInterval(req.body.expectedIntervalMs);
+        if (valueConfigError) {
+            return res.status(400).json({ error: valueConfigError });
+        }
+        
+        const sensor = createSensor(req.body);
+        const topicWarning = getTopicBindingWarning(sensor.topic, sensor.topicBinding);
+        if (topicWarning) console.log(`⚠️ ${sensor.name}: ${topicWarning}`);
+        res.json(topicWarning ? { ...sensor, topicWarning } : sensor);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/sensors/:id - CONSERVÉ
+app.put('/api/sensors/:id', (req, res) => {
+    try {
+        const sensorIndex = stationData.sensors.findIndex(s => s.id === req.params.id);
+        if (sensorIndex === -1) {
+            return res.status(404).json({ error: 'Capteur non trouvé' });
+        }
+        
+        // Validation du topic (wildcards + et #, captures {nom})
+        if (req.body.topic !== undefined && !validateTopicPattern(req.body.topic)) {
+            return res.status(400).json({ 
+                error: 'Topic MQTT invalide: + et # doivent occuper un niveau entier (# en dernier), captures {nom} uniques. Exemples: application/{app}/device/{devEUI}/rx, application/3/device/+/rx, station/#' 
+            });
+        }
+        
+        let topicWarning = null;
+        if (req.body.topic !== undefined || req.body.topicBinding !== undefined) {
+            const nextSensor = { ...stationData.sensors[sensorIndex], ...req.body };
+            topicWarning = getTopicBindingWarning(nextSensor.topic, nextSensor.topicBinding);
+            // Autre dispositif: identité réapprise (liaison ou premier message)
+            const current = stationData.sensors[sensorIndex];
+            if (nextSensor.topic !== current.topic ||
+                JSON.stringify(getBoundTopicParams(nextSensor.topicBinding)) !== JSON.stringify(getBoundTopicParams(current.topicBinding))) {
+                req.body.devEUI = extractDeviceIdentity(getBoundTopicParams(nextSensor.topicBinding));
+            }
+        }
+        
+        // Validation JSONPath si payload JSON
+        if (req.body.isJsonPayload && req.body.jsonPath) {
+            if (!validateJSONPath(req.body.jsonPath)) {
+                return res.status(400).json({ 
+                    error: `JSONPath invalide: ${getJSONPathError(req.body.jsonPath)}. Exemples: object.field, data.sensors[0].temp, sensors[?(@.id==3)].value` 
+                });
+            }
+        }
+        
+        if (!validateByteExtraction(req.body.byteExtraction)) {
+            return res.status(400).json({ 
+                error: 'Extraction d\'octets invalide. Attendu: { offset >= 0, length 1-6, signed: true|false, endianness: big|little, scale }' 
+            });
+        }
+        
+        if (req.body.connectionId && !getConnectionConfig(req.body.connectionId)) {
+            return res.status(400).json({ error: `Connexion MQTT inconnue: ${req.body.connectionId}` });
+        }
+        
+        if (req.body.codec && !payloadCodecs.has(req.body.codec)) {
+            return res.status(400).json({ error: `Codec inconnu: ${req.body.codec}` });
+        }
+        
+        const transformsError = validateTransforms(req.body.transforms);
+        if (transformsError) {
+            return res.status(400).json({ error: `Pipeline de transformation invalide: ${transformsError}` });
+        }
+        
+        // Plausibilité: champs absents conservés, revalidée si le type ou l'unité change
+        if (req.body.plausibility !== undefined) {
+            req.body.plausibility = normalizePlausibility(req.body.plausibility, stationData.sensors[sensorIndex].plausibility);
+        }
+        const plausibilityError = validatePlausibility(
+            normalizePlausibility(req.body.plausibility || stationData.sensors[sensorIndex].plausibility),
+            { ...stationData.sensors[sensorIndex], ...req.body }
+        );
+        if (plausibilityError) {
+            return res.status(400).json({ error: plausibilityError });
+        }
+        
+        const valueConfigError = validateSensorValueConfig(req.body, stationData.sensors[sensorIndex]) || normalizeStaticLocation(req.body) ||
+            validateExpectedInterval(req.body.expectedIntervalMs);
+        if (valueConfigError) {
+            return res.status(400).json({ error: valueConfigError });
+        }
+        
+        const { recomputeHistory, ...sensorUpdate } = req.body;
+        const previousKind = getSensorValueKind(stationData.sensors[sensorIndex]);
+        
+        stationData.sensors[sensorIndex] = { 
+            ...stationData.sensors[sensorIndex], 
+            ...sensorUpdate,
+            lastUpdate: new Date()
+        };
+        
+        // Changement de type de valeur: l'historique existant n'est plus comparable
+        const sensorKind = getSensorValueKind(stationData.sensors[sensorIndex]);
+        if (sensorKind !== previousKind) {
+            closeEntitySilence(stationData.sensors[sensorIndex], new Date());
+            Object.assign(stationData.sensors[sensorIndex], {
+                value: sensorKind === 'numeric' ? 0 : null,
+                stateSince: null,
+                status: 'offline',
+                lastDataAt: null
+            });
+            delete stationData.sensors[sensorIndex].rawValue;
+            stationData.sensorHistory[req.params.id] = [];
+            removeQuarantineEntries(entry => entry.sensorId === req.params.id);
+            sensorTransformState.delete(req.params.id);
+            console.log(`🔁 Type de valeur de ${stationData.sensors[sensorIndex].name}: ${previousKind} → ${sensorKind} (historique réinitialisé)`);
+        }
+        
+        // Pipeline modifié: les moyennes glissantes repartent de l'historique
+        if (sensorUpdate.transforms !== undefined) {
+            sensorTransformState.delete(req.params.id);
+        }
+        
+        // Correction de calibration: recalcul de l'historique depuis les valeurs brutes
+        if (recomputeHistory) {
+            const recomputed = recomputeSensorHistory(stationData.sensors[sensorIndex]);
+            console.log(`🧮 Historique recalculé pour ${stationData.sensors[sensorIndex].name}: ${recomputed} points`);
+        }
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        // Si topic ou QoS changé, se réabonner (l'ancien filtre reste actif s'il est encore référencé)
+        syncMqttSubscriptions();
+        
+        io.emit('sensor_updated', stationData.sensors[sensorIndex]);
+        if (topicWarning) console.log(`⚠️ ${stationData.sensors[sensorIndex].name}: ${topicWarning}`);
+        res.json(topicWarning ? { ...stationData.sensors[sensorIndex], topicWarning } : stationData.sensors[sensorIndex]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/sensors/:id', (req, res) => {
+    try {
+        const sensorIndex = stationData.sensors.findIndex(s => s.id === req.params.id);
+        if (sensorIndex === -1) {
+            return res.status(404).json({ error: 'Capteur non trouvé' });
+        }
+        
+        stationData.sensors.splice(sensorIndex, 1);
+        delete stationData.sensorHistory[req.params.id];
+        delete stationData.outages[req.params.id];
+        removeQuarantineEntries(entry => entry.sensorId === req.params.id);
+        sensorTransformState.delete(req.params.id);
+        
+        // Désabonnement seulement si aucun autre dispositif n'utilise le topic
+        syncMqttSubscriptions();
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        io.emit('sensor_deleted', req.params.id);
+        
+        res.json({ message: 'Capteur supprimé' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// NOUVELLES API RÉSERVOIRS AVEC SUPPORT JSON CHIRPSTACK COMPLET
+// ============================================================================
+
+// POST /api/reservoirs - AMÉLIORÉ POUR CHIRPSTACK
+app.post('/api/reservoirs', (req, res) => {
+    try {
+        // Validations JSONPath pour tous les topics
+        const validations = [
+            { field: 'isJsonPayloadLevel', pathField: 'jsonPathLevel' },
+            { field: 'isJsonPayloadPump', pathField: 'jsonPathPump' },
+            { field: 'isJsonPayloadFill', pathField: 'jsonPathFill' },
+            { field: 'isJsonPayloadMode', pathField: 'jsonPathMode' }
+        ];
+        
+        for (const validation of validations) {
+            if (req.body[validation.field] && req.body[validation.pathField]) {
+                if (!validateJSONPath(req.body[validation.pathField])) {
+                    return res.status(400).json({ 
+                        error: `JSONPath invalide pour ${validation.pathField}: ${getJSONPathError(req.body[validation.pathField])}` 
+                    });
+                }
+            }
+        }
+        
+        // Validation des topics (wildcards + et #, captures {nom})
+        for (const topicField of ['topic', 'pumpTopic', 'fillTopic', 'modeTopic']) {
+            if (!validateTopicPattern(req.body[topicField])) {
+                return res.status(400).json({ 
+                    error: `Topic MQTT invalide pour ${topicField}: + et # doivent occuper un niveau entier (# en dernier), captures {nom} uniques. Exemples: application/{app}/device/{devEUI}/rx, application/3/device/+/rx` 
+                });
+            }
+        }
+        
+        // Identité fixée par la liaison (sinon apprise au premier message d'un topic non partagé)
+        req.body.devEUI = extractDeviceIdentity(getBoundTopicParams(req.body.topicBinding));
+        
+        if (!validateByteExtraction(req.body.byteExtractionLevel)) {
+            return res.status(400).json({ 
+                error: 'Extraction d\'octets invalide pour byteExtractionLevel' 
+            });
+        }
+        
+        if (req.body.connectionId && !getConnectionConfig(req.body.connectionId)) {
+            return res.status(400).json({ error: `Connexion MQTT inconnue: ${req.body.connectionId}` });
+        }
+        
+        for (const downlinkField of ['downlinkPump', 'downlinkFill', 'downlinkMode']) {
+            const downlinkError = validateDownlinkTemplate(req.body[downlinkField]);
+            if (downlinkError) {
+                return res.status(400).json({ error: `${downlinkField}: ${downlinkError}` });
+            }
+        }
+        
+        if (req.body.codecLevel && !payloadCodecs.has(req.body.codecLevel)) {
+            return res.status(400).json({ error: `Codec inconnu pour codecLevel: ${req.body.codecLevel}` });
+        }
+        
+        const locationError = normalizeStaticLocation(req.body);
+        if (locationError) {
+            return res.status(400).json({ error: locationError });
+        }
+        
+        const modbusError = normalizeModbusTarget(req.body, 'modbusPump') || normalizeModbusTarget(req.body, 'modbusFill') ||
+            validateExpectedInterval(req.body.expectedIntervalMs);
+        if (modbusError) {
+            return res.status(400).json({ error: modbusError });
+        }
+        
+        const reservoir = {
+            id: generateId(),
+            ...req.body,
+            
+            // États par défaut
+            currentLevel: 50,
+            pumpStatus: false,
+            isAutoMode: true,
+            shadow: createReservoirShadow(),
+            status: 'offline', // 'online' à la première mesure de niveau, puis surveillance des données anciennes
+            lastUpdate: new Date(),
+            lastDataAt: null,
+            silentSince: null,
+            expectedIntervalMs: req.body.expectedIntervalMs !== undefined ? req.body.expectedIntervalMs : null,
+            receivedTimestamp: null,
+            
+            // Propriétés JSON par défaut si non spécifiées - Topic Niveau
+            isJsonPayloadLevel: req.body.isJsonPayloadLevel || false,
+            jsonPathLevel: req.body.jsonPathLevel || '',
+            jsonFormatLevel: req.body.jsonFormatLevel || 'chirpstack_receive',
+            byteExtractionLevel: req.body.byteExtractionLevel || null,
+            codecLevel: req.body.codecLevel || '',
+            mqttQosLevel: req.body.mqttQosLevel || 1,
+            connectionId: req.body.connectionId || DEFAULT_CONNECTION_ID, // Broker du site (réception + commandes)
+            
+            // Topic Pompe
+            isJsonPayloadPump: req.body.isJsonPayloadPump || false,
+            jsonPathPump: req.body.jsonPathPump || '',
+            jsonFormatPump: req.body.jsonFormatPump || 'chirpstack_send',
+            mqttQosPump: req.body.mqttQosPump || 1,
+            downlinkPump: req.body.downlinkPump || null,
+            modbusPump: req.body.modbusPump || null, // Écriture Modbus au lieu du topic (voir MODBUS TCP)
+            
+            // Topic Remplissage
+            isJsonPayloadFill: req.body.isJsonPayloadFill || false,
+            jsonPathFill: req.body.jsonPathFill || '',
+            jsonFormatFill: req.body.jsonFormatFill || 'chirpstack_send',
+            mqttQosFill: req.body.mqttQosFill || 1,
+            downlinkFill: req.body.downlinkFill || null,
+            modbusFill: req.body.modbusFill || null,
+            
+            // Topic Mode
+            isJsonPayloadMode: req.body.isJsonPayloadMode || false,
+            jsonPathMode: req.body.jsonPathMode || '',
+            jsonFormatMode: req.body.jsonFormatMode || 'chirpstack_send',
+            mqttQosMode: req.body.mqttQosMode || 1,
+            downlinkMode: req.body.downlinkMode || null,
+            
+            location: req.body.location || null, // Position sur la carte { latitude, longitude }
+            showReceivedTimestamp: req.body.showReceivedTimestamp || false
+        };
+        
+        stationData.reservoirs.push(reservoir);
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        if (!stationData.reservoirHistory[reservoir.id]) {
+            stationData.reservoirHistory[reservoir.id] = [];
+        }
+        
+        if (getMqttClient(reservoir.connectionId)) {
+            // S'abonner à tous les topics avec leurs QoS respectifs (filtres comptés par références)
+            syncMqttSubscriptions();
+            console.log(`📡 Réservoir ${reservoir.name}: niveau ${reservoir.topic} (QoS: ${reservoir.mqttQosLevel}, Format: ${reservoir.jsonFormatLevel})`);
+        }
+        
+        io.emit('reservoir_added', reservoir);
+        const topicWarning = getReservoirTopicBindingWarning(reservoir);
+        if (topicWarning) console.log(`⚠️ ${reservoir.name}: ${topicWarning}`);
+        res.json(topicWarning ? { ...reservoir, topicWarning } : reservoir);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// PUT /api/reservoirs/:id - AMÉLIORÉ POUR CHIRPSTACK
+app.put('/api/reservoirs/:id', (req, res) => {
+    try {
+        const reservoirIndex = stationData.reservoirs.findIndex(r => r.id === req.params.id);
+        if (reservoirIndex === -1) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+        
+        // Validations JSONPath pour tous les topics
+        const validations = [
+            { field: 'isJsonPayloadLevel', pathField: 'jsonPathLevel' },
+            { field: 'isJsonPayloadPump', pathField: 'jsonPathPump' },
+            { field: 'isJsonPayloadFill', pathField: 'jsonPathFill' },
+            { field: 'isJsonPayloadMode', pathField: 'jsonPathMode' }
+        ];
+        
+        for (const validation of validations) {
+            if (req.body[validation.field] && req.body[validation.pathField]) {
+                if (!validateJSONPath(req.body[validation.pathField])) {
+                    return res.status(400).json({ 
+                        error: `JSONPath invalide pour ${validation.pathField}: ${getJSONPathError(req.body[validation.pathField])}` 
+                    });
+                }
+            }
+        }
+        
+        // Validation des topics (wildcards + et #, captures {nom})
+        for (const topicField of ['topic', 'pumpTopic', 'fillTopic', 'modeTopic']) {
+            if (!validateTopicPattern(req.body[topicField])) {
+                return res.status(400).json({ 
+                    error: `Topic MQTT invalide pour ${topicField}: + et # doivent occuper un niveau entier (# en dernier), captures {nom} uniques. Exemples: application/{app}/device/{devEUI}/rx, application/3/device/+/rx` 
+                });
+            }
+        }
+        
+        const currentReservoir = stationData.reservoirs[reservoirIndex];
+        const nextReservoir = { ...currentReservoir, ...req.body };
+        const topicWarning = getReservoirTopicBindingWarning(nextReservoir);
+        // Autre dispositif: captures et identité réapprises (liaison ou premier message)
+        const deviceChanged = ['topic', 'pumpTopic', 'fillTopic', 'modeTopic'].some(field => nextReservoir[field] !== currentReservoir[field]) ||
+            JSON.stringify(getBoundTopicParams(nextReservoir.topicBinding)) !== JSON.stringify(getBoundTopicParams(currentReservoir.topicBinding));
+        if (deviceChanged) {
+            req.body.topicParams = {};
+            req.body.devEUI = extractDeviceIdentity(getBoundTopicParams(nextReservoir.topicBinding));
+        }
+        
+        if (!validateByteExtraction(req.body.byteExtractionLevel)) {
+            return res.status(400).json({ 
+                error: 'Extraction d\'octets invalide pour byteExtractionLevel' 
+            });
+        }
+        
+        if (req.body.connectionId && !getConnectionConfig(req.body.connectionId)) {
+            return res.status(400).json({ error: `Connexion MQTT inconnue: ${req.body.connectionId}` });
+        }
+        
+        for (const downlinkField of ['downlinkPump', 'downlinkFill', 'downlinkMode']) {
+            const downlinkError = validateDownlinkTemplate(req.body[downlinkField]);
+            if (downlinkError) {
+                return res.status(400).json({ error: `${downlinkField}: ${downlinkError}` });
+            }
+        }
+        
+        if (req.body.codecLevel && !payloadCodecs.has(req.body.codecLevel)) {
+            return res.status(400).json({ error: `Codec inconnu pour codecLevel: ${req.body.codecLevel}` });
+        }
+        
+        const locationError = normalizeStaticLocation(req.body);
+        if (locationError) {
+            return res.status(400).json({ error: locationError });
+        }
+        
+        const modbusError = normalizeModbusTarget(req.body, 'modbusPump') || normalizeModbusTarget(req.body, 'modbusFill') ||
+            validateExpectedInterval(req.body.expectedIntervalMs);
+        if (modbusError) {
+            return res.status(400).json({ error: modbusError });
+        }
+        
+        const oldReservoir = stationData.reservoirs[reservoirIndex];
+        
+        stationData.reservoirs[reservoirIndex] = { 
+            ...oldReservoir, 
+            ...req.body,
+            shadow: oldReservoir.shadow, // Géré par les commandes et les retours d'état
+            lastUpdate: new Date()
+        };
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        // Réabonnement si topics ou QoS ont changé (les filtres partagés restent actifs)
+        syncMqttSubscriptions();
+        
+        io.emit('reservoir_updated', stationData.reservoirs[reservoirIndex]);
+        if (topicWarning) console.log(`⚠️ ${stationData.reservoirs[reservoirIndex].name}: ${topicWarning}`);
+        res.json(topicWarning ? { ...stationData.reservoirs[reservoirIndex], topicWarning } : stationData.reservoirs[reservoirIndex]);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// DELETE /api/reservoirs/:id - AMÉLIORÉ
+app.delete('/api/reservoirs/:id', (req, res) => {
+    try {
+        const reservoirIndex = stationData.reservoirs.findIndex(r => r.id === req.params.id);
+        if (reservoirIndex === -1) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+        
+        stationData.reservoirs.splice(reservoirIndex, 1);
+        delete stationData.reservoirHistory[req.params.id];
+        delete stationData.outages[req.params.id];
+        cancelQueuedCommands(command => command.reservoirId === req.params.id);
+        
+        // Désabonnement des topics qui ne sont plus référencés par aucun dispositif
+        syncMqttSubscriptions();
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        io.emit('reservoir_deleted', req.params.id);
+        
+        res.json({ message: 'Réservoir supprimé' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/reservoirs/:id/pump - AMÉLIORÉ CHIRPSTACK
+// Body: { action: 'start'|'stop', expiresInMs?, durationSeconds? } (durée: variable {duration} du template)
+// pumpStatus ne change qu'au retour d'état du dispositif (200 si publiée, 202 si la commande reste en attente)
+app.post('/api/reservoirs/:id/pump', async (req, res) => {
+    try {
+        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+        if (!reservoir) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+        
+        const { action, expiresInMs, durationSeconds } = req.body;
+        const newStatus = (action === 'start');
+        
+        const { command, delivery, error } = queueReservoirCommand(reservoir, 'pump', newStatus, { expiresInMs, durationSeconds });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        console.log(`🔧 Pompe ${reservoir.name}: ${action} (${command.payload})`);
+        
+        await waitForCommandDelivery(delivery);
+        
+        res.status(command.status === 'sent' ? 200 : 202).json({ 
+            success: true, 
+            pumpStatus: reservoir.pumpStatus,
+            command
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/reservoirs/:id/fill - AMÉLIORÉ CHIRPSTACK
+// Body: { expiresInMs?, durationSeconds? }
+app.post('/api/reservoirs/:id/fill', async (req, res) => {
+    try {
+        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+        if (!reservoir) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+        
+        if (reservoir.fillTopic || reservoir.modbusFill) {
+            const { expiresInMs, durationSeconds } = req.body || {};
+            const { command, delivery, error } = queueReservoirCommand(reservoir, 'fill', undefined, { expiresInMs, durationSeconds });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            console.log(`🔄 Remplissage ${reservoir.name} (${command.payload})`);
+            
+            await waitForCommandDelivery(delivery);
+            return res.status(command.status === 'sent' ? 200 : 202).json({ success: true, command });
+        }
+        
+        // Simulation locale si pas de topic ni de cible Modbus
+        reservoir.currentLevel = 100;
+        reservoir.lastUpdate = new Date();
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        io.emit('reservoir_realtime_update', {
+            id: reservoir.id,
+            level: reservoir.currentLevel,
+            timestamp: reservoir.lastUpdate
+        });
+        
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/reservoirs/:id/mode - AMÉLIORÉ CHIRPSTACK
+// Body: { mode: 'auto'|'manual', expiresInMs? }
+app.post('/api/reservoirs/:id/mode', async (req, res) => {
+    try {
+        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+        if (!reservoir) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+        
+        const { mode, expiresInMs } = req.body; // 'auto' ou 'manual'
+        
+        if (reservoir.modeTopic) {
+            const { command, delivery, error } = queueReservoirCommand(reservoir, 'mode', mode, { expiresInMs });
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            console.log(`🎛️ Mode ${reservoir.name}: ${mode} (${command.payload})`);
+            
+            await waitForCommandDelivery(delivery);
+            return res.status(command.status === 'sent' ? 200 : 202).json({ 
+                success: true, 
+                isAutoMode: reservoir.isAutoMode,
+                mode: reservoir.isAutoMode ? 'auto' : 'manual',
+                command
+            });
+        }
+        
+        // Sans topic de mode: changement local immédiat
+        reservoir.isAutoMode = (mode === 'auto');
+        reservoir.lastUpdate = new Date();
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        
+        io.emit('reservoir_mode_changed', {
+            id: reservoir.id,
+            isAutoMode: reservoir.isAutoMode,
+            mode: mode
+        });
+        
+        res.json({ 
+            success: true, 
+            isAutoMode: reservoir.isAutoMode,
+            mode: mode
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/reservoirs/:id/downlink/test - Encode et publie un downlink de test (hors file, sans effet sur l'état)
+// Body: { kind: 'pump'|'fill'|'mode', value?, durationSeconds?, dryRun?, overrides?: { pumpTopic, isJsonPayloadPump, jsonFormatPump, downlinkPump, modbusPump, ... } }
+// overrides = valeurs non enregistrées du formulaire d'édition (une cible Modbus est écrite directement)
+app.post('/api/reservoirs/:id/downlink/test', async (req, res) => {
+    try {
+        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+        if (!reservoir) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+        
+        const { kind, durationSeconds, dryRun, overrides = {} } = req.body;
+        if (!['pump', 'fill', 'mode'].includes(kind)) {
+            return res.status(400).json({ error: `Commande inconnue: ${kind}` });
+        }
+        
+        const suffix = kind.charAt(0).toUpperCase() + kind.slice(1);
+        const candidate = { ...reservoir };
+        [`${kind}Topic`, `isJsonPayload${suffix}`, `jsonFormat${suffix}`, `mqttQos${suffix}`, `downlink${suffix}`, `modbus${suffix}`].forEach(field => {
+            if (overrides[field] !== undefined) candidate[field] = overrides[field];
+        });
+        
+        const downlinkError = validateDownlinkTemplate(candidate[`downlink${suffix}`]) || normalizeModbusTarget(candidate, `modbus${suffix}`);
+        if (downlinkError) {
+            return res.status(400).json({ error: downlinkError });
+        }
+        
+        const value = req.body.value !== undefined ? req.body.value : (kind === 'mode' ? 'auto' : true);
+        const built = buildReservoirCommand(candidate, kind, value, durationSeconds);
+        if (built.error) {
+            return res.status(400).json({ error: built.error });
+        }
+        
+        const payload = getCommandPayloadBuffer(built);
+        const result = {
+            topic: built.topic,
+            payload: built.payloadEncoding === 'hex' ? null : built.payload,
+            bytesHex: payload.toString('hex'),
+            sent: false
+        };
+        
+        if (!dryRun && built.transport === 'modbus') {
+            const device = stationData.modbusDevices.find(d => d.id === built.modbus.deviceId);
+            try {
+                await writeModbusValue(device, built.modbus, built.modbus.value);
+            } catch (error) {
+                return res.status(503).json({ ...result, error: `Écriture Modbus: ${error.message}` });
+            }
+            result.sent = true;
+            console.log(`🧪 Écriture Modbus de test ${kind} ${reservoir.name} sur ${built.topic}: ${built.payload}`);
+        } else if (!dryRun) {
+            const mqttClient = getMqttClient(getEntityConnectionId(reservoir));
+            if (!mqttClient) {
+                return res.status(503).json({ ...result, error: 'Broker MQTT hors ligne' });
+            }
+            rememberOutboundMessage(getEntityConnectionId(reservoir), built.topic, payload);
+            mqttClient.publish(built.topic, payload, { qos: built.qos });
+            result.sent = true;
+            console.log(`🧪 Downlink de test ${kind} ${reservoir.name} sur ${built.topic}: ${result.payload || result.bytesHex}`);
+        }
+        
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API FILE DE COMMANDES
+// ============================================================================
+
+// GET /api/commands?status=queued&reservoirId=... - Commandes (plus récentes en premier)
+app.get('/api/commands', (req, res) => {
+    const { status, reservoirId } = req.query;
+    
+    res.json(stationData.commandQueue
+        .filter(command => (!status || command.status === status) && (!reservoirId || command.reservoirId === reservoirId))
+        .slice()
+        .reverse());
+});
+
+// DELETE /api/commands/:id - Annule une commande en attente
+app.delete('/api/commands/:id', (req, res) => {
+    try {
+        const command = stationData.commandQueue.find(c => c.id === req.params.id);
+        if (!command) {
+            return res.status(404).json({ error: 'Commande non trouvée' });
+        }
+        if (command.status !== 'queued' || deliveringCommandIds.has(command.id)) {
+            return res.status(400).json({ error: `Commande non annulable (état: ${deliveringCommandIds.has(command.id) ? 'en cours de publication' : command.status})` });
+        }
+        
+        cancelQueuedCommands(c => c.id === command.id);
+        res.json(command);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// API GRAPHIQUES (CONSERVÉE)
+// ============================================================================
+
+app.get('/api/sensors/:id/history', (req, res) => {
+    try {
+        const { period = '1h', points = 50 } = req.query;
+        const sensor = stationData.sensors.find(s => s.id === req.params.id);
+        
+        if (!sensor) {
+            return res.status(404).json({ error: 'Capteur non trouvé' });
+        }
+
+        const history = stationData.sensorHistory[req.params.id] || [];
+        const filteredHistory = getSensorChartHistory(sensor, period, parseInt(points));
+        
+        res.json({
+            sensor: getSensorChartInfo(sensor),
+            data: filteredHistory,
+            period,
+            totalPoints: history.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/sensors/:id/history/recompute - Réapplique la calibration actuelle aux valeurs brutes
+app.post('/api/sensors/:id/history/recompute', (req, res) => {
+    try {
+        const sensor = stationData.sensors.find(s => s.id === req.params.id);
+        if (!sensor) {
+            return res.status(404).json({ error: 'Capteur non trouvé' });
+        }
+        
+        const recomputed = recomputeSensorHistory(sensor);
+        console.log(`🧮 Historique recalculé pour ${sensor.name}: ${recomputed} points`);
+        
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        io.emit('sensor_updated', sensor);
+        
+        res.json({ success: true, recomputed, value: sensor.value });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/charts/sensors/compare', (req, res) => {
+    try {
+        const { ids, period = '1h', points = 50 } = req.query;
+        const sensorIds = ids.split(',');
+        
+        const compareData = sensorIds.map(id => {
+            const sensor = stationData.sensors.find(s => s.id === id);
+            if (!sensor) return null;
+            
+            return {
+                sensor: getSensorChartInfo(sensor),
+                data: getSensorChartHistory(sensor, period, parseInt(points))
+            };
+        }).filter(Boolean);
+        
+        res.json({
+            sensors: compareData,
+            period,
+            points: parseInt(points)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// API Historique réservoirs
+app.get('/api/reservoirs/:id/history', (req, res) => {
+    try {
+        const { period = '1h', points = 50 } = req.query;
+        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+        
+        if (!reservoir) {
+            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        }
+
+        const history = stationData.reservoirHistory[req.params.id] || [];
+        const filteredHistory = filterHistoryByPeriod(history, period, parseInt(points));
+        
+        res.json({
+            reservoir: {
+                id: reservoir.id,
+                name: reservoir.name,
+                capacity: reservoir.capacity,
+                color: reservoir.color
+            },
+            data: filteredHistory,
+            period,
+            totalPoints: history.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// IMPORT D'HISTORIQUE (CSV / NDJSON)
+// ============================================================================
+
+// Même limite que l'historique alimenté en direct
+const HISTORY_MAX_ENTRIES = 1000;
+const IMPORT_MAX_REJECTED_LINES = 100;
+const IMPORT_PREVIEW_ROWS = 5;
+const IMPORT_DUPLICATE_MODES = ['skip', 'replace'];
+const IMPORT_FORMATS = ['auto', 'csv', 'ndjson'];
+// Deux points à moins d'une seconde d'écart sont la même mesure
+const IMPORT_DUPLICATE_TOLERANCE_MS = 1000;
+
+/**
+ * Découpe une ligne CSV (champs entre guillemets, "" échappé)
+ */
+function splitCsvLine(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    
+    return fields;
+}
+
+/**
+ * Séparateur le plus fréquent de la ligne d'en-tête (virgule, point-virgule ou tabulation)
+ */
+function detectCsvDelimiter(headerLine) {
+    return [',', ';', '\t']
+        .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * Analyse un contenu CSV ou NDJSON en { columns, rows: [{ line, values }], rejected }
+ */
+function parseImportContent(content, format = 'auto', delimiter = null) {
+    const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const firstLine = lines.find(line => line.trim() !== '') || '';
+    const detectedFormat = format === 'auto'
+        ? (firstLine.trim().startsWith('{') ? 'ndjson' : 'csv')
+        : format;
+    const rows = [];
+    const rejected = [];
+    
+    if (detectedFormat === 'ndjson') {
+        const columns = new Set();
+        lines.forEach((line, index) => {
+            if (line.trim() === '') return;
+            try {
+                const values = JSON.parse(line);
+                if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                    throw new Error('objet JSON attendu');
+                }
+                Object.keys(values).forEach(key => columns.add(key));
+                rows.push({ line: index + 1, values });
+            } catch (error) {
+                rejected.push({ line: index + 1, reason: `JSON invalide: ${error.message}` });
+            }
+        });
+        return { format: 'ndjson', columns: [...columns], rows, rejected };
+    }
+    
+    const headerIndex = lines.indexOf(firstLine);
+    const separator = delimiter || detectCsvDelimiter(firstLine);
+    const columns = splitCsvLine(firstLine, separator);
+    
+    lines.slice(headerIndex + 1).forEach((line, offset) => {
+        const lineNumber = headerIndex + offset + 2;
+        if (line.trim() === '') return;
+        
+        const fields = splitCsvLine(line, separator);
+        if (fields.length !== columns.length) {
+            rejected.push({ line: lineNumber, reason: `${fields.length} colonnes au lieu de ${columns.length}` });
+            return;
+        }
+        
+        const values = {};
+        columns.forEach((column, index) => { values[column] = fields[index]; });
+        rows.push({ line: lineNumber, values });
+    });
+    
+    return { format: 'csv', delimiter: separator, columns, rows, rejected };
+}
+
+/**
+ * Horodatage d'import: ISO 8601, "AAAA-MM-JJ HH:MM:SS" (heure locale) ou epoch en secondes / millisecondes
+ */
+function parseImportTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    
+    const text = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const epoch = Number(text);
+        // Au-delà de 1e11, l'epoch est en millisecondes
+        return epoch > 1e11 ? epoch : Math.round(epoch * 1000);
+    }
+    
+    const time = new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T')).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Valeur numérique d'import (virgule décimale acceptée pour les exports français)
+ */
+function parseImportNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === null || value === undefined) return null;
+    
+    const text = String(value).trim().replace(/^(-?\d+),(\d+)$/, '$1.$2');
+    if (text === '') return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+function getImportTarget(mapping) {
+    if (mapping.targetType === 'reservoir') {
+        return stationData.reservoirs.find(r => r.id === mapping.targetId);
+    }
+    return stationData.sensors.find(s => s.id === mapping.targetId);
+}
+
+function validateImportRequest(body, columns) {
+    if (!body.timestampColumn || !columns.includes(body.timestampColumn)) {
+        return `Colonne d'horodatage introuvable: ${body.timestampColumn || '(vide)'}`;
+    }
+    if (!Array.isArray(body.mappings) || body.mappings.length === 0) {
+        return 'Aucune colonne associée à un capteur ou réservoir';
+    }
+    if (body.duplicates !== undefined && !IMPORT_DUPLICATE_MODES.includes(body.duplicates)) {
+        return `Gestion des doublons invalide: ${body.duplicates} (${IMPORT_DUPLICATE_MODES.join(', ')})`;
+    }
+    for (const mapping of body.mappings) {
+        if (!columns.includes(mapping.column)) {
+            return `Colonne introuvable: ${mapping.column}`;
+        }
+        if (!['sensor', 'reservoir'].includes(mapping.targetType || 'sensor')) {
+            return `Type de cible invalide: ${mapping.targetType}`;
+        }
+        if (!getImportTarget(mapping)) {
+            return `Cible introuvable pour la colonne ${mapping.column}: ${mapping.targetId}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Fusionne des points importés dans un historique trié par horodatage.
+ * Un point à moins de toleranceMs d'un point existant est un doublon (ignoré ou remplacé).
+ */
+function mergeImportedPoints(history, points, duplicates, toleranceMs) {
+    const merged = history.map(entry => ({ entry, time: new Date(entry.timestamp).getTime() }));
+    merged.sort((a, b) => a.time - b.time);
+    const stats = { inserted: 0, duplicates: 0, replaced: 0, trimmed: 0 };
+    
+    points.forEach(point => {
+        // Recherche dichotomique du premier point >= point.time - tolérance
+        let low = 0;
+        let high = merged.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (merged[middle].time < point.time - toleranceMs) low = middle + 1;
+            else high = middle;
+        }
+        
+        if (low < merged.length && merged[low].time <= point.time + toleranceMs) {
+            stats.duplicates++;
+            if (duplicates === 'replace') {
+                merged[low] = { entry: point.entry, time: point.time };
+                stats.replaced++;
+            }
+            return;
+        }
+        
+        merged.splice(low, 0, { entry: point.entry, time: point.time });
+        stats.inserted++;
+    });
+    
+    if (merged.length > HISTORY_MAX_ENTRIES) {
+        stats.trimmed = merged.length - HISTORY_MAX_ENTRIES;
+        merged.splice(0, stats.trimmed);
+    }
+    
+    return { history: merged.map(item => item.entry), stats };
+}
+
+/**
+ * Prépare (dryRun) ou applique un import d'historique
+ */
+function runHistoryImport(body) {
+    const parsed = parseImportContent(body.content, body.format || 'auto', body.delimiter || null);
+    
+    // Analyse seule (dryRun sans association): colonnes et aperçu pour préparer l'association
+    if (body.dryRun && body.mappings === undefined) {
+        return {
+            dryRun: true,
+            format: parsed.format,
+            delimiter: parsed.delimiter,
+            columns: parsed.columns,
+            totalRows: parsed.rows.length + parsed.rejected.length,
+            rejectedCount: parsed.rejected.length,
+            rejected: parsed.rejected.slice(0, IMPORT_MAX_REJECTED_LINES),
+            preview: parsed.rows.slice(0, IMPORT_PREVIEW_ROWS),
+            results: []
+        };
+    }
+    
+    const validationError = validateImportRequest(body, parsed.columns);
+    if (validationError) {
+        return { error: validationError, columns: parsed.columns, format: parsed.format };
+    }
+    
+    const duplicates = body.duplicates || 'skip';
+    const toleranceMs = body.duplicateToleranceMs === undefined
+        ? IMPORT_DUPLICATE_TOLERANCE_MS
+        : Math.max(0, Number(body.duplicateToleranceMs) || 0);
+    const rejected = [...parsed.rejected];
+    
+    // Lignes valides triées par horodatage
+    const rows = [];
+    parsed.rows.forEach(row => {
+        const time = parseImportTimestamp(row.values[body.timestampColumn]);
+        if (time === null) {
+            rejected.push({ line: row.line, reason: `Horodatage invalide: ${row.values[body.timestampColumn]}` });
+            return;
+        }
+        if (time > Date.now() + 60000) {
+            rejected.push({ line: row.line, reason: `Horodatage dans le futur: ${row.values[body.timestampColumn]}` });
+            return;
+        }
+        rows.push({ line: row.line, time, values: row.values });
+    });
+    rows.sort((a, b) => a.time - b.time);
+    
+    const results = body.mappings.map(mapping => {
+        const targetType = mapping.targetType || 'sensor';
+        const target = getImportTarget(mapping);
+        const historyStore = targetType === 'reservoir' ? stationData.reservoirHistory : stationData.sensorHistory;
+        const transforms = targetType === 'sensor' && mapping.applyCalibration ? target.transforms : null;
+        const transformState = {};
+        const points = [];
+        let skipped = 0;
+        
+        rows.forEach(row => {
+            const cell = row.values[mapping.column];
+            // Cellule vide: pas de mesure pour cette colonne sur cette ligne
+            if (cell === '' || cell === null || cell === undefined) {
+                skipped++;
+                return;
+            }
+            
+            // Capteur booléen / état / texte / position: même conversion que les messages reçus
+            const stateValue = targetType === 'sensor' && !isNumericSensor(target) ? coerceSensorValue(target, cell) : null;
+            const value = stateValue ? stateValue.value : parseImportNumber(cell);
+            if (stateValue && stateValue.error) {
+                rejected.push({ line: row.line, reason: `${stateValue.error} (${mapping.column})` });
+                return;
+            }
+            if (value === null || value === undefined) {
+                rejected.push({ line: row.line, reason: `Valeur non numérique (${mapping.column}): ${cell}` });
+                return;
+            }
+            
+            const entry = { timestamp: new Date(row.time), imported: true };
+            if (targetType === 'reservoir') {
+                entry.level = Math.max(0, Math.min(100, value));
+            } else if (Array.isArray(transforms) && transforms.length > 0) {
+                entry.rawValue = value;
+                entry.value = applyTransformPipeline(transforms, value, transformState);
+            } else {
+                entry.value = value;
+            }
+            points.push({ time: row.time, entry });
+        });
+        
+        const { history, stats } = mergeImportedPoints(historyStore[target.id] || [], points, duplicates, toleranceMs);
+        
+        if (!body.dryRun && (stats.inserted > 0 || stats.replaced > 0)) {
+            historyStore[target.id] = history;
+            applyImportedLatestValue(targetType, target, history);
+        }
+        
+        return {
+            column: mapping.column,
+            targetType,
+            targetId: target.id,
+            targetName: target.name,
+            points: points.length,
+            emptyCells: skipped,
+            ...stats,
+            firstTimestamp: points.length > 0 ? new Date(points[0].time).toISOString() : null,
+            lastTimestamp: points.length > 0 ? new Date(points[points.length - 1].time).toISOString() : null
+        };
+    });
+    
+    rejected.sort((a, b) => a.line - b.line);
+    
+    return {
+        dryRun: !!body.dryRun,
+        format: parsed.format,
+        delimiter: parsed.delimiter,
+        columns: parsed.columns,
+        totalRows: parsed.rows.length + parsed.rejected.length,
+        validRows: rows.length,
+        rejectedCount: rejected.length,
+        rejected: rejected.slice(0, IMPORT_MAX_REJECTED_LINES),
+        preview: rows.slice(0, IMPORT_PREVIEW_ROWS).map(row => ({
+            line: row.line,
+            timestamp: new Date(row.time).toISOString(),
+            values: row.values
+        })),
+        results
+    };
+}
+
+/**
+ * Un point importé plus récent que la dernière mesure live devient la valeur courante
+ */
+function applyImportedLatestValue(targetType, target, history) {
+    const last = history[history.length - 1];
+    if (!last || !last.imported) return;
+    
+    const lastTime = new Date(last.timestamp).getTime();
+    if (target.lastUpdate && new Date(target.lastUpdate).getTime() >= lastTime) return;
+    
+    target.lastUpdate = new Date(lastTime);
+    if (targetType === 'reservoir') {
+        target.currentLevel = last.level;
+    } else {
+        target.value = last.value;
+        if (last.rawValue !== undefined) target.rawValue = last.rawValue;
+        if (isStateSensor(target)) target.stateSince = new Date(lastTime);
+        // Les moyennes glissantes repartent de l'historique fusionné
+        sensorTransformState.delete(target.id);
+    }
+}
+
+// POST /api/history/import - Body: { content, format?, delimiter?, timestampColumn,
+//   mappings: [{ column, targetType: 'sensor'|'reservoir', targetId, applyCalibration? }],
+//   duplicates?: 'skip'|'replace', duplicateToleranceMs?, dryRun? }
+app.post('/api/history/import', (req, res) => {
+    try {
+        if (typeof req.body.content !== 'string' || req.body.content.trim() === '') {
+            return res.status(400).json({ error: 'Contenu à importer vide' });
+        }
+        if (req.body.format && !IMPORT_FORMATS.includes(req.body.format)) {
+            return res.status(400).json({ error: `Format inconnu: ${req.body.format} (${IMPORT_FORMATS.join(', ')})` });
+        }
+        
+        const result = runHistoryImport(req.body);
+        if (result.error) {
+            return res.status(400).json(result);
+        }
+        
+        if (!result.dryRun) {
+            const inserted = result.results.reduce((total, item) => total + item.inserted, 0);
+            console.log(`📥 Import d'historique: ${inserted} points ajoutés, ${result.rejectedCount} lignes rejetées`);
+            
+            stationData.lastSaved = new Date().toISOString();
+            saveDataToFile();
+            io.emit('history_imported', {
+                results: result.results.map(({ targetType, targetId, inserted, replaced }) => ({ targetType, targetId, inserted, replaced }))
+            });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================================================
+// BROKER MQTT EMBARQUÉ (AEDES)
+// ============================================================================
+// Petites installations sans Mosquitto: la station héberge elle-même le broker.
+// Les capteurs, passerelles et l'intégration MQTT de ChirpStack s'y connectent
+// directement (TCP, et WebSocket en option). La connexion principale peut
+// l'utiliser (embeddedBrokerUseAsMain) au lieu de config.mqttServer.
+
+const EMBEDDED_BROKER_FIELDS = [
+    'embeddedBrokerEnabled', 'embeddedBrokerPort', 'embeddedBrokerUsername', 'embeddedBrokerPassword',
+    'embeddedBrokerWsEnabled', 'embeddedBrokerWsPort', 'embeddedBrokerUseAsMain'
+];
+
+let embeddedBroker = null; // { aedes, tcpServer, wsHttpServer, wsServer, port, wsPort, startedAt }
+let embeddedBrokerError = null;
+
+function isEmbeddedBrokerMain() {
+    const config = stationData.config || {};
+    return Boolean(config.embeddedBrokerEnabled && config.embeddedBrokerUseAsMain);
+}
+
+/**
+ * Paramètres client de la connexion principale vers le broker embarqué
+ */
+function getEmbeddedBrokerClientConfig() {
+    const config = stationData.config;
+    return {
+        mqttServer: `mqtt://127.0.0.1:${config.embeddedBrokerPort}`,
+        mqttUsername: config.embeddedBrokerUsername || '',
+        mqttPassword: config.embeddedBrokerPassword || '',
+        mqttClientId: config.mqttClientId || '',
+        mqttKeepalive: config.mqttKeepalive
+    };
+}
+
+function getEmbeddedBrokerStatus() {
+    const config = stationData.config;
+    return {
+        enabled: Boolean(config.embeddedBrokerEnabled),
+        running: Boolean(embeddedBroker),
+        port: config.embeddedBrokerPort,
+        wsEnabled: Boolean(config.embeddedBrokerWsEnabled),
+        wsPort: config.embeddedBrokerWsPort,
+        authRequired: Boolean(config.embeddedBrokerUsername),
+        useAsMain: Boolean(config.embeddedBrokerUseAsMain),
+        connectedClients: embeddedBroker ? embeddedBroker.aedes.connectedClients : 0,
+        startedAt: embeddedBroker ? embeddedBroker.startedAt : null,
+        error: embeddedBrokerError
+    };
+}
+
+function validateEmbeddedBrokerConfig(config) {
+    const ports = ['embeddedBrokerPort', 'embeddedBrokerWsPort'];
+    for (const field of ports) {
+        const port = Number(config[field]);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            return `${field}: port entre 1 et 65535 attendu`;
+        }
+        if (port === CONFIG.PORT) {
+            return `${field}: port déjà utilisé par le serveur web (${CONFIG.PORT})`;
+        }
+    }
+    if (config.embeddedBrokerWsEnabled && Number(config.embeddedBrokerPort) === Number(config.embeddedBrokerWsPort)) {
+        return 'Les ports TCP et WebSocket du broker doivent être différents';
+    }
+    if (config.embeddedBrokerPassword && !config.embeddedBrokerUsername) {
+        return 'Un mot de passe du broker nécessite un nom d\'utilisateur';
+    }
+    return null;
+}
+
+/**
+ * Comparaison à temps constant des identifiants du broker
+ */
+function isValidBrokerCredential(expected, provided) {
+    const expectedHash = crypto.createHash('sha256').update(String(expected)).digest();
+    const providedHash = crypto.createHash('sha256').update(provided === undefined || provided === null ? '' : provided).digest();
+    return crypto.timingSafeEqual(expectedHash, providedHash);
+}
+
+function listenServer(listenable, port) {
+    return new Promise((resolve, reject) => {
+        listenable.once('error', reject);
+        listenable.listen(port, () => {
+            listenable.removeListener('error', reject);
+            resolve();
+        });
+    });
+}
+
+/**
+ * Démarre le broker embarqué si activé (erreur journalisée, le serveur démarre quand même)
+ */
+async function startEmbeddedBroker() {
+    const config = stationData.config;
+    embeddedBrokerError = null;
+    if (!config.embeddedBrokerEnabled || embeddedBroker) return;
+    
+    const broker = new Aedes();
+    const port = Number(config.embeddedBrokerPort);
+    const wsPort = Number(config.embeddedBrokerWsPort);
+    
+    // Authentification: nom d'utilisateur / mot de passe uniques si configurés
+    broker.authenticate = (client, username, password, callback) => {
+        const { embeddedBrokerUsername, embeddedBrokerPassword } = stationData.config;
+        if (!embeddedBrokerUsername) return callback(null, true);
+        
+        const authorized = isValidBrokerCredential(embeddedBrokerUsername, username) &&
+            isValidBrokerCredential(embeddedBrokerPassword || '', password);
+        if (authorized) return callback(null, true);
+        
+        console.log(`🔒 Broker embarqué: authentification refusée pour ${client ? client.id : '?'} (${username || 'anonyme'})`);
+        const error = new Error('Identifiants MQTT invalides');
+        error.returnCode = 4; // Bad username or password
+        callback(error, false);
+    };
+    
+    broker.on('client', client => {
+        console.log(`🔌 Broker embarqué: client connecté ${client.id}`);
+    });
+    broker.on('clientDisconnect', client => {
+        console.log(`🔌 Broker embarqué: client déconnecté ${client.id}`);
+    });
+    
+    const tcpServer = net.createServer(broker.handle);
+    let wsHttpServer = null;
+    let wsServer = null;
+    
+    try {
+        await listenServer(tcpServer, port);
+        
+        // MQTT sur WebSocket (navigateurs, réseaux n'autorisant que HTTP)
+        if (config.embeddedBrokerWsEnabled) {
+            wsServer = new WebSocketServer({ noServer: true });
+            wsHttpServer = http.createServer((req, res) => {
+                res.writeHead(426);
+                res.end('MQTT sur WebSocket uniquement');
+            });
+            wsHttpServer.on('upgrade', (req, socket, head) => {
+                wsServer.handleUpgrade(req, socket, head, ws => {
+                    broker.handle(createWebSocketStream(ws), req);
+                });
+            });
+            await listenServer(wsHttpServer, wsPort);
+        }
+    } catch (error) {
+        embeddedBrokerError = error.code === 'EADDRINUSE'
+            ? `Port déjà utilisé: ${error.port || port}`
+            : error.message;
+        console.error(`❌ Broker MQTT embarqué non démarré: ${embeddedBrokerError}`);
+        tcpServer.close();
+        if (wsHttpServer) wsHttpServer.close();
+        broker.close();
+        return;
+    }
+    
+    embeddedBroker = { aedes: broker, tcpServer, wsHttpServer, wsServer, port, wsPort, startedAt: new Date().toISOString() };
+    console.log(`📡 Broker MQTT embarqué: mqtt://0.0.0.0:${port}${wsServer ? ` + ws://0.0.0.0:${wsPort}` : ''}${config.embeddedBrokerUsername ? ' (authentification)' : ''}`);
+}
+
+function stopEmbeddedBroker() {
+    const broker = embeddedBroker;
+    embeddedBroker = null;
+    if (!broker) return Promise.resolve();
+    
+    return new Promise(resolve => {
+        if (broker.wsServer) {
+            broker.wsServer.clients.forEach(ws => ws.terminate());
+            broker.wsServer.close();
+            broker.wsHttpServer.close();
+        }
+        broker.tcpServer.close();
+        broker.aedes.close(() => {
+            console.log('📴 Broker MQTT embarqué arrêté');
+            resolve();
+        });
+    });
+}
+
+/**
+ * Applique de nouveaux paramètres du broker embarqué: redémarrage et reconnexion principale si besoin
+ * Retourne un message d'erreur ou null
+ */
+async function applyEmbeddedBrokerConfig(changes) {
+    const nextConfig = { ...stationData.config };
+    EMBEDDED_BROKER_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) nextConfig[field] = changes[field];
+    });
+    keepStoredMqttSecrets(nextConfig, changes, stationData.config, [EMBEDDED_BROKER_SECRET]);
+    ['embeddedBrokerPort', 'embeddedBrokerWsPort'].forEach(field => {
+        nextConfig[field] = Number(nextConfig[field]);
+    });
+    
+    const configError = validateEmbeddedBrokerConfig(nextConfig);
+    if (configError) return configError;
+    
+    const changed = EMBEDDED_BROKER_FIELDS.some(field =>
+        JSON.stringify(nextConfig[field]) !== JSON.stringify(stationData.config[field])
+    );
+    if (!changed) return null;
+    
+    const mainBefore = JSON.stringify(getConnectionConfig(DEFAULT_CONNECTION_ID));
+    stationData.config = nextConfig;
+    
+    await stopEmbeddedBroker();
+    await startEmbeddedBroker();
+    
+    if (JSON.stringify(getConnectionConfig(DEFAULT_CONNECTION_ID)) !== mainBefore) {
+        reconnectMQTT(DEFAULT_CONNECTION_ID);
+    }
+    return null;
+}
+
+// ============================================================================
+// CONNEXION MQTT FLEXIBLE POUR CAPTEURS + RÉSERVOIRS CHIRPSTACK
+// ============================================================================
+
+// Paramètres de connexion du broker (stationData.config), modifiables à chaud
+const MQTT_CONFIG_FIELDS = [
+    'mqttServer', 'mqttUsername', 'mqttPassword', 'mqttClientId', 'mqttKeepalive',
+    'mqttCa', 'mqttCert', 'mqttKey', 'mqttRejectUnauthorized'
+];
+
+function getMqttBrokerUrl() {
+    if (isEmbeddedBrokerMain()) return getEmbeddedBrokerClientConfig().mqttServer;
+    return (stationData.config && stationData.config.mqttServer) || CONFIG.MQTT_BROKER;
+}
+
+function pickMqttConfig(config) {
+    const picked = {};
+    MQTT_CONFIG_FIELDS.forEach(field => {
+        if (config[field] !== undefined) picked[field] = config[field];
+    });
+    return picked;
+}
+
+// Secrets jamais renvoyés par l'API (remplacés par un indicateur), liés au champ qui les rend utiles
+const MQTT_SECRET_FIELDS = [
+    { field: 'mqttPassword', flag: 'hasPassword', companion: 'mqttUsername' },
+    { field: 'mqttKey', flag: 'hasKey', companion: 'mqttCert' }
+];
+const EMBEDDED_BROKER_SECRET = { field: 'embeddedBrokerPassword', flag: 'hasEmbeddedBrokerPassword', companion: 'embeddedBrokerUsername' };
+// stationData.config contient aussi le mot de passe du broker embarqué
+const CONFIG_SECRET_FIELDS = [...MQTT_SECRET_FIELDS, EMBEDDED_BROKER_SECRET];
+
+/**
+ * Configuration sans secrets: { ..., hasPassword: true, hasKey: false }
+ */
+function maskMqttSecrets(config, secrets = MQTT_SECRET_FIELDS) {
+    const masked = { ...config };
+    secrets.forEach(({ field, flag }) => {
+        masked[flag] = Boolean(config[field]);
+        delete masked[field];
+    });
+    return masked;
+}
+
+/**
+ * Secret vide ou absent dans la modification = valeur enregistrée conservée
+ * (l'interface ne la connaît pas), sauf si son champ associé (utilisateur, certificat) est vidé
+ */
+function keepStoredMqttSecrets(nextConfig, changes, storedConfig, secrets = MQTT_SECRET_FIELDS) {
+    secrets.forEach(({ field, companion }) => {
+        if (changes[field]) return;
+        nextConfig[field] = nextConfig[companion] || !storedConfig[field] ? storedConfig[field] : '';
+    });
+    return nextConfig;
+}
+
+/**
+ * Toutes les connexions: broker principal (config) + brokers des autres sites (mqttConnections)
+ */
+function getConnectionConfigs() {
+    const config = stationData.config || {};
+    return [
+        {
+            id: DEFAULT_CONNECTION_ID,
+            name: config.mqttConnectionName || 'Principal',
+            ...(isEmbeddedBrokerMain() ? getEmbeddedBrokerClientConfig() : pickMqttConfig(config)),
+            mqttServer: getMqttBrokerUrl(),
+            baseTopic: config.baseTopic || ''
+        },
+        ...(stationData.mqttConnections || [])
+    ];
+}
+
+function getConnectionConfig(connectionId) {
+    return getConnectionConfigs().find(connection => connection.id === connectionId) || null;
+}
+
+/**
+ * État d'une connexion pour l'API et l'événement mqtt_status
+ */
+function getConnectionStatus(connection) {
+    return {
+        connectionId: connection.id,
+        name: connection.name,
+        broker: connection.broker,
+        connected: Boolean(connection.client && connection.client.connected),
+        error: connection.error || null,
+        subscriptions: connection.subscriptions.size
+    };
+}
+
+function emitMqttStatus(connection) {
+    io.emit('mqtt_status', getConnectionStatus(connection));
+}
+
+/**
+ * Valide les paramètres de connexion MQTT (URL, keepalive, certificats PEM)
+ */
+function validateMqttConfig(config) {
+    let url;
+    try {
+        url = new URL(config.mqttServer);
+    } catch (error) {
+        return `URL du broker invalide: ${config.mqttServer}`;
+    }
+    if (!['mqtt:', 'mqtts:', 'tcp:', 'ssl:', 'tls:', 'ws:', 'wss:'].includes(url.protocol)) {
+        return `Protocole non supporté: ${url.protocol} (mqtt, mqtts, ws, wss)`;
+    }
+    
+    if (config.mqttKeepalive !== undefined && config.mqttKeepalive !== '') {
+        const keepalive = Number(config.mqttKeepalive);
+        if (!Number.isInteger(keepalive) || keepalive < 0 || keepalive > 65535) {
+            return 'Le keepalive doit être un entier entre 0 et 65535 secondes';
+        }
+    }
+    
+    if (config.mqttPassword && !config.mqttUsername) {
+        return 'Un mot de passe MQTT nécessite un nom d\'utilisateur';
+    }
+    
+    for (const field of ['mqttCa', 'mqttCert', 'mqttKey']) {
+        if (config[field] && !/-----BEGIN [A-Z ]+-----/.test(config[field])) {
+            return `${field}: contenu PEM attendu (-----BEGIN ...-----)`;
+        }
+    }
+    if (Boolean(config.mqttCert) !== Boolean(config.mqttKey)) {
+        return 'Le certificat client et la clé privée doivent être fournis ensemble';
+    }
+    
+    return null;
+}
+
+/**
+ * Construit les options mqtt.connect() depuis la configuration
+ */
+function buildMqttOptions(config) {
+    const options = {
+        keepalive: config.mqttKeepalive !== undefined && config.mqttKeepalive !== '' ? Number(config.mqttKeepalive) : 60,
+        reconnectPeriod: 5000,
+        clientId: config.mqttClientId || `station_agricole_chirpstack_complete_${Date.now()}`
+    };
+    
+    if (config.mqttUsername) {
+        options.username = config.mqttUsername;
+        options.password = config.mqttPassword || '';
+    }
+    
+    // TLS: autorité de certification et certificat client (mTLS)
+    if (config.mqttCa) options.ca = config.mqttCa;
+    if (config.mqttCert) options.cert = config.mqttCert;
+    if (config.mqttKey) options.key = config.mqttKey;
+    if (config.mqttRejectUnauthorized === false) options.rejectUnauthorized = false;
+    
+    return options;
+}
+
+/**
+ * Applique de nouveaux paramètres de broker: validation, sauvegarde et reconnexion
+ * Retourne un message d'erreur ou null
+ */
+function applyMqttConfig(changes) {
+    const nextConfig = { ...stationData.config };
+    MQTT_CONFIG_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) nextConfig[field] = changes[field];
+    });
+    keepStoredMqttSecrets(nextConfig, changes, stationData.config);
+    
+    const configError = validateMqttConfig({ ...nextConfig, mqttServer: nextConfig.mqttServer || CONFIG.MQTT_BROKER });
+    if (configError) return configError;
+    
+    const changed = MQTT_CONFIG_FIELDS.some(field => 
+        JSON.stringify(nextConfig[field]) !== JSON.stringify(stationData.config[field])
+    );
+    
+    stationData.config = nextConfig;
+    if (changed) reconnectMQTT(DEFAULT_CONNECTION_ID);
+    return null;
+}
+
+/**
+ * Ferme proprement une connexion (suppression d'un site)
+ */
+function disconnectMQTT(connectionId, callback = () => {}) {
+    const connection = mqttConnections.get(connectionId);
+    mqttConnections.delete(connectionId);
+    
+    if (!connection || !connection.client) {
+        callback();
+        return;
+    }
+    
+    console.log(`🔌 Déconnexion du broker MQTT [${connection.name}]: ${connection.broker}`);
+    connection.client.end(true, {}, callback);
+}
+
+/**
+ * Ferme proprement une connexion puis se reconnecte avec sa configuration courante
+ */
+function reconnectMQTT(connectionId) {
+    disconnectMQTT(connectionId, () => {
+        const connectionConfig = getConnectionConfig(connectionId);
+        if (connectionConfig) connectMQTT(connectionConfig);
+    });
+}
+
+function connectAllMQTT() {
+    getConnectionConfigs().forEach(connectionConfig => connectMQTT(connectionConfig));
+}
+
+function connectMQTT(connectionConfig) {
+    const connectionId = connectionConfig.id;
+    const brokerUrl = connectionConfig.mqttServer;
+    const label = connectionId === DEFAULT_CONNECTION_ID ? '' : ` [${connectionConfig.name}]`;
+    console.log(`🔌 Connexion au broker MQTT${label}: ${brokerUrl}`);
+    
+    const client = mqtt.connect(brokerUrl, buildMqttOptions(connectionConfig));
+    const connection = {
+        id: connectionId,
+        name: connectionConfig.name,
+        broker: brokerUrl,
+        client,
+        subscriptions: new Map(),
+        error: null
+    };
+    mqttConnections.set(connectionId, connection);
+    
+    // Événements d'une connexion remplacée (reconfiguration) ignorés
+    const isCurrent = () => mqttConnections.get(connectionId) === connection;
+
+    client.on('connect', () => {
+        console.log(`✅ MQTT Broker connecté${label}`);
+        console.log('🔧 Mode flexible: ChirpStack + JSON + Normal supportés');
+        
+        // Session neuve: s'abonner à tous les filtres des capteurs et réservoirs de cette connexion
+        // (un filtre partagé par plusieurs dispositifs n'est abonné qu'une fois)
+        connection.subscriptions = new Map();
+        connection.error = null;
+        syncMqttSubscriptions();
+        
+        // Commandes restées en attente pendant la coupure (ou avant un redémarrage)
+        flushCommandQueue(connectionId);
+        
+        const reservoirs = stationData.reservoirs.filter(r => getEntityConnectionId(r) === connectionId);
+        const sensors = stationData.sensors.filter(s => getEntityConnectionId(s) === connectionId);
+        reservoirs.forEach(reservoir => {
+            console.log(`📡 Réservoir ${reservoir.name} - Niveau: ${reservoir.topic} (QoS: ${reservoir.mqttQosLevel || 1}, Format: ${reservoir.jsonFormatLevel})`);
+        });
+        console.log(`📡 ${connection.subscriptions.size} filtres MQTT${label} pour ${sensors.length} capteurs et ${reservoirs.length} réservoirs`);
+        
+        emitMqttStatus(connection);
+    });
+
+    client.on('message', (topic, message, packet) => {
+        recordCapturedMessage(connectionId, topic, message, packet);
+        processIncomingMessage(connectionId, topic, message, packet, label);
+    });
+
+    client.on('error', (error) => {
+        if (!isCurrent()) return;
+        console.error(`❌ Erreur MQTT${label}:`, error);
+        connection.error = error.message;
+        emitMqttStatus(connection);
+    });
+
+    // Broker injoignable (refus, DNS...): mqtt.js ne lève pas d'erreur, seulement offline
+    client.on('offline', () => {
+        if (!isCurrent()) return;
+        console.log(`📴 Broker MQTT injoignable${label}: ${brokerUrl}`);
+        connection.error = connection.error || 'Broker injoignable';
+        emitMqttStatus(connection);
+    });
+
+    client.on('reconnect', () => {
+        console.log(`🔄 Reconnexion MQTT${label}...`);
+    });
+}
+
+// ============================================================================
+// TRAITEMENT D'UN MESSAGE ENTRANT (MQTT OU HTTP)
+// ============================================================================
+// Même chemin quel que soit le transport: écho, doublons, métadonnées LoRaWAN,
+// accusés de downlink, correspondance capteurs/réservoirs, boîte de réception.
+
+/**
+ * Contexte de traitement d'un message, transmis explicitement de fonction en fonction:
+ * { data, emit(event, payload), save(), sandbox, recentMessageKeys, transformState }
+ * Live: stationData, diffusion Socket.IO et sauvegarde (voir createSandboxContext pour le rejeu isolé)
+ */
+function createLiveContext(messageKeys = recentMessageKeys) {
+    return {
+        data: stationData,
+        emit: (event, payload) => io.emit(event, payload),
+        save: () => saveDataToFile(),
+        sandbox: null,
+        recentMessageKeys: messageKeys,
+        transformState: sensorTransformState
+    };
+}
+
+/**
+ * Traite un message reçu sur un topic (réel MQTT ou virtuel HTTP) d'une connexion
+ * Retourne { status: 'processed'|'unmatched'|'echo'|'duplicate'|'downlink_event'|'error', sensors?, reservoirs? }
+ */
+function processIncomingMessage(connectionId, topic, message, packet, label = '', context = createLiveContext()) {
+    const receivedAt = new Date();
+    const extractions = [];
+    const result = dispatchIncomingMessage(connectionId, topic, message, packet, label, extractions, context);
+    
+    // Inspecteur de payloads: message brut, statut et extraction de chaque capteur / réservoir
+    recordInspectorMessage(connectionId, topic, message, packet, receivedAt, result, extractions, context);
+    return result;
+}
+
+function dispatchIncomingMessage(connectionId, topic, message, packet, label, extractions, context = createLiveContext()) {
+    try {
+        const receivedTimestamp = new Date();
+        const messageStr = message.toString();
+        
+        console.log(`📨 Message reçu${label} sur ${topic}: ${messageStr.substring(0, 100)}${messageStr.length > 100 ? '...' : ''}`);
+        
+        // Écho de nos propres commandes (topic de commande également abonné pour le retour d'état)
+        if (isOwnCommandEcho(connectionId, topic, message)) {
+            console.log(`↩️ Écho de commande ignoré sur ${topic}`);
+            return { status: 'echo' };
+        }
+        
+        recordTopicPayload(connectionId, topic, message, receivedTimestamp, context);
+        
+        // Doublons: copies du même uplink reçues par plusieurs passerelles, redélivrance QoS 1
+        const chirpStackEvent = parseChirpStackEvent(messageStr);
+        if (isDuplicateMessage(topic, message, chirpStackEvent, context)) {
+            console.log(`♻️ Doublon ignoré sur ${topic}${chirpStackEvent && chirpStackEvent.json.fCnt !== undefined ? ` (devEUI ${chirpStackEvent.identity.devEUI}, fCnt ${chirpStackEvent.json.fCnt})` : ''}`);
+            return { status: 'duplicate' };
+        }
+        
+        // Qualité de liaison et batterie LoRaWAN (événements ChirpStack, une fois par message)
+        if (chirpStackEvent) {
+            if (chirpStackEvent.isUplink) {
+                recordDeviceUplink(chirpStackEvent.json, chirpStackEvent.identity, connectionId, topic, receivedTimestamp, context);
+            }
+            recordDeviceBattery(chirpStackEvent.json, chirpStackEvent.identity, receivedTimestamp, context);
+        }
+        
+        // Accusés de downlink ChirpStack (ack/txack)
+        if (handleDownlinkEvent(connectionId, topic, messageStr, receivedTimestamp, context)) {
+            return { status: 'downlink_event' };
+        }
+        
+        // Traitement des capteurs (amélioré pour ChirpStack, topics wildcards/captures)
+        const relatedSensors = [];
+        context.data.sensors.forEach(sensor => {
+            if (getEntityConnectionId(sensor) !== connectionId) return;
+            const topicParams = matchEntityTopic(sensor.topic, sensor.topicBinding, topic);
+            if (topicParams) relatedSensors.push({ sensor, topicParams });
+        });
+        
+        if (relatedSensors.length > 0) {
+            const reportExtraction = (sensor, outcome) => {
+                extractions.push({ entityType: 'sensor', id: sensor.id, name: sensor.name, ...outcome });
+            };
+            
+            relatedSensors.forEach(({ sensor, topicParams }) => {
+                let extractedValue = null;
+                
+                // Topic wildcard non lié: valeur partagée, l'identité d'un seul dispositif n'est pas retenue
+                const sharedTopic = getTopicBindingWarning(sensor.topic, sensor.topicBinding) !== null;
+                
+                // Identité du dispositif issue du topic (ex: {devEUI}), fixée par la liaison
+                sensor.lastTopic = topic;
+                sensor.topicParams = topicParams;
+                const deviceId = extractDeviceIdentity(topicParams);
+                if (deviceId && !sensor.devEUI && !sharedTopic) sensor.devEUI = deviceId;
+                
+                if (sensor.codec) {
+                    // TRAITEMENT PAR CODEC (Cayenne LPP, octets bruts, modules personnalisés)
+                    try {
+                        const decoded = decodeWithCodec(sensor.codec, message, topic);
+                        extractedValue = hasLocationPaths(sensor)
+                            ? extractLocationFromPaths(sensor, decoded)
+                            : extractValueFromDecoded(decoded, sensor.jsonPath, sensor.byteExtraction);
+                        console.log(`🧩 Codec ${sensor.codec} pour capteur ${sensor.name}: ${JSON.stringify(extractedValue)}`);
+                    } catch (codecError) {
+                        console.error(`❌ Erreur codec ${sensor.codec} pour capteur ${sensor.name}:`, codecError.message);
+                        reportExtraction(sensor, { error: `Erreur codec ${sensor.codec}: ${codecError.message}` });
+                        return;
+                    }
+                    
+                    const coerced = coerceSensorValue(sensor, extractedValue);
+                    if (coerced.error) {
+                        console.log(`⚠️ Valeur décodée refusée pour ${sensor.name}: ${coerced.error} (${sensor.jsonPath})`);
+                        reportExtraction(sensor, { extracted: extractedValue, error: coerced.error });
+                        return;
+                    }
+                    extractedValue = coerced.value;
+                } else if (sensor.isJsonPayload) {
+                    // TRAITEMENT JSON avec JSONPath et formats ChirpStack
+                    try {
+                        const jsonData = JSON.parse(messageStr);
+                        console.log(`🔍 Parsing JSON pour capteur ${sensor.name}:`);
+                        console.log(`   Format: ${sensor.jsonFormat}`);
+                        console.log(`   JSONPath: ${sensor.jsonPath}`);
+                        
+                        // Détection automatique du format (et de la version ChirpStack v3/v4)
+                        const actualFormat = resolveJsonFormat(jsonData, sensor.jsonFormat);
+                        if (actualFormat !== sensor.jsonFormat) {
+                            console.log(`   Format détecté: ${actualFormat}`);
+                        }
+                        
+                        // Identité du dispositif depuis l'enveloppe ChirpStack si le topic ne la fournit pas
+                        const device = extractChirpStackDevice(jsonData);
+                        if (device && device.devEUI && !sensor.devEUI && !sharedTopic) {
+                            sensor.devEUI = device.devEUI;
+                        }
+                        
+                        extractedValue = hasLocationPaths(sensor)
+                            ? extractLocationFromPaths(sensor, jsonData)
+                            : extractConfiguredValue(jsonData, sensor.jsonPath, sensor.byteExtraction);
+                        console.log(`   Valeur extraite: ${typeof extractedValue === 'object' ? JSON.stringify(extractedValue) : extractedValue}`);
+                        
+                        if (extractedValue === null || extractedValue === undefined) {
+                            console.log(sensor.byteExtraction
+                                ? `⚠️ Impossible d'extraire la valeur des octets "data" (offset ${sensor.byteExtraction.offset}, longueur ${sensor.byteExtraction.length})`
+                                : `⚠️ Impossible d'extraire la valeur avec JSONPath: ${sensor.jsonPath}`);
+                            reportExtraction(sensor, {
+                                error: sensor.byteExtraction
+                                    ? `Aucune valeur aux octets "data" (offset ${sensor.byteExtraction.offset}, longueur ${sensor.byteExtraction.length})`
+                                    : `Aucune valeur au JSONPath ${sensor.jsonPath} (format ${actualFormat})`
+                            });
+                            return;
+                        }
+                        
+                        // Conversion selon le type de valeur (nombre, booléen, état, texte)
+                        const coerced = coerceSensorValue(sensor, extractedValue);
+                        if (coerced.error) {
+                            console.log(`⚠️ Valeur extraite refusée pour ${sensor.name}: ${coerced.error}`);
+                            reportExtraction(sensor, { extracted: extractedValue, error: coerced.error });
+                            return;
+                        }
+                        extractedValue = coerced.value;
+                        
+                    } catch (jsonError) {
+                        console.error(`❌ Erreur parsing JSON pour capteur ${sensor.name}:`, jsonError);
+                        reportExtraction(sensor, { error: `JSON invalide: ${jsonError.message}` });
+                        return;
+                    }
+                } else {
+                    // TRAITEMENT NORMAL (valeur simple)
+                    const coerced = coerceSensorValue(sensor, isNumericSensor(sensor) ? parseFloat(messageStr) : messageStr.trim());
+                    if (coerced.error) {
+                        console.log(`⚠️ Valeur refusée pour capteur normal ${sensor.name}: ${messageStr}`);
+                        reportExtraction(sensor, { error: coerced.error });
+                        return;
+                    }
+                    extractedValue = coerced.value;
+                }
+                
+                // Mettre à jour le capteur avec la valeur extraite
+                console.log(`📊 Mise à jour capteur ${sensor.name}: ${isNumericSensor(sensor) ? `${extractedValue} ${sensor.unit}` : getSensorStateLabel(sensor, extractedValue)}`);
+                reportExtraction(sensor, { value: extractedValue });
+                handleSensorData(sensor, extractedValue, receivedTimestamp, context);
+            });
+            return { status: 'processed', sensors: relatedSensors.length, reservoirs: 0 };
+        }
+        
+        // Traitement des réservoirs (AMÉLIORÉ POUR CHIRPSTACK, topics wildcards/captures)
+        const relatedReservoirs = [];
+        context.data.reservoirs.forEach(reservoir => {
+            if (getEntityConnectionId(reservoir) !== connectionId) return;
+            const topicTypes = [
+                { type: 'level', pattern: reservoir.topic },
+                { type: 'pump', pattern: reservoir.pumpTopic },
+                { type: 'fill', pattern: reservoir.fillTopic },
+                { type: 'mode', pattern: reservoir.modeTopic }
+            ];
+            
+            for (const { type, pattern } of topicTypes) {
+                const topicParams = pattern ? matchEntityTopic(pattern, reservoir.topicBinding, topic) : null;
+                if (topicParams) {
+                    relatedReservoirs.push({ reservoir, topicType: type, topicParams });
+                    break;
+                }
+            }
+        });
+        
+        if (relatedReservoirs.length > 0) {
+            relatedReservoirs.forEach(({ reservoir, topicType, topicParams }) => {
+                // Topic wildcard non lié: valeur partagée, l'identité d'un seul dispositif n'est pas retenue
+                const sharedTopic = getReservoirTopicBindingWarning(reservoir) !== null;
+                
+                // Captures mémorisées pour résoudre les topics de commande (ex: .../device/{devEUI}/tx)
+                reservoir.topicParams = { ...reservoir.topicParams, ...topicParams };
+                const deviceId = extractDeviceIdentity(topicParams);
+                if (deviceId && !reservoir.devEUI && !sharedTopic) reservoir.devEUI = deviceId;
+                
+                let outcome = { error: 'Topic de remplissage: aucune valeur extraite' };
+                if (topicType === 'level') {
+                    // Topic niveau
+                    outcome = handleReservoirTopicMessage(reservoir, messageStr, 'level', receivedTimestamp, message, context);
+                    
+                } else if (topicType === 'pump') {
+                    // Topic pompe - état retour
+                    outcome = handleReservoirTopicMessage(reservoir, messageStr, 'pump', receivedTimestamp, null, context);
+                    
+                } else if (topicType === 'mode') {
+                    // Topic mode - manuel/automatique
+                    outcome = handleReservoirTopicMessage(reservoir, messageStr, 'mode', receivedTimestamp, null, context);
+                }
+                extractions.push({ entityType: 'reservoir', id: reservoir.id, name: reservoir.name, topicType, ...outcome });
+            });
+            return { status: 'processed', sensors: 0, reservoirs: relatedReservoirs.length };
+        }
+        
+        console.log(`⚠️ Aucun dispositif trouvé pour le topic: ${topic}`);
+        recordUnmatchedMessage(connectionId, topic, messageStr, packet, receivedTimestamp, context);
+        return { status: 'unmatched' };
+        
+    } catch (error) {
+        console.error('❌ Erreur traitement message MQTT:', error);
+        console.error(`❌ Topic: ${topic}, Message: ${message.toString()}`);
+        return { status: 'error', error: error.message };
+    }
+}
+
+// ============================================================================
+// ENREGISTREMENT ET REJEU DU TRAFIC MQTT
+// ============================================================================
+// Enregistrement: chaque message MQTT brut reçu est ajouté à une capture NDJSON
+// (data/captures/<nom>.ndjson), une ligne par message:
+// { receivedAt, connectionId, topic, qos, retain, encoding: 'utf8'|'base64', payload }
+// Rejeu: la capture repasse par processIncomingMessage, en temps réel ou accéléré,
+// soit sur les données live, soit dans une copie isolée (sandbox) de stationData.
+
+const CAPTURE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const REPLAY_MAX_KEPT = 10; // Rejeux terminés conservés pour consultation
+const REPLAY_MAX_SANDBOX_EVENTS = 200; // Événements temps réel conservés par rejeu sandbox
+const REPLAY_PROGRESS_EVERY = 50; // Fréquence de l'événement replay_update (messages)
+
+let mqttRecording = null; // { name, file, connectionId, topicFilter, maxMessages, messageCount, startedAt, writeChain }
+const mqttReplays = new Map(); // id -> rejeu
+
+function getCaptureFile(name) {
+    return path.join(CONFIG.CAPTURES_DIR, `${name}.ndjson`);
+}
+
+/**
+ * Payload texte lisible si UTF-8 valide et imprimable (capture éditable à la main), sinon base64
+ */
+function encodeCapturePayload(message) {
+    const text = message.toString('utf8');
+    const printable = Buffer.from(text, 'utf8').equals(message) && !/[\x00-\x08\x0e-\x1f]/.test(text);
+    return printable
+        ? { encoding: 'utf8', payload: text }
+        : { encoding: 'base64', payload: message.toString('base64') };
+}
+
+function decodeCapturePayload(entry) {
+    return entry.encoding === 'base64'
+        ? Buffer.from(entry.payload, 'base64')
+        : Buffer.from(String(entry.payload), 'utf8');
+}
+
+/**
+ * Ajoute un message MQTT brut à la capture en cours (appelé avant tout traitement)
+ */
+function recordCapturedMessage(connectionId, topic, message, packet) {
+    const recording = mqttRecording;
+    if (!recording) return;
+    if (recording.connectionId && recording.connectionId !== connectionId) return;
+    if (recording.topicFilter && !matchTopic(recording.topicFilter, topic)) return;
+    
+    const line = JSON.stringify({
+        receivedAt: new Date().toISOString(),
+        connectionId,
+        topic,
+        qos: packet && packet.qos !== undefined ? packet.qos : 0,
+        retain: !!(packet && packet.retain),
+        ...encodeCapturePayload(message)
+    }) + '\n';
+    
+    recording.messageCount++;
+    // Écritures chaînées: l'ordre de réception est conservé dans le fichier
+    recording.writeChain = recording.writeChain
+        .then(() => fs.appendFile(recording.file, line))
+        .catch(error => console.error(`❌ Erreur écriture capture ${recording.name}:`, error.message));
+    
+    if (recording.maxMessages && recording.messageCount >= recording.maxMessages) {
+        stopMqttRecording();
+    }
+}
+
+function getRecordingStatus() {
+    if (!mqttRecording) return { recording: false };
+    const { writeChain, file, ...status } = mqttRecording;
+    return { recording: true, ...status };
+}
+
+function stopMqttRecording() {
+    const recording = mqttRecording;
+    if (!recording) return null;
+    
+    mqttRecording = null;
+    recording.stoppedAt = new Date().toISOString();
+    console.log(`⏹️ Enregistrement MQTT arrêté: ${recording.name} (${recording.messageCount} messages)`);
+    io.emit('mqtt_recording_status', { recording: false, name: recording.name, messageCount: recording.messageCount });
+    return recording;
+}
+
+/**
+ * Lit une capture: { messages, rejected: [{ line, reason }] }
+ */
+async function readCaptureFile(name) {
+    const content = await fs.readFile(getCaptureFile(name), 'utf8');
+    const messages = [];
+    const rejected = [];
+    
+    content.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '') return;
+        try {
+            const entry = JSON.parse(line);
+            if (!entry.topic || entry.payload === undefined) throw new Error('topic et payload requis');
+            const receivedAt = new Date(entry.receivedAt).getTime();
+            messages.push({ ...entry, time: Number.isNaN(receivedAt) ? null : receivedAt });
+        } catch (error) {
+            rejected.push({ line: index + 1, reason: error.message });
+        }
+    });
+    
+    return { messages, rejected };
+}
+
+function recordSandboxEvent(sandbox, event, payload) {
+    sandbox.eventCounts[event] = (sandbox.eventCounts[event] || 0) + 1;
+    if (sandbox.events.length < REPLAY_MAX_SANDBOX_EVENTS && event !== 'sensor_realtime_update' && event !== 'reservoir_realtime_update') {
+        sandbox.events.push({ event, payload, at: new Date().toISOString() });
+    }
+}
+
+/**
+ * Contexte de traitement d'un rejeu sandbox: la copie est modifiée, les événements temps réel
+ * sont conservés dans le rejeu au lieu d'être diffusés, rien n'est écrit sur disque
+ */
+function createSandboxContext(replay) {
+    const { sandbox } = replay;
+    return {
+        data: sandbox.data,
+        emit: (event, payload) => recordSandboxEvent(sandbox, event, payload),
+        save: () => {},
+        sandbox,
+        recentMessageKeys: replay.recentMessageKeys,
+        transformState: sandbox.transformState
+    };
+}
+
+function createReplaySandbox() {
+    return {
+        data: structuredClone(stationData),
+        transformState: new Map(),
+        eventCounts: {},
+        events: []
+    };
+}
+
+function getReplayState(replay) {
+    const { sandbox, messages, timer, recentMessageKeys, ...state } = replay;
+    return state;
+}
+
+function getReplaySummary(replay) {
+    const summary = getReplayState(replay);
+    const { sandbox } = replay;
+    if (!sandbox) return summary;
+    
+    const liveSensors = new Map(stationData.sensors.map(sensor => [sensor.id, sensor]));
+    return {
+        ...summary,
+        sandbox: {
+            eventCounts: sandbox.eventCounts,
+            events: sandbox.events,
+            sensors: sandbox.data.sensors.map(sensor => ({
+                id: sensor.id,
+                name: sensor.name,
+                value: sensor.value,
+                liveValue: liveSensors.has(sensor.id) ? liveSensors.get(sensor.id).value : null,
+                status: sensor.status,
+                historyPoints: (sandbox.data.sensorHistory[sensor.id] || []).length
+            })),
+            reservoirs: sandbox.data.reservoirs.map(reservoir => ({
+                id: reservoir.id,
+                name: reservoir.name,
+                currentLevel: reservoir.currentLevel,
+                pumpStatus: reservoir.pumpStatus,
+                isAutoMode: reservoir.isAutoMode
+            }))
+        }
+    };
+}
+
+function emitReplayUpdate(replay) {
+    io.emit('replay_update', getReplayState(replay));
+}
+
+function finishReplay(replay, status) {
+    if (replay.timer) clearTimeout(replay.timer);
+    replay.timer = null;
+    replay.status = status;
+    replay.finishedAt = new Date().toISOString();
+    replay.messages = null;
+    
+    console.log(`⏹️ Rejeu ${replay.capture} (${replay.target}) ${status}: ${replay.processed}/${replay.total} messages`);
+    emitReplayUpdate(replay);
+    
+    // Seuls les derniers rejeux terminés sont conservés
+    const finished = [...mqttReplays.values()].filter(r => r.status !== 'running');
+    finished.slice(0, Math.max(0, finished.length - REPLAY_MAX_KEPT)).forEach(r => mqttReplays.delete(r.id));
+}
+
+/**
+ * Traite le message suivant du rejeu puis planifie le suivant selon l'écart d'origine / speed
+ */
+function replayNextMessage(replay) {
+    replay.timer = null;
+    if (replay.status !== 'running') return;
+    
+    const entry = replay.messages[replay.processed];
+    const connectionId = replay.connectionId || entry.connectionId || DEFAULT_CONNECTION_ID;
+    const context = replay.sandbox ? createSandboxContext(replay) : createLiveContext(replay.recentMessageKeys);
+    const result = processIncomingMessage(
+        connectionId, entry.topic, decodeCapturePayload(entry),
+        { qos: entry.qos || 0, retain: !!entry.retain }, ' [rejeu]', context
+    );
+    
+    replay.results[result.status] = (replay.results[result.status] || 0) + 1;
+    replay.processed++;
+    
+    if (replay.processed >= replay.total) {
+        finishReplay(replay, 'completed');
+        return;
+    }
+    if (replay.processed % REPLAY_PROGRESS_EVERY === 0) emitReplayUpdate(replay);
+    
+    const next = replay.messages[replay.processed];
+    let delay = 0;
+    if (replay.speed > 0 && entry.time !== null && next.time !== null) {
+        delay = Math.max(0, (next.time - entry.time) / replay.speed);
+        if (replay.maxDelayMs > 0) delay = Math.min(delay, replay.maxDelayMs);
+    }
+    // setImmediate en mode sans attente: le serveur reste réactif pendant un long rejeu
+    if (delay > 0) {
+        replay.timer = setTimeout(() => replayNextMessage(replay), delay);
+    } else {
+        setImmediate(() => replayNextMessage(replay));
+    }
+}
+
+/**
+ * Démarre le rejeu d'une capture. options: { target: 'live'|'sandbox', speed, maxDelayMs, connectionId, topicFilter }
+ */
+async function startReplay(name, options) {
+    const { messages, rejected } = await readCaptureFile(name);
+    const selected = options.topicFilter
+        ? messages.filter(entry => matchTopic(options.topicFilter, entry.topic))
+        : messages;
+    
+    const replay = {
+        id: generateId(),
+        capture: name,
+        target: options.target,
+        speed: options.speed,
+        maxDelayMs: options.maxDelayMs,
+        connectionId: options.connectionId || null,
+        topicFilter: options.topicFilter || null,
+        status: 'running',
+        total: selected.length,
+        processed: 0,
+        rejectedLines: rejected,
+        results: {},
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        messages: selected,
+        sandbox: options.target === 'sandbox' ? createReplaySandbox() : null,
+        recentMessageKeys: new Map(), // Doublons de la capture, indépendants de la réception d'origine
+        timer: null
+    };
+    mqttReplays.set(replay.id, replay);
+    
+    console.log(`▶️ Rejeu ${name} (${replay.target}, x${replay.speed || '∞'}): ${replay.total} messages`);
+    emitReplayUpdate(replay);
+    
+    if (replay.total === 0) {
+        finishReplay(replay, 'completed');
+    } else {
+        replayNextMessage(replay);
+    }
+    return replay;
+}
+
+function validateReplayOptions(body) {
+    const target = body.target || 'sandbox';
+    if (!['live', 'sandbox'].includes(target)) {
+        return { error: `Cible de rejeu invalide: ${target} (live ou sandbox)` };
+    }
+    
+    const speed = body.speed === undefined ? 1 : Number(body.speed);
+    if (!Number.isFinite(speed) || speed < 0) {
+        return { error: 'speed doit être un nombre >= 0 (1 = temps réel, 0 = sans attente)' };
+    }
+    
+    const maxDelayMs = body.maxDelayMs === undefined ? 0 : Number(body.maxDelayMs);
+    if (!Number.isFinite(maxDelayMs) || maxDelayMs < 0) {
+        return { error: 'maxDelayMs doit être un nombre >= 0' };
+    }
+    
+    if (body.connectionId && !getConnectionConfig(body.connectionId)) {
+        return { error: `Connexion MQTT inconnue: ${body.connectionId}` };
+    }
+    if (body.topicFilter && !parseTopicPattern(body.topicFilter)) {
+        return { error: `Filtre de topic invalide: ${body.topicFilter}` };
+    }
+    
+    return { options: { target, speed, maxDelayMs, connectionId: body.connectionId || null, topicFilter: body.topicFilter || null } };
+}
+
+// GET /api/captures - Captures enregistrées et enregistrement en cours
+app.get('/api/captures', async (req, res) => {
+    try {
+        await fs.mkdir(CONFIG.CAPTURES_DIR, { recursive: true });
+        const files = (await fs.readdir(CONFIG.CAPTURES_DIR)).filter(file => file.endsWith('.ndjson'));
+        
+        const captures = await Promise.all(files.map(async file => {
+            const stats = await fs.stat(path.join(CONFIG.CAPTURES_DIR, file));
+            return { name: file.replace(/\.ndjson$/, ''), size: stats.size, modifiedAt: stats.mtime };
+        }));
+        captures.sort((a, b) => b.modifiedAt - a.modifiedAt);
+        
+        res.json({ captures, recording: getRecordingStatus() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/captures/record - Body: { name?, connectionId?, topicFilter?, maxMessages? }
+app.post('/api/captures/record', async (req, res) => {
+    try {
+        if (mqttRecording) {
+            return res.status(409).json({ error: `Enregistrement déjà en cours: ${mqttRecording.name}` });
+        }
+        
+        const name = req.body.name || `capture-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        if (!CAPTURE_NAME_PATTERN.test(name)) {
+            return res.status(400).json({ error: 'Nom de capture invalide (lettres, chiffres, - et _)' });
+        }
+        if (req.body.connectionId && !getConnectionConfig(req.body.connectionId)) {
+            return res.status(400).json({ error: `Connexion MQTT inconnue: ${req.body.connectionId}` });
+        }
+        if (req.body.topicFilter && !parseTopicPattern(req.body.topicFilter)) {
+            return res.status(400).json({ error: `Filtre de topic invalide: ${req.body.topicFilter}` });
+        }
+        
+        await fs.mkdir(CONFIG.CAPTURES_DIR, { recursive: true });
+        mqttRecording = {
+            name,
+            file: getCaptureFile(name),
+            connectionId: req.body.connectionId || null,
+            topicFilter: req.body.topicFilter || null,
+            maxMessages: parseInt(req.body.maxMessages) || 0,
+            messageCount: 0,
+            startedAt: new Date().toISOString(),
+            writeChain: Promise.resolve()
+        };
+        
+        console.log(`⏺️ Enregistrement MQTT démarré: ${mqttRecording.file}`);
+        io.emit('mqtt_recording_status', getRecordingStatus());
+        res.status(201).json(getRecordingStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/captures/record/stop', async (req, res) => {
+    try {
+        const recording = stopMqttRecording();
+        if (!recording) {
+            return res.status(404).json({ error: 'Aucun enregistrement en cours' });
+        }
+        
+        await recording.writeChain;
+        res.json({ success: true, name: recording.name, messageCount: recording.messageCount });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/captures - Body: { name, content } (capture NDJSON venant d'une autre installation)
+app.post('/api/captures', async (req, res) => {
+    try {
+        const { name, content } = req.body;
+        if (!CAPTURE_NAME_PATTERN.test(name || '')) {
+            return res.status(400).json({ error: 'Nom de capture invalide (lettres, chiffres, - et _)' });
+        }
+        if (typeof content !== 'string' || content.trim() === '') {
+            return res.status(400).json({ error: 'Contenu de capture vide' });
+        }
+        if (mqttRecording && mqttRecording.name === name) {
+            return res.status(409).json({ error: 'Capture en cours d\'enregistrement' });
+        }
+        
+        await fs.mkdir(CONFIG.CAPTURES_DIR, { recursive: true });
+        await fs.writeFile(getCaptureFile(name), content.endsWith('\n') ? content : `${content}\n`);
+        
+        const { messages, rejected } = await readCaptureFile(name);
+        res.status(201).json({ name, messages: messages.length, rejected });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/captures/:name', async (req, res) => {
+    try {
+        if (!CAPTURE_NAME_PATTERN.test(req.params.name)) {
+            return res.status(400).json({ error: 'Nom de capture invalide' });
+        }
+        
+        const content = await fs.readFile(getCaptureFile(req.params.name), 'utf8');
+        res.type('application/x-ndjson');
+        res.attachment(`${req.params.name}.ndjson`);
+        res.send(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Capture non trouvée' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/captures/:name', async (req, res) => {
+    try {
+        if (!CAPTURE_NAME_PATTERN.test(req.params.name)) {
+            return res.status(400).json({ error: 'Nom de capture invalide' });
+        }
+        if (mqttRecording && mqttRecording.name === req.params.name) {
+            return res.status(409).json({ error: 'Capture en cours d\'enregistrement' });
+        }
+        
+        await fs.unlink(getCaptureFile(req.params.name));
+        res.json({ message: 'Capture supprimée' });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Capture non trouvée' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/captures/:name/replay - Body: { target: 'sandbox'|'live', speed?, maxDelayMs?, connectionId?, topicFilter? }
+app.post('/api/captures/:name/replay', async (req, res) => {
+    try {
+        if (!CAPTURE_NAME_PATTERN.test(req.params.name)) {
+            return res.status(400).json({ error: 'Nom de capture invalide' });
+        }
+        
+        const { options, error } = validateReplayOptions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        const replay = await startReplay(req.params.name, options);
+        res.status(202).json(getReplaySummary(replay));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Capture non trouvée' });
+        }
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/replays', (req, res) => {
+    res.json([...mqttReplays.values()].reverse().map(getReplayState));
+});
+
+// GET /api/replays/:id - Progression, et pour une sandbox l'état obtenu (valeurs, événements)
+app.get('/api/replays/:id', (req, res) => {
+    const replay = mqttReplays.get(req.params.id);
+    if (!replay) {
+        return res.status(404).json({ error: 'Rejeu non trouvé' });
+    }
+    res.json(getReplaySummary(replay));
+});
+
+// GET /api/replays/:id/data - Copie sandbox complète de stationData (secrets masqués)
+app.get('/api/replays/:id/data', (req, res) => {
+    const replay = mqttReplays.get(req.params.id);
+    if (!replay || !replay.sandbox) {
+        return res.status(404).json({ error: 'Rejeu sandbox non trouvé' });
+    }
+    res.json(getPublicStationData(replay.sandbox.data));
+});
+
+// DELETE /api/replays/:id - Arrête un rejeu en cours
+app.delete('/api/replays/:id', (req, res) => {
+    const replay = mqttReplays.get(req.params.id);
+    if (!replay) {
+        return res.status(404).json({ error: 'Rejeu non trouvé' });
+    }
+    if (replay.status === 'running') {
+        finishReplay(replay, 'stopped');
+    }
+    res.json(getReplaySummary(replay));
+});
+
+// ============================================================================
+// SIMULATION RÉALISTE (SCÉNARIOS)
+// ============================================================================
+// Génère des mesures plausibles pour les capteurs et réservoirs configurés et les
+// fait passer par le chemin d'ingestion complet (processIncomingMessage, ou
+// publication sur le broker): seuils, alertes, doublons, qualité de liaison...
+// Modèle d'environnement:
+// - température: courbe journalière (minimum vers 3h, maximum vers 15h)
+// - humidité de l'air: anti-corrélée à la température, saturée sous la pluie
+// - pluie: épisodes aléatoires (rainProbabilityPerHour) ou programmés (événements)
+// - humidité du sol: monte avec la pluie et l'irrigation, sèche avec la chaleur
+// - réservoirs: baissent pompe en marche (et en cas de fuite), remplissage auto sous le seuil
+// Scénarios: fichiers JSON du dossier ./scenarios (climat + événements horodatés
+// en heures simulées: pluie, canicule, panne de capteur, fuite).
+
+const SIMULATION_DEFAULT_CLIMATE = {
+    temperatureMean: 18, // °C
+    temperatureAmplitude: 6, // Écart jour / nuit (demi-amplitude)
+    humidityMean: 65, // %
+    humidityPerDegree: 2.5, // Baisse d'humidité par °C au-dessus de la moyenne
+    rainProbabilityPerHour: 0.02, // Probabilité de début d'averse par heure simulée
+    rainIntensity: 4, // mm/h moyen d'une averse
+    lightMax: 80000, // lux en plein soleil
+    windMean: 12, // km/h
+    pressureMean: 1013, // hPa
+    soilDryingPerHour: 0.4, // Points d'humidité du sol perdus par heure (à 20°C, en journée)
+    soilRainGainPerMm: 1.5, // Points d'humidité du sol gagnés par mm de pluie
+    irrigationGainPerHour: 4, // Points d'humidité du sol par heure de pompe en marche
+    pumpDrawPercentPerHour: 15, // Baisse de niveau pompe en marche
+    refillPercentPerHour: 30 // Remplissage automatique (mode auto, sous le seuil bas)
+};
+const SIMULATION_EVENT_TYPES = ['rain', 'temperature', 'sensor_failure', 'leak'];
+const SIMULATION_FAILURE_MODES = ['silent', 'stuck', 'spike', 'drift', 'noise'];
+const SIMULATION_MIN_INTERVAL_MS = 500;
+
+let simulation = null;
+
+/**
+ * Générateur pseudo-aléatoire reproductible (mulberry32) pour rejouer un scénario à l'identique
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function gaussianNoise(random) {
+    // Box-Muller
+    const u = Math.max(random(), 1e-9);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+function roundTo(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+async function listSimulationScenarios() {
+    let files = [];
+    try {
+        files = (await fs.readdir(CONFIG.SCENARIOS_DIR)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        return []; // Dossier absent = aucun scénario
+    }
+    
+    const scenarios = [];
+    for (const file of files) {
+        try {
+            const scenario = await loadSimulationScenario(file.replace(/\.json$/, ''));
+            scenarios.push({
+                name: scenario.name,
+                label: scenario.label,
+                description: scenario.description,
+                durationHours: scenario.durationHours,
+                events: scenario.events.length
+            });
+        } catch (error) {
+            console.error(`❌ Scénario ${file} invalide:`, error.message);
+        }
+    }
+    return scenarios;
+}
+
+/**
+ * Charge et valide un scénario ./scenarios/<name>.json
+ */
+async function loadSimulationScenario(name) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+        throw new Error(`Nom de scénario invalide: ${name}`);
+    }
+    
+    const scenario = JSON.parse(await fs.readFile(path.join(CONFIG.SCENARIOS_DIR, `${name}.json`), 'utf8'));
+    const events = Array.isArray(scenario.events) ? scenario.events : [];
+    
+    events.forEach((event, index) => {
+        if (!SIMULATION_EVENT_TYPES.includes(event.type)) {
+            throw new Error(`Événement ${index}: type inconnu ${event.type} (${SIMULATION_EVENT_TYPES.join(', ')})`);
+        }
+        if (typeof event.atHour !== 'number' || event.atHour < 0) {
+            throw new Error(`Événement ${index}: atHour (heures simulées depuis le début) requis`);
+        }
+        if (event.type === 'sensor_failure' && !SIMULATION_FAILURE_MODES.includes(event.mode)) {
+            throw new Error(`Événement ${index}: mode de panne inconnu ${event.mode} (${SIMULATION_FAILURE_MODES.join(', ')})`);
+        }
+    });
+    
+    return {
+        name,
+        label: scenario.label || name,
+        description: scenario.description || '',
+        durationHours: typeof scenario.durationHours === 'number' ? scenario.durationHours : null,
+        startHour: typeof scenario.startHour === 'number' ? scenario.startHour : null,
+        seed: Number.isInteger(scenario.seed) ? scenario.seed : Date.now(),
+        climate: { ...SIMULATION_DEFAULT_CLIMATE, ...(scenario.climate || {}) },
+        events
+    };
+}
+
+/**
+ * Une cible d'événement ({ type, id, name, first }) correspond-elle à ce capteur / réservoir ?
+ */
+function matchesSimulationTarget(target, entity) {
+    if (!target) return true;
+    if (target.id && target.id !== entity.id) return false;
+    if (target.type && target.type !== entity.type) return false;
+    if (target.name && String(entity.name).toLowerCase() !== String(target.name).toLowerCase()) return false;
+    return true;
+}
+
+/**
+ * Événements actifs à l'instant simulé (heures depuis le début)
+ */
+function getActiveSimulationEvents(sim, elapsedHours) {
+    return sim.scenario.events.filter(event =>
+        elapsedHours >= event.atHour &&
+        elapsedHours < event.atHour + (typeof event.durationHours === 'number' ? event.durationHours : Infinity)
+    );
+}
+
+/**
+ * Entités visées par un événement (option first: seulement la première correspondante)
+ */
+function getSimulationEventTargets(event, entities) {
+    const matching = entities.filter(entity => matchesSimulationTarget(event.target, entity));
+    return event.target && event.target.first ? matching.slice(0, 1) : matching;
+}
+
+/**
+ * Fait avancer l'environnement simulé de dtHours
+ */
+function updateSimulationEnvironment(sim, dtHours, activeEvents) {
+    const { climate, random } = sim;
+    const env = sim.environment;
+    const hour = sim.simulatedTime.getHours() + sim.simulatedTime.getMinutes() / 60;
+    
+    // Averses aléatoires (en plus des épisodes programmés)
+    if (env.randomRainHoursLeft > 0) {
+        env.randomRainHoursLeft -= dtHours;
+    } else if (random() < climate.rainProbabilityPerHour * dtHours) {
+        env.randomRainHoursLeft = 1 + random() * 2;
+        env.randomRainIntensity = climate.rainIntensity * (0.5 + random());
+    }
+    
+    const rainEvents = activeEvents.filter(event => event.type === 'rain');
+    env.rainRate = rainEvents.reduce((total, event) => total + (event.intensity !== undefined ? event.intensity : climate.rainIntensity), 0) +
+        (env.randomRainHoursLeft > 0 ? env.randomRainIntensity : 0);
+    const raining = env.rainRate > 0;
+    
+    // Bruit lissé (AR(1)) pour éviter des courbes trop parfaites
+    env.temperatureNoise = 0.9 * env.temperatureNoise + 0.3 * gaussianNoise(random);
+    const temperatureDelta = activeEvents
+        .filter(event => event.type === 'temperature')
+        .reduce((total, event) => total + (event.delta || 0), 0);
+    const diurnal = Math.sin(2 * Math.PI * (hour - 9) / 24);
+    env.temperature = climate.temperatureMean + climate.temperatureAmplitude * diurnal +
+        temperatureDelta + env.temperatureNoise - (raining ? 3 : 0);
+    
+    env.humidity = Math.max(15, Math.min(100,
+        climate.humidityMean - climate.humidityPerDegree * (env.temperature - climate.temperatureMean) +
+        (raining ? 30 : 0) + gaussianNoise(random)
+    ));
+    
+    env.daylight = hour > 6 && hour < 20 ? Math.sin(Math.PI * (hour - 6) / 14) : 0;
+    env.light = env.daylight * climate.lightMax * (raining ? 0.25 : 0.85 + 0.15 * random());
+    env.wind = Math.max(0, climate.windMean * (raining ? 1.8 : 1) + 4 * gaussianNoise(random));
+    env.pressure = climate.pressureMean - (raining ? 8 : 0) + 2 * Math.sin(2 * Math.PI * sim.elapsedHours / 48);
+    env.rainTotal += env.rainRate * dtHours;
+}
+
+/**
+ * Valeur physique simulée d'un capteur selon son type
+ */
+function getSimulatedSensorValue(sim, sensor, state, dtHours) {
+    const { climate, random, environment: env } = sim;
+    
+    switch (sensor.type) {
+        case 'temperature':
+            return roundTo(env.temperature + state.offset + 0.2 * gaussianNoise(random), 2);
+        case 'humidity':
+            return roundTo(Math.min(100, env.humidity + state.offset), 1);
+        case 'moisture': {
+            // Séchage plus fort en journée et par forte chaleur
+            const drying = climate.soilDryingPerHour * Math.max(0.2, env.daylight) * Math.max(0.2, env.temperature / 20);
+            const irrigation = stationData.reservoirs.some(r => r.pumpStatus) ? climate.irrigationGainPerHour : 0;
+            state.level = Math.max(5, Math.min(60,
+                state.level + (env.rainRate * climate.soilRainGainPerMm + irrigation - drying) * dtHours
+            ));
+            return roundTo(state.level + 0.3 * gaussianNoise(random), 1);
+        }
+        case 'light':
+            return Math.round(env.light);
+        case 'rain':
+            return roundTo(env.rainRate, 1);
+        case 'wind':
+            return roundTo(env.wind, 1);
+        case 'pressure':
+            return roundTo(env.pressure + 0.3 * gaussianNoise(random), 1);
+        case 'co2':
+            // Respiration nocturne des plantes
+            return Math.round(420 + 80 * (1 - env.daylight) + 10 * gaussianNoise(random));
+        case 'ph':
+            return roundTo(6.5 + state.offset / 10 + 0.05 * gaussianNoise(random), 2);
+        default: {
+            const center = sensor.minValue !== null && sensor.maxValue !== null
+                ? (sensor.minValue + sensor.maxValue) / 2
+                : state.base;
+            return roundTo(center * (1 + 0.02 * gaussianNoise(random)), 2);
+        }
+    }
+}
+
+/**
+ * Applique une panne simulée; retourne undefined si le capteur n'émet pas
+ */
+function applySimulatedFailure(sim, failure, value, state) {
+    if (!failure) return value;
+    
+    switch (failure.mode) {
+        case 'silent':
+            return undefined;
+        case 'stuck':
+            if (state.stuckValue === undefined) state.stuckValue = value;
+            return state.stuckValue;
+        case 'spike':
+            return sim.random() < (failure.probability !== undefined ? failure.probability : 0.2)
+                ? (failure.spikeValue !== undefined ? failure.spikeValue : roundTo(value * 10, 2))
+                : value;
+        case 'drift':
+            return roundTo(value + (failure.driftPerHour || 1) * (sim.elapsedHours - failure.atHour), 2);
+        case 'noise':
+            return roundTo(value + (failure.amplitude || 10) * gaussianNoise(sim.random), 2);
+        default:
+            return value;
+    }
+}
+
+/**
+ * devEUI simulé stable (dérivé de l'id) si l'entité n'a pas encore de dispositif
+ */
+function getSimulatedDevEUI(entity) {
+    return entity.devEUI || crypto.createHash('sha1').update(`sim:${entity.id}`).digest('hex').substring(0, 16);
+}
+
+/**
+ * Topic concret pour un topic configuré (wildcards et captures remplacés)
+ * Retourne null si aucun topic simulé ne correspond à la liaison du dispositif
+ */
+function getSimulationTopic(pattern, entity) {
+    if (entity.lastTopic && matchEntityTopic(pattern, entity.topicBinding, entity.lastTopic)) {
+        return entity.lastTopic;
+    }
+    
+    const parsed = parseTopicPattern(pattern);
+    if (!parsed) return null;
+    
+    const devEUI = getSimulatedDevEUI(entity);
+    const binding = entity.topicBinding || {};
+    const params = entity.topicParams || {};
+    const topic = parsed.segments.map(segment => {
+        if (segment.type === 'literal') return segment.value;
+        if (segment.name && binding[segment.name]) return binding[segment.name];
+        if (segment.name && params[segment.name]) return params[segment.name];
+        if (segment.name && /^dev(eui|ice)/i.test(segment.name)) return devEUI;
+        return 'sim';
+    }).join('/');
+    
+    return matchEntityTopic(pattern, entity.topicBinding, topic) ? topic : null;
+}
+
+/**
+ * Écrit une valeur à un JSONPath défini ("object.field", "sensors[0].temp", "object['temp 1']")
+ * en créant les intermédiaires. Retourne false pour un chemin multiple (joker, filtre, agrégation)
+ */
+function setValueAtPath(target, jsonPath, value) {
+    let parsed;
+    try {
+        parsed = parseJSONPath(jsonPath);
+    } catch (error) {
+        return false;
+    }
+    const keys = parsed.steps.map(step => step.selectors[0]);
+    if (!parsed.definite || parsed.aggregate || keys.length === 0 || keys.some(key => key.kind === 'index' && key.index < 0)) {
+        return false;
+    }
+    
+    let current = target;
+    keys.forEach((key, index) => {
+        const property = key.kind === 'index' ? key.index : key.name;
+        if (index === keys.length - 1) {
+            current[property] = value;
+            return;
+        }
+        const container = keys[index + 1].kind === 'index' ? Array.isArray(current[property]) : (current[property] && typeof current[property] === 'object' && !Array.isArray(current[property]));
+        if (!container) current[property] = keys[index + 1].kind === 'index' ? [] : {};
+        current = current[property];
+    });
+    return true;
+}
+
+/**
+ * Ajoute la mesure d'une entité au message simulé de son topic
+ * Les champs d'un même topic (dispositif à plusieurs mesures) partagent un seul uplink
+ */
+function addSimulatedField(messages, sim, entity, topicPattern, isJson, jsonPath, value) {
+    const topic = getSimulationTopic(topicPattern, entity);
+    if (!topic) return false;
+    
+    const connectionId = getEntityConnectionId(entity);
+    const key = `${connectionId}|${topic}`;
+    const message = messages.get(key) || {
+        connectionId,
+        topic,
+        json: null,
+        text: null,
+        devEUI: extractDeviceIdentity(matchTopic(topicPattern, topic)) || getSimulatedDevEUI(entity),
+        deviceName: entity.name
+    };
+    
+    if (isJson && jsonPath) {
+        message.json = message.json || {};
+        if (!setValueAtPath(message.json, jsonPath, value)) return false;
+    } else {
+        message.text = String(value);
+    }
+    messages.set(key, message);
+    return true;
+}
+
+/**
+ * Enveloppe ChirpStack (v4 si topic .../event/up, sinon v3) autour de "object"
+ */
+function buildSimulatedPayload(sim, message) {
+    if (!message.json) return Buffer.from(message.text);
+    if (!message.json.object) return Buffer.from(JSON.stringify(message.json));
+    
+    const fCnt = sim.frameCounters.get(message.devEUI) || 0;
+    sim.frameCounters.set(message.devEUI, fCnt + 1);
+    const rxInfo = [{
+        gatewayId: 'sim0000000000gw01',
+        rssi: Math.round(-85 + 6 * gaussianNoise(sim.random)),
+        snr: roundTo(7 + 2 * gaussianNoise(sim.random), 1)
+    }];
+    
+    const envelope = /\/event\/up$/.test(message.topic)
+        ? {
+            deviceInfo: { devEui: message.devEUI, deviceName: message.deviceName, applicationId: 'simulation' },
+            fCnt,
+            fPort: 2,
+            rxInfo,
+            ...message.json
+        }
+        : {
+            applicationID: 'simulation',
+            devEUI: message.devEUI,
+            deviceName: message.deviceName,
+            fCnt,
+            fPort: 2,
+            rxInfo: rxInfo.map(({ gatewayId, ...info }) => ({ gatewayID: gatewayId, ...info })),
+            ...message.json
+        };
+    return Buffer.from(JSON.stringify(envelope));
+}
+
+/**
+ * Pas de simulation: environnement, capteurs, réservoirs puis envoi des messages
+ */
+function runSimulationTick() {
+    const sim = simulation;
+    if (!sim) return;
+    
+    const dtHours = sim.intervalMs * sim.timeScale / 3600000;
+    sim.simulatedTime = new Date(sim.simulatedTime.getTime() + sim.intervalMs * sim.timeScale);
+    sim.elapsedHours += dtHours;
+    
+    if (sim.scenario.durationHours !== null && sim.elapsedHours >= sim.scenario.durationHours) {
+        stopSimulation('completed');
+        return;
+    }
+    
+    const activeEvents = getActiveSimulationEvents(sim, sim.elapsedHours);
+    updateSimulationEnvironment(sim, dtHours, activeEvents);
+    
+    const sensors = stationData.sensors.filter(sensor => !sim.sensorIds || sim.sensorIds.includes(sensor.id));
+    const reservoirs = stationData.reservoirs.filter(reservoir => !sim.reservoirIds || sim.reservoirIds.includes(reservoir.id));
+    const messages = new Map();
+    const unsupported = [];
+    
+    // Pannes de capteurs actives: capteur -> événement
+    const failures = new Map();
+    activeEvents.filter(event => event.type === 'sensor_failure').forEach(event => {
+        getSimulationEventTargets(event, sensors).forEach(sensor => failures.set(sensor.id, event));
+    });
+    
+    sensors.forEach(sensor => {
+        if (sensor.codec || sensor.byteExtraction || !isNumericSensor(sensor)) {
+            unsupported.push(sensor.name);
+            return;
+        }
+        
+        let state = sim.entityStates.get(sensor.id);
+        if (!state) {
+            state = {
+                offset: gaussianNoise(sim.random) * 0.5,
+                level: typeof sensor.value === 'number' && sensor.value > 0 ? sensor.value : 35,
+                base: typeof sensor.value === 'number' && sensor.value !== 0 ? sensor.value : 50
+            };
+            sim.entityStates.set(sensor.id, state);
+        }
+        
+        const failure = failures.get(sensor.id);
+        if (!failure) delete state.stuckValue;
+        const value = applySimulatedFailure(sim, failure, getSimulatedSensorValue(sim, sensor, state, dtHours), state);
+        if (value === undefined) return;
+        
+        if (!addSimulatedField(messages, sim, sensor, sensor.topic, sensor.isJsonPayload, sensor.jsonPath, value)) {
+            unsupported.push(sensor.name);
+        }
+    });
+    
+    const leaks = new Map();
+    activeEvents.filter(event => event.type === 'leak').forEach(event => {
+        getSimulationEventTargets(event, reservoirs).forEach(reservoir => {
+            leaks.set(reservoir.id, (leaks.get(reservoir.id) || 0) + (event.ratePercentPerHour || 5));
+        });
+    });
+    
+    reservoirs.forEach(reservoir => {
+        if (!reservoir.topic) return;
+        if (reservoir.codecLevel || reservoir.byteExtractionLevel) {
+            unsupported.push(reservoir.name);
+            return;
+        }
+        
+        let state = sim.entityStates.get(reservoir.id);
+        if (!state) {
+            state = { level: typeof reservoir.currentLevel === 'number' ? reservoir.currentLevel : 80, refilling: false };
+            sim.entityStates.set(reservoir.id, state);
+        }
+        
+        // Remplissage automatique (mode auto) du seuil bas jusqu'à 95%
+        if (reservoir.isAutoMode && state.level <= reservoir.lowThreshold) state.refilling = true;
+        if (state.level >= 95) state.refilling = false;
+        
+        const change = (state.refilling ? sim.climate.refillPercentPerHour : 0) -
+            (reservoir.pumpStatus ? sim.climate.pumpDrawPercentPerHour : 0) -
+            (leaks.get(reservoir.id) || 0);
+        state.level = Math.max(0, Math.min(100, state.level + change * dtHours));
+        
+        // Bruit de mesure du capteur de niveau (ultrason)
+        const measured = Math.max(0, Math.min(100, state.level + 0.3 * gaussianNoise(sim.random)));
+        if (!addSimulatedField(messages, sim, reservoir, reservoir.topic, reservoir.isJsonPayloadLevel, reservoir.jsonPathLevel, roundTo(measured, 1))) {
+            unsupported.push(reservoir.name);
+        }
+    });
+    
+    messages.forEach(message => {
+        const payload = buildSimulatedPayload(sim, message);
+        
+        if (sim.transport === 'mqtt') {
+            const client = getMqttClient(message.connectionId);
+            if (!client) {
+                sim.skipped++;
+                return;
+            }
+            client.publish(message.topic, payload, { qos: 0 });
+        } else {
+            const result = processIncomingMessage(message.connectionId, message.topic, payload, { qos: 0 }, ' [simulation]');
+            sim.results[result.status] = (sim.results[result.status] || 0) + 1;
+        }
+        sim.messagesSent++;
+    });
+    
+    sim.unsupported = [...new Set(unsupported)];
+    sim.activeEvents = activeEvents.map(event => event.label || event.type);
+    sim.ticks++;
+    
+    if (sim.ticks % 5 === 1) io.emit('simulation_status', getSimulationStatus());
+}
+
+function getSimulationStatus() {
+    if (!simulation) return { running: false };
+    
+    const sim = simulation;
+    const env = sim.environment;
+    return {
+        running: true,
+        scenario: sim.scenario.name,
+        label: sim.scenario.label,
+        transport: sim.transport,
+        timeScale: sim.timeScale,
+        intervalMs: sim.intervalMs,
+        startedAt: sim.startedAt,
+        simulatedTime: sim.simulatedTime.toISOString(),
+        elapsedHours: roundTo(sim.elapsedHours, 2),
+        durationHours: sim.scenario.durationHours,
+        messagesSent: sim.messagesSent,
+        skipped: sim.skipped,
+        results: sim.results,
+        activeEvents: sim.activeEvents,
+        unsupported: sim.unsupported,
+        environment: {
+            temperature: roundTo(env.temperature, 1),
+            humidity: roundTo(env.humidity, 1),
+            rainRate: roundTo(env.rainRate, 1),
+            rainTotal: roundTo(env.rainTotal, 1),
+            light: Math.round(env.light),
+            wind: roundTo(env.wind, 1),
+            pressure: roundTo(env.pressure, 1)
+        }
+    };
+}
+
+/**
+ * Démarre un scénario. options: { timeScale, intervalMs, transport: 'direct'|'mqtt', sensorIds, reservoirIds }
+ */
+function startSimulation(scenario, options) {
+    const simulatedTime = new Date();
+    if (scenario.startHour !== null) {
+        simulatedTime.setHours(Math.floor(scenario.startHour), Math.round((scenario.startHour % 1) * 60), 0, 0);
+    }
+    
+    simulation = {
+        scenario,
+        climate: scenario.climate,
+        random: createSeededRandom(scenario.seed),
+        transport: options.transport,
+        timeScale: options.timeScale,
+        intervalMs: options.intervalMs,
+        sensorIds: options.sensorIds || null,
+        reservoirIds: options.reservoirIds || null,
+        startedAt: new Date().toISOString(),
+        simulatedTime,
+        elapsedHours: 0,
+        ticks: 0,
+        messagesSent: 0,
+        skipped: 0,
+        results: {},
+        activeEvents: [],
+        unsupported: [],
+        entityStates: new Map(),
+        frameCounters: new Map(),
+        environment: {
+            temperature: scenario.climate.temperatureMean,
+            temperatureNoise: 0,
+            humidity: scenario.climate.humidityMean,
+            rainRate: 0,
+            rainTotal: 0,
+            randomRainHoursLeft: 0,
+            randomRainIntensity: 0,
+            daylight: 0,
+            light: 0,
+            wind: scenario.climate.windMean,
+            pressure: scenario.climate.pressureMean
+        },
+        timer: null
+    };
+    
+    // Premier pas immédiat (environnement à l'heure de départ), puis à intervalle régulier
+    simulation.timer = setInterval(runSimulationTick, simulation.intervalMs);
+    updateSimulationEnvironment(simulation, 0, getActiveSimulationEvents(simulation, 0));
+    
+    console.log(`🎬 Simulation démarrée: ${scenario.label} (x${options.timeScale}, ${options.transport})`);
+    io.emit('simulation_status', getSimulationStatus());
+}
+
+function stopSimulation(reason = 'stopped') {
+    if (!simulation) return null;
+    
+    clearInterval(simulation.timer);
+    const status = { ...getSimulationStatus(), running: false, reason };
+    simulation = null;
+    
+    console.log(`⏹️ Simulation terminée (${reason}): ${status.messagesSent} messages`);
+    io.emit('simulation_status', status);
+    return status;
+}
+
+function validateSimulationOptions(body) {
+    const timeScale = body.timeScale === undefined ? 1 : Number(body.timeScale);
+    if (!Number.isFinite(timeScale) || timeScale <= 0) {
+        return { error: 'timeScale doit être un nombre > 0 (1 = temps réel, 60 = 1 minute simulée par seconde)' };
+    }
+    
+    const intervalMs = body.intervalMs === undefined
+        ? (stationData.config.updateInterval || 5000)
+        : Number(body.intervalMs);
+    if (!Number.isFinite(intervalMs) || intervalMs < SIMULATION_MIN_INTERVAL_MS) {
+        return { error: `intervalMs doit être >= ${SIMULATION_MIN_INTERVAL_MS}` };
+    }
+    
+    const transport = body.transport || 'direct';
+    if (!['direct', 'mqtt'].includes(transport)) {
+        return { error: `Transport inconnu: ${transport} (direct ou mqtt)` };
+    }
+    
+    for (const field of ['sensorIds', 'reservoirIds']) {
+        if (body[field] !== undefined && body[field] !== null && !Array.isArray(body[field])) {
+            return { error: `${field} doit être une liste d'identifiants` };
+        }
+    }
+    
+    return { options: { timeScale, intervalMs, transport, sensorIds: body.sensorIds || null, reservoirIds: body.reservoirIds || null } };
+}
+
+// GET /api/simulation - État de la simulation en cours
+app.get('/api/simulation', (req, res) => {
+    res.json(getSimulationStatus());
+});
+
+// GET /api/simulation/scenarios - Scénarios disponibles (./scenarios/*.json)
+app.get('/api/simulation/scenarios', async (req, res) => {
+    try {
+        res.json(await listSimulationScenarios());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/simulation/start - Body: { scenario, timeScale?, intervalMs?, transport?, sensorIds?, reservoirIds? }
+app.post('/api/simulation/start', async (req, res) => {
+    try {
+        if (simulation) {
+            return res.status(409).json({ error: `Simulation déjà en cours: ${simulation.scenario.label}` });
+        }
+        
+        const { options, error } = validateSimulationOptions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        
+        let scenario;
+        try {
+            scenario = await loadSimulationScenario(req.body.scenario || 'normal');
+        } catch (scenarioError) {
+            const status = scenarioError.code === 'ENOENT' ? 404 : 400;
+            return res.status(status).json({ error: status === 404 ? `Scénario inconnu: ${req.body.scenario}` : scenarioError.message });
+        }
+        
+        startSimulation(scenario, options);
+        res.json(getSimulationStatus());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/simulation/stop', (req, res) => {
+    const status = stopSimulation();
+    if (!status) {
+        return res.status(404).json({ error: 'Aucune simulation en cours' });
+    }
+    res.json(status);
+});
+
+// ============================================================================
+// NOUVELLE FONCTION DE TRAITEMENT DES MESSAGES RÉSERVOIRS CHIRPSTACK
+// ============================================================================
+
+/**
+ * Extrait et applique la valeur d'un topic réservoir
+ * Retourne { value } ou { error } (inspecteur de payloads)
+ */
+function handleReservoirTopicMessage(reservoir, messageStr, topicType, receivedTimestamp, rawMessage = null, context = createLiveContext()) {
+    const topicConfig = {
+        level: {
+            isJson: reservoir.isJsonPayloadLevel,
+            jsonPath: reservoir.jsonPathLevel,
+            jsonFormat: reservoir.jsonFormatLevel,
+            byteExtraction: reservoir.byteExtractionLevel,
+            codec: reservoir.codecLevel
+        },
+        pump: {
+            isJson: reservoir.isJsonPayloadPump,
+            jsonPath: reservoir.jsonPathPump,
+            jsonFormat: reservoir.jsonFormatPump
+        },
+        mode: {
+            isJson: reservoir.isJsonPayloadMode,
+            jsonPath: reservoir.jsonPathMode,
+            jsonFormat: reservoir.jsonFormatMode
+        }
+    };
+    
+    const config = topicConfig[topicType];
+    if (!config) return { error: `Topic ${topicType}: aucune valeur extraite` };
+    
+    let extractedValue = null;
+    
+    if (config.codec) {
+        try {
+            const decoded = decodeWithCodec(config.codec, rawMessage || messageStr);
+            extractedValue = extractValueFromDecoded(decoded, config.jsonPath, config.byteExtraction);
+            console.log(`🧩 Codec ${config.codec} ${topicType} pour réservoir ${reservoir.name}: ${JSON.stringify(extractedValue)}`);
+        } catch (error) {
+            console.error(`❌ Erreur codec ${config.codec} ${topicType} réservoir ${reservoir.name}:`, error.message);
+            return { error: `Erreur codec ${config.codec}: ${error.message}` };
+        }
         
-        // Validation JSONPath si payload JSON
-        if (req.body.isJsonPayload && req.body.jsonPath) {
-            if (!validateJSONPath(req.body.jsonPath)) {
-                return res.status(400).json({ 
-                    error: 'JSONPath invalide. Format attendu: object.field ou data.sensors[0].temp' 
-                });
+        if (extractedValue === null || extractedValue === undefined) {
+            console.log(`⚠️ Impossible d'extraire la valeur ${topicType} décodée avec JSONPath: ${config.jsonPath}`);
+            return { error: `Aucune valeur décodée au JSONPath ${config.jsonPath}` };
+        }
+    } else if (config.isJson) {
+        try {
+            const jsonData = JSON.parse(messageStr);
+            console.log(`🔍 Parsing JSON ${topicType} pour réservoir ${reservoir.name}:`);
+            console.log(`   Format: ${config.jsonFormat}`);
+            console.log(`   JSONPath: ${config.jsonPath}`);
+            
+            // Détection automatique du format (et de la version ChirpStack v3/v4)
+            const actualFormat = resolveJsonFormat(jsonData, config.jsonFormat);
+            if (actualFormat !== config.jsonFormat) {
+                console.log(`   Format détecté: ${actualFormat}`);
+            }
+            
+            extractedValue = extractConfiguredValue(jsonData, config.jsonPath, config.byteExtraction);
+            console.log(`   Valeur extraite: ${extractedValue}`);
+            
+            if (extractedValue === null || extractedValue === undefined) {
+                console.log(`⚠️ Impossible d'extraire la valeur ${topicType} avec JSONPath: ${config.jsonPath}`);
+                return { error: `Aucune valeur au JSONPath ${config.jsonPath} (format ${actualFormat})` };
             }
+            
+        } catch (error) {
+            console.error(`❌ Erreur parsing JSON ${topicType} réservoir ${reservoir.name}:`, error);
+            return { error: `JSON invalide: ${error.message}` };
         }
+    } else {
+        extractedValue = messageStr.trim();
+    }
+    
+    // Traitement selon le type de topic
+    switch (topicType) {
+        case 'level':
+            const levelValue = parseFloat(extractedValue);
+            if (isNaN(levelValue)) {
+                return { extracted: extractedValue, error: 'Niveau non numérique' };
+            }
+            console.log(`🫗 Mise à jour niveau ${reservoir.name}: ${levelValue}%`);
+            handleReservoirLevelData(reservoir, levelValue, receivedTimestamp, context);
+            return { value: levelValue };
+            
+        case 'pump':
+            let pumpStatus;
+            if (typeof extractedValue === 'string') {
+                pumpStatus = (extractedValue === '1' || extractedValue.toLowerCase() === 'true');
+            } else if (typeof extractedValue === 'number') {
+                pumpStatus = (extractedValue === 1);
+            } else {
+                pumpStatus = Boolean(extractedValue);
+            }
+            console.log(`🔧 État pompe ${reservoir.name}: ${pumpStatus ? 'ON' : 'OFF'}`);
+            handleReservoirPumpData(reservoir, pumpStatus, receivedTimestamp, context);
+            return { value: pumpStatus };
+            
+        case 'mode':
+            const isAutoMode = (extractedValue === 'auto' || extractedValue === 'automatic');
+            console.log(`🎛️ Mode ${reservoir.name}: ${isAutoMode ? 'AUTOMATIQUE' : 'MANUEL'}`);
+            handleReservoirModeData(reservoir, isAutoMode, receivedTimestamp, context);
+            return { value: isAutoMode ? 'auto' : 'manual' };
+    }
+}
+
+// ============================================================================
+// PIPELINE DE CALIBRATION ET TRANSFORMATION DES CAPTEURS
+// ============================================================================
+// sensor.transforms = liste ordonnée d'étapes appliquées à la valeur brute:
+// - { type: 'offset_scale', scale: 1, offset: -0.8 }          -> valeur * scale + offset
+// - { type: 'calibration_table', points: [[raw, val], ...] }   -> interpolation linéaire par morceaux
+// - { type: 'clamp', min: 0, max: 100 }
+// - { type: 'unit_conversion', from: 'C', to: 'F' }
+// - { type: 'moving_average', window: 5 }
+
+const UNIT_CONVERSIONS = {
+    'C->F': v => v * 9 / 5 + 32,
+    'F->C': v => (v - 32) * 5 / 9,
+    'C->K': v => v + 273.15,
+    'K->C': v => v - 273.15,
+    'km/h->m/s': v => v / 3.6,
+    'm/s->km/h': v => v * 3.6,
+    'km/h->mph': v => v / 1.609344,
+    'mph->km/h': v => v * 1.609344,
+    'm/s->kt': v => v * 1.943844,
+    'kt->m/s': v => v / 1.943844,
+    'mm->in': v => v / 25.4,
+    'in->mm': v => v * 25.4,
+    'Pa->hPa': v => v / 100,
+    'hPa->Pa': v => v * 100,
+    'hPa->kPa': v => v / 10,
+    'kPa->hPa': v => v * 10,
+    'hPa->inHg': v => v * 0.0295299830714,
+    'inHg->hPa': v => v / 0.0295299830714,
+    'mV->V': v => v / 1000,
+    'V->mV': v => v * 1000,
+    'L->m3': v => v / 1000,
+    'm3->L': v => v * 1000,
+    'L->gal': v => v / 3.785411784,
+    'gal->L': v => v * 3.785411784
+};
+
+// États des moyennes glissantes en mémoire: sensorId -> { [indexÉtape]: [valeurs] }
+const sensorTransformState = new Map();
+
+/**
+ * Valide une liste d'étapes de transformation
+ * Retourne un message d'erreur ou null si valide
+ */
+function validateTransforms(transforms) {
+    if (transforms === undefined || transforms === null) return null;
+    if (!Array.isArray(transforms)) return 'transforms doit être une liste d\'étapes';
+    
+    for (let i = 0; i < transforms.length; i++) {
+        const step = transforms[i];
+        const label = `Étape ${i + 1}`;
         
-        const oldTopic = stationData.sensors[sensorIndex].topic;
-        const oldQos = stationData.sensors[sensorIndex].mqttQos;
+        if (!step || typeof step !== 'object') return `${label}: objet attendu`;
         
-        stationData.sensors[sensorIndex] = { 
-            ...stationData.sensors[sensorIndex], 
-            ...req.body,
-            lastUpdate: new Date()
-        };
+        switch (step.type) {
+            case 'offset_scale':
+                if (step.scale !== undefined && isNaN(parseFloat(step.scale))) return `${label}: scale non numérique`;
+                if (step.offset !== undefined && isNaN(parseFloat(step.offset))) return `${label}: offset non numérique`;
+                break;
+            case 'calibration_table':
+                if (!Array.isArray(step.points) || step.points.length < 2) {
+                    return `${label}: au moins 2 points [brut, calibré] requis`;
+                }
+                if (!step.points.every(p => Array.isArray(p) && p.length === 2 && p.every(v => typeof v === 'number' && isFinite(v)))) {
+                    return `${label}: points au format [[brut, calibré], ...] attendus`;
+                }
+                break;
+            case 'clamp':
+                if (step.min === undefined && step.max === undefined) return `${label}: min et/ou max requis`;
+                if (step.min !== undefined && step.min !== null && isNaN(parseFloat(step.min))) return `${label}: min non numérique`;
+                if (step.max !== undefined && step.max !== null && isNaN(parseFloat(step.max))) return `${label}: max non numérique`;
+                break;
+            case 'unit_conversion':
+                if (!UNIT_CONVERSIONS[`${step.from}->${step.to}`]) {
+                    return `${label}: conversion ${step.from} -> ${step.to} non supportée`;
+                }
+                break;
+            case 'moving_average':
+                if (!Number.isInteger(Number(step.window)) || Number(step.window) < 2 || Number(step.window) > 100) {
+                    return `${label}: window entre 2 et 100 attendu`;
+                }
+                break;
+            default:
+                return `${label}: type inconnu "${step.type}"`;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Interpolation linéaire par morceaux (extrapolation par les segments extrêmes)
+ */
+function interpolateCalibration(points, rawValue) {
+    const sorted = [...points].sort((a, b) => a[0] - b[0]);
+    
+    let segment = sorted.length - 2;
+    for (let i = 0; i < sorted.length - 1; i++) {
+        if (rawValue <= sorted[i + 1][0]) {
+            segment = i;
+            break;
+        }
+    }
+    
+    const [x0, y0] = sorted[segment];
+    const [x1, y1] = sorted[segment + 1];
+    if (x1 === x0) return y0;
+    
+    return y0 + (rawValue - x0) * (y1 - y0) / (x1 - x0);
+}
+
+/**
+ * Applique le pipeline de transformations à une valeur brute
+ * state: buffers des moyennes glissantes (modifié en place)
+ */
+function applyTransformPipeline(transforms, rawValue, state = {}) {
+    let value = rawValue;
+    
+    (transforms || []).forEach((step, index) => {
+        switch (step.type) {
+            case 'offset_scale': {
+                const scale = step.scale === undefined ? 1 : parseFloat(step.scale);
+                const offset = step.offset === undefined ? 0 : parseFloat(step.offset);
+                value = value * scale + offset;
+                break;
+            }
+            case 'calibration_table':
+                value = interpolateCalibration(step.points, value);
+                break;
+            case 'clamp':
+                if (step.min !== undefined && step.min !== null) value = Math.max(parseFloat(step.min), value);
+                if (step.max !== undefined && step.max !== null) value = Math.min(parseFloat(step.max), value);
+                break;
+            case 'unit_conversion':
+                value = UNIT_CONVERSIONS[`${step.from}->${step.to}`](value);
+                break;
+            case 'moving_average': {
+                const buffer = state[index] || (state[index] = []);
+                buffer.push(value);
+                while (buffer.length > Number(step.window)) buffer.shift();
+                value = buffer.reduce((sum, v) => sum + v, 0) / buffer.length;
+                break;
+            }
+        }
+    });
+    
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Valeur brute d'un point d'historique (les anciens points n'ont que "value")
+ */
+function getHistoryRawValue(entry) {
+    return entry.rawValue !== undefined ? entry.rawValue : entry.value;
+}
+
+/**
+ * État des moyennes glissantes d'un capteur, reconstruit depuis l'historique brut après un redémarrage
+ */
+function getSensorTransformState(sensor, context = createLiveContext()) {
+    // Rejeu sandbox: moyennes glissantes propres à la copie
+    const transformStates = context.transformState;
+    if (transformStates.has(sensor.id)) return transformStates.get(sensor.id);
+    
+    const state = {};
+    const windows = (sensor.transforms || [])
+        .filter(step => step.type === 'moving_average')
+        .reduce((total, step) => total + Number(step.window), 0);
+    
+    if (windows > 0) {
+        const history = context.data.sensorHistory[sensor.id] || [];
+        history.slice(-windows).forEach(entry => {
+            const rawValue = getHistoryRawValue(entry);
+            if (typeof rawValue === 'number') applyTransformPipeline(sensor.transforms, rawValue, state);
+        });
+    }
+    
+    transformStates.set(sensor.id, state);
+    return state;
+}
+
+/**
+ * Calibre une nouvelle valeur brute d'un capteur
+ */
+function applySensorTransforms(sensor, rawValue, context = createLiveContext()) {
+    if (!Array.isArray(sensor.transforms) || sensor.transforms.length === 0) return rawValue;
+    return applyTransformPipeline(sensor.transforms, rawValue, getSensorTransformState(sensor, context));
+}
+
+/**
+ * Recalcule tout l'historique d'un capteur depuis les valeurs brutes avec le pipeline actuel
+ */
+function recomputeSensorHistory(sensor) {
+    const history = stationData.sensorHistory[sensor.id] || [];
+    const state = {};
+    const hasTransforms = Array.isArray(sensor.transforms) && sensor.transforms.length > 0;
+    let recomputed = 0;
+    
+    history.forEach(entry => {
+        const rawValue = getHistoryRawValue(entry);
+        if (typeof rawValue !== 'number') return;
         
+        if (hasTransforms) {
+            entry.rawValue = rawValue;
+            entry.value = applyTransformPipeline(sensor.transforms, rawValue, state);
+        } else {
+            entry.value = rawValue;
+            delete entry.rawValue;
+        }
+        recomputed++;
+    });
+    
+    // L'état live repart de l'historique recalculé
+    sensorTransformState.set(sensor.id, state);
+    
+    if (history.length > 0) {
+        const last = history[history.length - 1];
+        sensor.value = last.value;
+        if (last.rawValue !== undefined) sensor.rawValue = last.rawValue;
+    }
+    
+    return recomputed;
+}
+
+// ============================================================================
+// CONTRÔLE DE PLAUSIBILITÉ ET QUARANTAINE DES VALEURS ABERRANTES
+// ============================================================================
+// sensor.plausibility (capteurs numériques, valeur calibrée hors moyenne glissante):
+// - useTypeLimits: limites physiques du type (PHYSICAL_LIMITS), à activer par capteur et
+//   refusé si l'unité du capteur n'est pas celle du type
+// - min / max: limites physiques propres au capteur (prioritaires sur celles du type)
+// - maxRatePerMinute: variation maximale par minute depuis le dernier point accepté
+// - hampelWindow / hampelThreshold: filtre de Hampel sur les derniers points acceptés
+//   (écart à la médiane > seuil × 1,4826 × MAD), 0 = désactivé
+// Une valeur refusée n'entre ni dans l'historique ni dans les alertes: elle est placée en
+// quarantaine (stationData.quarantine) pour être acceptée ou écartée depuis l'API. Elle compte
+// toutefois comme une émission du dispositif pour la surveillance des données anciennes.
+
+const QUARANTINE_MAX_ENTRIES = 1000;
+// Lectures successives cohérentes entre elles (en quarantaine + la nouvelle) qui confirment un
+// vrai changement de niveau malgré maxRatePerMinute
+const PLAUSIBILITY_SHIFT_READINGS = 3;
+
+// Limites physiques par type de capteur, dans l'unité par défaut du type (SENSOR_TYPE_DEFAULTS)
+const PHYSICAL_LIMITS = {
+    temperature: { min: -50, max: 100 },
+    humidity: { min: 0, max: 100 },
+    moisture: { min: 0, max: 100 },
+    light: { min: 0, max: 200000 },
+    ph: { min: 0, max: 14 },
+    wind: { min: 0, max: 300 },
+    rain: { min: 0, max: 500 },
+    pressure: { min: 850, max: 1100 },
+    co2: { min: 0, max: 20000 },
+    nutrition: { min: 0, max: 20 }
+};
+
+const DEFAULT_PLAUSIBILITY = {
+    useTypeLimits: false, // Capteurs existants: opt-in (unités non garanties), voir getDefaultPlausibility
+    min: null,
+    max: null,
+    maxRatePerMinute: null,
+    hampelWindow: 0,
+    hampelThreshold: 3
+};
+
+function normalizePlausibility(plausibility, current = null) {
+    return { ...DEFAULT_PLAUSIBILITY, ...current, ...plausibility };
+}
+
+/**
+ * Plausibilité d'un nouveau capteur: limites physiques du type actives si le capteur est dans
+ * l'unité par défaut du type
+ */
+function getDefaultPlausibility(sensor) {
+    const typeDefaults = SENSOR_TYPE_DEFAULTS[sensor.type];
+    return {
+        ...DEFAULT_PLAUSIBILITY,
+        useTypeLimits: Boolean(PHYSICAL_LIMITS[sensor.type] && typeDefaults && typeDefaults.defaultUnit === sensor.unit)
+    };
+}
+
+/**
+ * Valide une configuration de plausibilité normalisée pour un capteur (type et unité)
+ * Retourne un message d'erreur ou null si valide
+ */
+function validatePlausibility(plausibility, sensor) {
+    const isNumberOrNull = value => value === null || (typeof value === 'number' && isFinite(value));
+
+    if (typeof plausibility.useTypeLimits !== 'boolean') return 'Plausibilité: useTypeLimits booléen attendu';
+    if (plausibility.useTypeLimits) {
+        const typeDefaults = SENSOR_TYPE_DEFAULTS[sensor.type];
+        if (!PHYSICAL_LIMITS[sensor.type] || !typeDefaults) {
+            return `Plausibilité: pas de limites physiques pour le type ${sensor.type}`;
+        }
+        if (typeDefaults.defaultUnit !== sensor.unit) {
+            return `Plausibilité: les limites du type ${sensor.type} sont en ${typeDefaults.defaultUnit}, unité du capteur: ${sensor.unit || 'aucune'}`;
+        }
+    }
+    if (!isNumberOrNull(plausibility.min) || !isNumberOrNull(plausibility.max)) {
+        return 'Plausibilité: min / max numériques ou null attendus';
+    }
+    if (plausibility.min !== null && plausibility.max !== null && plausibility.min >= plausibility.max) {
+        return 'Plausibilité: min doit être inférieur à max';
+    }
+    if (!isNumberOrNull(plausibility.maxRatePerMinute) || (plausibility.maxRatePerMinute !== null && plausibility.maxRatePerMinute <= 0)) {
+        return 'Plausibilité: maxRatePerMinute positif ou null attendu';
+    }
+    if (!Number.isInteger(plausibility.hampelWindow) || (plausibility.hampelWindow !== 0 &&
+        (plausibility.hampelWindow < 3 || plausibility.hampelWindow > 50))) {
+        return 'Plausibilité: hampelWindow entre 3 et 50 (0 = désactivé)';
+    }
+    if (!(typeof plausibility.hampelThreshold === 'number' && plausibility.hampelThreshold > 0)) {
+        return 'Plausibilité: hampelThreshold positif attendu';
+    }
+    return null;
+}
+
+/**
+ * Limites physiques effectives d'un capteur: { min, max } (null = pas de limite)
+ */
+function getPhysicalLimits(sensor) {
+    const plausibility = normalizePlausibility(sensor.plausibility);
+    const typeDefaults = SENSOR_TYPE_DEFAULTS[sensor.type];
+    const typeLimits = plausibility.useTypeLimits && PHYSICAL_LIMITS[sensor.type] &&
+        typeDefaults && typeDefaults.defaultUnit === sensor.unit
+        ? PHYSICAL_LIMITS[sensor.type]
+        : { min: null, max: null };
+
+    return {
+        min: plausibility.min !== null ? plausibility.min : typeLimits.min,
+        max: plausibility.max !== null ? plausibility.max : typeLimits.max
+    };
+}
+
+function getMedian(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Dernières lectures numériques reçues d'un capteur, acceptées ou en quarantaine, par date:
+ * [{ timestamp, value, quarantined }]
+ */
+function getRecentSensorReadings(sensor, count, context = createLiveContext()) {
+    const toReading = quarantined => entry => ({ timestamp: new Date(entry.timestamp).getTime(), value: entry.value, quarantined });
+    const accepted = (context.data.sensorHistory[sensor.id] || [])
+        .filter(entry => typeof entry.value === 'number')
+        .slice(-count)
+        .map(toReading(false));
+    const quarantined = context.data.quarantine
+        .filter(entry => entry.sensorId === sensor.id && typeof entry.value === 'number')
+        .slice(-count)
+        .map(toReading(true));
+
+    return [...accepted, ...quarantined].sort((a, b) => a.timestamp - b.timestamp).slice(-count);
+}
+
+/**
+ * Règles violées par une nouvelle valeur: [{ rule, message, ... }] (vide = plausible)
+ */
+function checkSensorPlausibility(sensor, value, timestamp, context = createLiveContext()) {
+    const plausibility = normalizePlausibility(sensor.plausibility);
+    const violations = [];
+
+    const limits = getPhysicalLimits(sensor);
+    if (limits.min !== null && value < limits.min) {
+        violations.push({ rule: 'physical_min', limit: limits.min, message: `${value} < minimum physique ${limits.min}` });
+    }
+    if (limits.max !== null && value > limits.max) {
+        violations.push({ rule: 'physical_max', limit: limits.max, message: `${value} > maximum physique ${limits.max}` });
+    }
+
+    // Lectures refusées comprises: sinon, après un vrai changement de niveau, toutes les suivantes
+    // seraient comparées à l'ancien niveau et resteraient en quarantaine
+    const readings = getRecentSensorReadings(sensor, Math.max(plausibility.hampelWindow, PLAUSIBILITY_SHIFT_READINGS), context);
+    const history = (context.data.sensorHistory[sensor.id] || []).filter(entry => typeof entry.value === 'number');
+    const last = history[history.length - 1];
+
+    // Au moins une seconde entre deux points (messages en rafale)
+    const getRate = (from, to) =>
+        Math.abs(to.value - from.value) / (Math.max(to.timestamp - new Date(from.timestamp).getTime(), 1000) / 60000);
+
+    if (plausibility.maxRatePerMinute !== null && last) {
+        const rate = getRate(last, { timestamp, value });
+        // Un pic isolé reste refusé; une suite de lectures cohérentes entre elles est un changement de niveau
+        const run = [...readings.slice(-(PLAUSIBILITY_SHIFT_READINGS - 1)), { timestamp, value, quarantined: true }];
+        const levelShift = run.length === PLAUSIBILITY_SHIFT_READINGS && run.every((reading, i) =>
+            reading.quarantined && (i === 0 || getRate(run[i - 1], reading) <= plausibility.maxRatePerMinute));
+        if (rate > plausibility.maxRatePerMinute && !levelShift) {
+            violations.push({
+                rule: 'rate_of_change',
+                limit: plausibility.maxRatePerMinute,
+                previousValue: last.value,
+                ratePerMinute: Math.round(rate * 1000) / 1000,
+                message: `variation de ${Math.round(rate * 100) / 100}/min > ${plausibility.maxRatePerMinute}/min`
+            });
+        }
+    }
+
+    if (plausibility.hampelWindow > 0 && readings.length >= plausibility.hampelWindow) {
+        const window = readings.slice(-plausibility.hampelWindow).map(reading => reading.value);
+        const median = getMedian(window);
+        const mad = getMedian(window.map(v => Math.abs(v - median)));
+        // MAD nul (signal constant): pas d'échelle, le filtre ne s'applique pas
+        if (mad > 0 && Math.abs(value - median) > plausibility.hampelThreshold * 1.4826 * mad) {
+            violations.push({
+                rule: 'hampel',
+                median,
+                mad,
+                message: `écart à la médiane ${Math.round(Math.abs(value - median) * 100) / 100} > ${plausibility.hampelThreshold} × MAD normalisé`
+            });
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Place une valeur refusée en quarantaine
+ */
+function quarantineSensorValue(sensor, value, rawValue, violations, receivedTimestamp = null, context = createLiveContext()) {
+    const entry = {
+        id: generateId(),
+        sensorId: sensor.id,
+        sensorName: sensor.name,
+        unit: sensor.unit,
+        timestamp: new Date(),
+        value,
+        rawValue,
+        receivedTimestamp,
+        violations
+    };
+
+    context.data.quarantine.push(entry);
+    if (context.data.quarantine.length > QUARANTINE_MAX_ENTRIES) {
+        context.data.quarantine.shift();
+    }
+
+    console.log(`🚫 ${sensor.name}: valeur ${value} mise en quarantaine (${violations.map(v => v.message).join(', ')})`);
+    context.emit('quarantine_update', { action: 'added', entry });
+
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
+}
+
+/**
+ * Valeur acceptée après revue: ajoutée à l'historique à sa date de réception
+ */
+function acceptQuarantinedValue(entry) {
+    const sensor = stationData.sensors.find(s => s.id === entry.sensorId);
+    if (!sensor) return null;
+
+    if (!stationData.sensorHistory[sensor.id]) {
+        stationData.sensorHistory[sensor.id] = [];
+    }
+    const history = stationData.sensorHistory[sensor.id];
+    const historyEntry = { timestamp: new Date(entry.timestamp), value: entry.value };
+    if (Array.isArray(sensor.transforms) && sensor.transforms.length > 0) {
+        historyEntry.rawValue = entry.rawValue;
+    }
+    if (entry.receivedTimestamp && sensor.showReceivedTimestamp) {
+        historyEntry.receivedTimestamp = entry.receivedTimestamp;
+    }
+
+    const index = history.findIndex(point => new Date(point.timestamp) > historyEntry.timestamp);
+    if (index === -1) {
+        history.push(historyEntry);
+    } else {
+        history.splice(index, 0, historyEntry);
+    }
+    if (history.length > HISTORY_MAX_ENTRIES) {
+        history.shift();
+    }
+
+    // Moyennes glissantes reconstruites depuis l'historique
+    sensorTransformState.delete(sensor.id);
+
+    // Point le plus récent: devient la valeur courante (sans alerte, la revue est a posteriori)
+    if (history[history.length - 1] === historyEntry) {
+        sensor.value = entry.value;
+        if (historyEntry.rawValue !== undefined) sensor.rawValue = entry.rawValue;
+        io.emit('sensor_realtime_update', {
+            id: sensor.id,
+            value: sensor.value,
+            rawValue: historyEntry.rawValue,
+            status: sensor.status,
+            timestamp: sensor.lastUpdate
+        });
+    }
+
+    return sensor;
+}
+
+function removeQuarantineEntries(predicate) {
+    const removed = stationData.quarantine.filter(predicate);
+    stationData.quarantine = stationData.quarantine.filter(entry => !predicate(entry));
+    return removed;
+}
+
+// GET /api/quarantine?sensorId= - Valeurs en quarantaine, plus récentes d'abord
+app.get('/api/quarantine', (req, res) => {
+    const entries = stationData.quarantine
+        .filter(entry => !req.query.sensorId || entry.sensorId === req.query.sensorId)
+        .slice()
+        .reverse();
+    res.json(entries);
+});
+
+// GET /api/sensors/:id/plausibility - Règles effectives (limites physiques du type résolues)
+app.get('/api/sensors/:id/plausibility', (req, res) => {
+    const sensor = stationData.sensors.find(s => s.id === req.params.id);
+    if (!sensor) {
+        return res.status(404).json({ error: 'Capteur non trouvé' });
+    }
+    res.json({
+        ...normalizePlausibility(sensor.plausibility),
+        effectiveLimits: getPhysicalLimits(sensor),
+        quarantined: stationData.quarantine.filter(entry => entry.sensorId === sensor.id).length
+    });
+});
+
+// POST /api/quarantine/:id/accept - Valeur légitime: ajoutée à l'historique
+app.post('/api/quarantine/:id/accept', (req, res) => {
+    try {
+        const entry = stationData.quarantine.find(e => e.id === req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Valeur en quarantaine non trouvée' });
+        }
+
+        const sensor = acceptQuarantinedValue(entry);
+        if (!sensor) {
+            return res.status(404).json({ error: 'Capteur non trouvé' });
+        }
+        removeQuarantineEntries(e => e.id === entry.id);
+
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
+        io.emit('quarantine_update', { action: 'accepted', entry });
+
+        console.log(`✅ ${sensor.name}: valeur ${entry.value} acceptée après revue`);
+        res.json({ message: 'Valeur ajoutée à l\'historique', entry });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/quarantine/:id/discard - Valeur aberrante écartée définitivement
+app.post('/api/quarantine/:id/discard', (req, res) => {
+    try {
+        const [entry] = removeQuarantineEntries(e => e.id === req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'Valeur en quarantaine non trouvée' });
+        }
+
         stationData.lastSaved = new Date().toISOString();
         saveDataToFile();
-        
-        if (mqttClient && mqttClient.connected) {
-            // Si topic ou QoS changé, se réabonner
-            if (oldTopic !== req.body.topic || oldQos !== req.body.mqttQos) {
-                mqttClient.unsubscribe(oldTopic);
-                mqttClient.subscribe(req.body.topic, { qos: req.body.mqttQos || 1 });
-                console.log(`📡 Réabonné: ${req.body.topic} (QoS: ${req.body.mqttQos || 1})`);
-            }
-        }
-        
-        io.emit('sensor_updated', stationData.sensors[sensorIndex]);
-        res.json(stationData.sensors[sensorIndex]);
+        io.emit('quarantine_update', { action: 'discarded', entry });
+
+        res.json({ message: 'Valeur écartée', entry });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-app.delete('/api/sensors/:id', (req, res) => {
+// DELETE /api/quarantine?sensorId= - Écarte toutes les valeurs (d'un capteur)
+app.delete('/api/quarantine', (req, res) => {
     try {
-        const sensorIndex = stationData.sensors.findIndex(s => s.id === req.params.id);
-        if (sensorIndex === -1) {
-            return res.status(404).json({ error: 'Capteur non trouvé' });
-        }
-        
-        const sensor = stationData.sensors[sensorIndex];
-        
-        if (mqttClient && mqttClient.connected) {
-            mqttClient.unsubscribe(sensor.topic);
-        }
-        
-        stationData.sensors.splice(sensorIndex, 1);
-        delete stationData.sensorHistory[req.params.id];
-        
+        const removed = removeQuarantineEntries(entry => !req.query.sensorId || entry.sensorId === req.query.sensorId);
+
         stationData.lastSaved = new Date().toISOString();
         saveDataToFile();
-        io.emit('sensor_deleted', req.params.id);
-        
-        res.json({ message: 'Capteur supprimé' });
+        io.emit('quarantine_update', { action: 'cleared', sensorId: req.query.sensorId || null });
+
+        res.json({ message: `${removed.length} valeur(s) écartée(s)`, discarded: removed.length });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
 // ============================================================================
-// NOUVELLES API RÉSERVOIRS AVEC SUPPORT JSON CHIRPSTACK COMPLET
+// CAPTEURS NON NUMÉRIQUES (BOOLÉEN, ÉTAT, TEXTE, POSITION)
 // ============================================================================
+// valueKind d'un capteur:
+// - numeric (défaut): nombre, seuils min/max, calibration
+// - boolean: contact de porte, détecteur de fuite (trueLabel / falseLabel, trueValues / falseValues)
+// - enum: état parmi une liste (vanne "open"/"closed", statut de dispositif), enumStates: [{ value, label, color }]
+// - text: chaîne libre (message d'état, version de firmware)
+// - location: position GPS { latitude, longitude, altitude? } (voir CARTE DE L'EXPLOITATION)
+// L'historique des capteurs non numériques ne stocke que les changements d'état (frise d'états).
+// Alertes: alertStates (états déclenchant une alerte à l'entrée dans l'état), alertOnChange (tout changement).
 
-// POST /api/reservoirs - AMÉLIORÉ POUR CHIRPSTACK
-app.post('/api/reservoirs', (req, res) => {
-    try {
-        // Validations JSONPath pour tous les topics
-        const validations = [
-            { field: 'isJsonPayloadLevel', pathField: 'jsonPathLevel' },
-            { field: 'isJsonPayloadPump', pathField: 'jsonPathPump' },
-            { field: 'isJsonPayloadFill', pathField: 'jsonPathFill' },
-            { field: 'isJsonPayloadMode', pathField: 'jsonPathMode' }
-        ];
-        
-        for (const validation of validations) {
-            if (req.body[validation.field] && req.body[validation.pathField]) {
-                if (!validateJSONPath(req.body[validation.pathField])) {
-                    return res.status(400).json({ 
-                        error: `JSONPath invalide pour ${validation.pathField}. Format attendu: object.field ou data[0].value` 
-                    });
-                }
+const SENSOR_VALUE_KINDS = ['numeric', 'boolean', 'enum', 'text', 'location'];
+const BOOLEAN_TRUE_VALUES = ['true', '1', 'on', 'yes', 'oui', 'open', 'opened', 'ouvert', 'alarm', 'alarme', 'detected', 'leak', 'wet'];
+const BOOLEAN_FALSE_VALUES = ['false', '0', 'off', 'no', 'non', 'closed', 'close', 'fermé', 'ferme', 'ok', 'normal', 'dry', 'none'];
+const SENSOR_TEXT_MAX_LENGTH = 500;
+
+function getSensorValueKind(sensor) {
+    return sensor.valueKind || 'numeric';
+}
+
+function isStateSensor(sensor) {
+    return ['boolean', 'enum', 'text'].includes(getSensorValueKind(sensor));
+}
+
+function isNumericSensor(sensor) {
+    return getSensorValueKind(sensor) === 'numeric';
+}
+
+/**
+ * Convertit la valeur extraite selon le type de valeur du capteur: { value } ou { error }
+ */
+function coerceSensorValue(sensor, extractedValue) {
+    if (extractedValue === null || extractedValue === undefined) {
+        return { error: 'Valeur absente' };
+    }
+    
+    switch (getSensorValueKind(sensor)) {
+        case 'boolean': {
+            if (typeof extractedValue === 'boolean') return { value: extractedValue };
+            if (typeof extractedValue === 'number') return { value: extractedValue !== 0 };
+            
+            const text = String(extractedValue).trim().toLowerCase();
+            const matches = list => Array.isArray(list) && list.some(item => String(item).trim().toLowerCase() === text);
+            // Valeurs personnalisées prioritaires sur les valeurs usuelles
+            if (matches(sensor.trueValues)) return { value: true };
+            if (matches(sensor.falseValues)) return { value: false };
+            if (BOOLEAN_TRUE_VALUES.includes(text)) return { value: true };
+            if (BOOLEAN_FALSE_VALUES.includes(text)) return { value: false };
+            if (text !== '' && !isNaN(Number(text))) return { value: Number(text) !== 0 };
+            return { error: `Valeur non booléenne: ${JSON.stringify(extractedValue)}` };
+        }
+        case 'enum': {
+            if (typeof extractedValue === 'object') {
+                return { error: `État attendu, objet reçu: ${JSON.stringify(extractedValue).substring(0, 100)}` };
             }
+            const value = String(extractedValue).trim();
+            return value === '' ? { error: 'État vide' } : { value };
         }
+        case 'text': {
+            const value = typeof extractedValue === 'object' ? JSON.stringify(extractedValue) : String(extractedValue);
+            return { value: value.substring(0, SENSOR_TEXT_MAX_LENGTH) };
+        }
+        case 'location': {
+            const location = parseLocation(extractedValue);
+            return location
+                ? { value: location }
+                : { error: `Position invalide: ${JSON.stringify(extractedValue).substring(0, 100)}` };
+        }
+        default: {
+            const value = typeof extractedValue === 'string' ? parseFloat(extractedValue) : extractedValue;
+            if (typeof value !== 'number' || isNaN(value)) {
+                return { error: `Valeur non numérique: ${JSON.stringify(extractedValue)} (${typeof extractedValue})` };
+            }
+            return { value };
+        }
+    }
+}
+
+/**
+ * Libellé affichable d'un état (labels booléens, libellés d'énumération)
+ */
+function getSensorStateLabel(sensor, value) {
+    if (value === null || value === undefined) return null;
+    
+    switch (getSensorValueKind(sensor)) {
+        case 'boolean':
+            return value ? (sensor.trueLabel || 'Vrai') : (sensor.falseLabel || 'Faux');
+        case 'enum': {
+            const state = (sensor.enumStates || []).find(s => String(s.value) === String(value));
+            return state && state.label ? state.label : String(value);
+        }
+        case 'location':
+            return formatLocation(value);
+        default:
+            return String(value);
+    }
+}
+
+function isSensorAlertState(sensor, value) {
+    return Array.isArray(sensor.alertStates) && sensor.alertStates.some(state => String(state) === String(value));
+}
+
+/**
+ * Valide la configuration de type de valeur d'un capteur (création / modification)
+ * existing: capteur actuel (modification) pour les champs non fournis
+ */
+function validateSensorValueConfig(body, existing = {}) {
+    const valueKind = body.valueKind !== undefined ? body.valueKind : (existing.valueKind || 'numeric');
+    if (!SENSOR_VALUE_KINDS.includes(valueKind)) {
+        return `Type de valeur inconnu: ${valueKind} (${SENSOR_VALUE_KINDS.join(', ')})`;
+    }
+    
+    for (const field of ['trueValues', 'falseValues', 'alertStates', 'enumStates']) {
+        if (body[field] !== undefined && body[field] !== null && !Array.isArray(body[field])) {
+            return `${field} doit être une liste`;
+        }
+    }
+    for (const field of ['trueLabel', 'falseLabel']) {
+        if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+            return `${field} doit être un texte`;
+        }
+    }
+    
+    if (Array.isArray(body.enumStates)) {
+        for (const state of body.enumStates) {
+            if (!state || !['string', 'number'].includes(typeof state.value) || String(state.value).trim() === '') {
+                return 'Chaque état doit avoir une valeur: { value, label?, color? }';
+            }
+            if (state.color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(state.color)) {
+                return `Couleur invalide pour l'état ${state.value}: ${state.color} (attendu #rrggbb)`;
+            }
+        }
+    }
+    
+    const alertStates = body.alertStates !== undefined ? body.alertStates : existing.alertStates;
+    if (valueKind === 'boolean' && Array.isArray(alertStates) && alertStates.some(state => typeof state !== 'boolean')) {
+        return 'alertStates d\'un capteur booléen: true et/ou false';
+    }
+    
+    const transforms = body.transforms !== undefined ? body.transforms : existing.transforms;
+    if (valueKind !== 'numeric' && Array.isArray(transforms) && transforms.length > 0) {
+        return 'La calibration ne s\'applique qu\'aux capteurs numériques';
+    }
+    
+    if (valueKind === 'location') {
+        return validateLocationPaths(body, existing);
+    }
+    
+    return null;
+}
+
+/**
+ * Historique d'un capteur d'état sur la période: changements d'état, précédés de l'état
+ * en cours au début de la période (la frise commence ainsi au bon état)
+ */
+function filterStateHistoryByPeriod(history, period) {
+    const startTime = getPeriodStartTime(period);
+    const inPeriod = [];
+    let previous = null;
+    
+    history.forEach(record => {
+        if (new Date(record.timestamp) >= startTime) {
+            inPeriod.push(record);
+        } else {
+            previous = record;
+        }
+    });
+    
+    if (previous) {
+        inPeriod.unshift({ ...previous, timestamp: startTime, carriedOver: true });
+    }
+    
+    return inPeriod.map(record => ({
+        timestamp: record.timestamp,
+        value: record.value,
+        formattedTime: formatTimeForChart(new Date(record.timestamp), period),
+        receivedTimestamp: record.receivedTimestamp || null,
+        ...(record.carriedOver ? { carriedOver: true } : {})
+    }));
+}
+
+/**
+ * Historique d'un capteur pour les graphiques, selon son type de valeur
+ */
+function getSensorChartHistory(sensor, period, points) {
+    const history = stationData.sensorHistory[sensor.id] || [];
+    return isStateSensor(sensor)
+        ? filterStateHistoryByPeriod(history, period)
+        : filterHistoryByPeriod(history, period, points);
+}
+
+function getSensorChartInfo(sensor) {
+    return {
+        id: sensor.id,
+        name: sensor.name,
+        type: sensor.type,
+        unit: sensor.unit,
+        color: sensor.color,
+        valueKind: getSensorValueKind(sensor),
+        trueLabel: sensor.trueLabel,
+        falseLabel: sensor.falseLabel,
+        enumStates: sensor.enumStates
+    };
+}
+
+/**
+ * Nouvelle valeur d'un capteur d'état: historique et alertes sur changement d'état uniquement
+ */
+function handleSensorStateData(sensor, value, receivedTimestamp = null, context = createLiveContext()) {
+    const previousValue = sensor.value;
+    const hadState = Boolean(sensor.stateSince);
+    const changed = !hadState || previousValue !== value;
+    const now = new Date();
+    
+    sensor.value = value;
+    sensor.lastUpdate = now;
+    if (receivedTimestamp && sensor.showReceivedTimestamp) {
+        sensor.receivedTimestamp = receivedTimestamp;
+    }
+    
+    const inAlert = isSensorAlertState(sensor, value);
+    sensor.status = inAlert ? 'warning' : 'online';
+    markEntityReported('sensor', sensor, context);
+    
+    if (changed) {
+        sensor.stateSince = now;
         
-        const reservoir = {
-            id: Date.now().toString(),
-            ...req.body,
-            
-            // États par défaut
-            currentLevel: 50,
-            pumpStatus: false,
-            isAutoMode: true,
-            lastUpdate: new Date(),
-            receivedTimestamp: null,
-            
-            // Propriétés JSON par défaut si non spécifiées - Topic Niveau
-            isJsonPayloadLevel: req.body.isJsonPayloadLevel || false,
-            jsonPathLevel: req.body.jsonPathLevel || '',
-            jsonFormatLevel: req.body.jsonFormatLevel || 'chirpstack_receive',
-            mqttQosLevel: req.body.mqttQosLevel || 1,
-            
-            // Topic Pompe
-            isJsonPayloadPump: req.body.isJsonPayloadPump || false,
-            jsonPathPump: req.body.jsonPathPump || '',
-            jsonFormatPump: req.body.jsonFormatPump || 'chirpstack_send',
-            mqttQosPump: req.body.mqttQosPump || 1,
-            
-            // Topic Remplissage
-            isJsonPayloadFill: req.body.isJsonPayloadFill || false,
-            jsonPathFill: req.body.jsonPathFill || '',
-            jsonFormatFill: req.body.jsonFormatFill || 'chirpstack_send',
-            mqttQosFill: req.body.mqttQosFill || 1,
-            
-            // Topic Mode
-            isJsonPayloadMode: req.body.isJsonPayloadMode || false,
-            jsonPathMode: req.body.jsonPathMode || '',
-            jsonFormatMode: req.body.jsonFormatMode || 'chirpstack_send',
-            mqttQosMode: req.body.mqttQosMode || 1,
-            
-            showReceivedTimestamp: req.body.showReceivedTimestamp || false
-        };
-        
-        stationData.reservoirs.push(reservoir);
-        stationData.lastSaved = new Date().toISOString();
-        saveDataToFile();
+        if (!context.data.sensorHistory[sensor.id]) {
+            context.data.sensorHistory[sensor.id] = [];
+        }
+        const historyEntry = { timestamp: now, value };
+        if (receivedTimestamp && sensor.showReceivedTimestamp) {
+            historyEntry.receivedTimestamp = receivedTimestamp;
+        }
+        context.data.sensorHistory[sensor.id].push(historyEntry);
+        if (context.data.sensorHistory[sensor.id].length > HISTORY_MAX_ENTRIES) {
+            context.data.sensorHistory[sensor.id].shift();
+        }
         
-        if (!stationData.reservoirHistory[reservoir.id]) {
-            stationData.reservoirHistory[reservoir.id] = [];
+        // Entrée dans un état d'alerte (y compris à la première mesure: fuite déjà présente)
+        if (inAlert || (sensor.alertOnChange && hadState)) {
+            console.log(`🔔 ${sensor.name}: ${getSensorStateLabel(sensor, previousValue) || '?'} → ${getSensorStateLabel(sensor, value)}`);
+            context.emit('alert', {
+                type: inAlert ? 'state_alert' : 'state_change',
+                sensor: sensor.name,
+                value,
+                label: getSensorStateLabel(sensor, value),
+                previousValue: hadState ? previousValue : null
+            });
+        }
+    }
+    
+    const updateData = {
+        id: sensor.id,
+        value,
+        label: getSensorStateLabel(sensor, value),
+        status: sensor.status,
+        timestamp: sensor.lastUpdate,
+        stateSince: sensor.stateSince
+    };
+    if (receivedTimestamp && sensor.showReceivedTimestamp) {
+        updateData.receivedTimestamp = receivedTimestamp;
+    }
+    context.emit('sensor_realtime_update', updateData);
+    
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
+}
+
+// ============================================================================
+// CARTE DE L'EXPLOITATION (POSITIONS GPS, TUILES HORS LIGNE, ORTHOPHOTO)
+// ============================================================================
+// Position d'un capteur:
+// - capteur "location": position mesurée { latitude, longitude, altitude? }, chaque point est historisé (trace)
+//   Valeur extraite: objet (latitude/lat, longitude/lon/lng, altitude/alt, GeoJSON Point), [lat, lon] ou "lat,lon"
+//   ou champs séparés via latitudePath / longitudePath (altitudePath) dans le payload JSON ou décodé (gps_3 Cayenne LPP)
+// - tout capteur ou réservoir: position fixe "location" placée sur la carte
+// Fond de carte: tuiles de config.mapTileUrl servies par /api/map/tiles et conservées sur disque
+// (consultables hors ligne une fois affichées), ou orthophoto de l'exploitation avec ses limites géographiques.
+
+const MAP_DEFAULT_TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const MAP_TILE_MAX_ZOOM = 22;
+const MAP_TILE_TIMEOUT_MS = 10000;
+const MAP_ORTHOPHOTO_MAX_SIZE = '25mb';
+const MAP_IMAGE_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+const LOCATION_DECIMALS = 7;
+
+function toCoordinate(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Position normalisée { latitude, longitude, altitude? } ou null si invalide (0,0 = pas de fix GPS)
+ */
+function parseLocation(input) {
+    let latitude = null;
+    let longitude = null;
+    let altitude = null;
+    
+    if (typeof input === 'string') {
+        const parts = input.trim().split(/\s*[,;]\s*|\s+/).filter(Boolean);
+        if (parts.length < 2 || parts.length > 3) return null;
+        [latitude, longitude, altitude = null] = parts.map(toCoordinate);
+    } else if (Array.isArray(input)) {
+        if (input.length < 2 || input.length > 3) return null;
+        [latitude, longitude, altitude = null] = input.map(toCoordinate);
+    } else if (input && typeof input === 'object') {
+        if (input.type === 'Point' && Array.isArray(input.coordinates)) {
+            // GeoJSON: [longitude, latitude, altitude?]
+            [longitude, latitude, altitude = null] = input.coordinates.map(toCoordinate);
+        } else {
+            latitude = toCoordinate(input.latitude !== undefined ? input.latitude : input.lat);
+            longitude = toCoordinate([input.longitude, input.lon, input.lng, input.long].find(v => v !== undefined));
+            altitude = toCoordinate(input.altitude !== undefined ? input.altitude : input.alt);
+        }
+    } else {
+        return null;
+    }
+    
+    if (latitude === null || longitude === null) return null;
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) return null;
+    if (latitude === 0 && longitude === 0) return null;
+    
+    const factor = Math.pow(10, LOCATION_DECIMALS);
+    const location = {
+        latitude: Math.round(latitude * factor) / factor,
+        longitude: Math.round(longitude * factor) / factor
+    };
+    if (altitude !== null) location.altitude = altitude;
+    return location;
+}
+
+function formatLocation(location) {
+    if (!location) return null;
+    return `${location.latitude.toFixed(5)}, ${location.longitude.toFixed(5)}`;
+}
+
+function hasLocationPaths(sensor) {
+    return getSensorValueKind(sensor) === 'location' && Boolean(sensor.latitudePath && sensor.longitudePath);
+}
+
+function extractLocationFromPaths(sensor, document) {
+    const location = {
+        latitude: extractValueFromJSON(document, sensor.latitudePath),
+        longitude: extractValueFromJSON(document, sensor.longitudePath)
+    };
+    if (sensor.altitudePath) {
+        location.altitude = extractValueFromJSON(document, sensor.altitudePath);
+    }
+    return location;
+}
+
+function validateLocationPaths(body, existing = {}) {
+    for (const field of ['latitudePath', 'longitudePath', 'altitudePath']) {
+        if (body[field] && !validateJSONPath(body[field])) {
+            return `JSONPath invalide pour ${field}: ${getJSONPathError(body[field])}`;
+        }
+    }
+    
+    const latitudePath = body.latitudePath !== undefined ? body.latitudePath : existing.latitudePath;
+    const longitudePath = body.longitudePath !== undefined ? body.longitudePath : existing.longitudePath;
+    if (Boolean(latitudePath) !== Boolean(longitudePath)) {
+        return 'latitudePath et longitudePath doivent être renseignés ensemble';
+    }
+    
+    return null;
+}
+
+/**
+ * Valide et normalise la position fixe d'un capteur / réservoir (body.location, null = retirer)
+ */
+function normalizeStaticLocation(body) {
+    if (body.location === undefined || body.location === null) return null;
+    
+    const location = parseLocation(body.location);
+    if (!location) {
+        return 'Position invalide. Attendu: { latitude (-90..90), longitude (-180..180) }';
+    }
+    body.location = location;
+    return null;
+}
+
+/**
+ * Position affichée sur la carte: dernière position mesurée, sinon position fixe
+ */
+function getEntityPosition(entity) {
+    if (entity.valueKind === 'location' && entity.value && typeof entity.value === 'object') {
+        return entity.value;
+    }
+    return entity.location || null;
+}
+
+// Distance entre deux positions (mètres, formule de haversine)
+function getLocationDistance(from, to) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLatitude = toRadians(to.latitude - from.latitude);
+    const dLongitude = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLatitude / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLongitude / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Nouvelle position d'un capteur GPS: chaque point est historisé pour la lecture de trace
+ */
+function handleSensorLocationData(sensor, location, receivedTimestamp = null, context = createLiveContext()) {
+    sensor.value = location;
+    sensor.lastUpdate = new Date();
+    sensor.status = 'online';
+    markEntityReported('sensor', sensor, context);
+    
+    if (receivedTimestamp && sensor.showReceivedTimestamp) {
+        sensor.receivedTimestamp = receivedTimestamp;
+    }
+    
+    if (!context.data.sensorHistory[sensor.id]) {
+        context.data.sensorHistory[sensor.id] = [];
+    }
+    const historyEntry = { timestamp: sensor.lastUpdate, value: location };
+    if (receivedTimestamp && sensor.showReceivedTimestamp) {
+        historyEntry.receivedTimestamp = receivedTimestamp;
+    }
+    context.data.sensorHistory[sensor.id].push(historyEntry);
+    if (context.data.sensorHistory[sensor.id].length > HISTORY_MAX_ENTRIES) {
+        context.data.sensorHistory[sensor.id].shift();
+    }
+    
+    const updateData = {
+        id: sensor.id,
+        value: location,
+        label: formatLocation(location),
+        status: sensor.status,
+        timestamp: sensor.lastUpdate
+    };
+    if (receivedTimestamp && sensor.showReceivedTimestamp) {
+        updateData.receivedTimestamp = receivedTimestamp;
+    }
+    context.emit('sensor_realtime_update', updateData);
+    
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
+}
+
+function getImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+    if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'png';
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8) return 'jpeg';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+function validateTileUrl(url) {
+    return typeof url === 'string' && /^https?:\/\//.test(url) && ['{z}', '{x}', '{y}'].every(part => url.includes(part));
+}
+
+// Un répertoire de cache par source de tuiles (changer de fond ne mélange pas les tuiles)
+function getTileFile(z, x, y) {
+    const source = crypto.createHash('sha1').update(stationData.config.mapTileUrl).digest('hex').substring(0, 12);
+    return path.join(CONFIG.MAP_DIR, 'tiles', source, String(z), String(x), `${y}.tile`);
+}
+
+/**
+ * Tuile du fond de carte: cache disque d'abord (hors ligne), sinon téléchargement et mise en cache
+ */
+async function getMapTile(z, x, y) {
+    const file = getTileFile(z, x, y);
+    try {
+        const cached = await fs.readFile(file);
+        // Fichier mis en cache avant le contrôle du contenu (page d'erreur...): retéléchargé
+        if (getImageType(cached)) return cached;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+    
+    const url = stationData.config.mapTileUrl
+        .replace('{s}', 'abc'[(x + y) % 3])
+        .replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    const response = await fetch(url, {
+        headers: { 'User-Agent': 'Station-Agricole-Pro/1.0 (cache de tuiles)' },
+        signal: AbortSignal.timeout(MAP_TILE_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Serveur de tuiles: HTTP ${response.status}`);
+    }
+    
+    const tile = Buffer.from(await response.arrayBuffer());
+    // Certains serveurs répondent 200 avec une page HTML (quota, clé d'API): jamais mise en cache
+    if (!getImageType(tile)) {
+        throw new Error(`Serveur de tuiles: réponse non image (${response.headers.get('content-type') || 'type inconnu'})`);
+    }
+    if (stationData.config.mapTileCacheEnabled) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, tile);
+    }
+    return tile;
+}
+
+function getOrthophotoFile(orthophoto) {
+    return path.join(CONFIG.MAP_DIR, orthophoto.file);
+}
+
+/**
+ * Limites géographiques de l'orthophoto: { north, south, east, west } ou { error }
+ */
+function parseOrthophotoBounds(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Limites de l\'orthophoto requises: north, south, east, west' };
+    }
+    
+    const bounds = {};
+    for (const side of ['north', 'south', 'east', 'west']) {
+        bounds[side] = toCoordinate(input[side]);
+        if (bounds[side] === null) {
+            return { error: `Limite ${side} manquante ou invalide` };
         }
+    }
+    if (bounds.north > 90 || bounds.south < -90 || bounds.north <= bounds.south) {
+        return { error: 'Latitudes invalides (north > south, -90..90)' };
+    }
+    if (bounds.east > 180 || bounds.west < -180 || bounds.east <= bounds.west) {
+        return { error: 'Longitudes invalides (east > west, -180..180)' };
+    }
+    return { bounds };
+}
+
+function getMapConfig() {
+    const orthophoto = stationData.config.mapOrthophoto;
+    return {
+        tileUrl: '/api/map/tiles/{z}/{x}/{y}.png',
+        mapTileUrl: stationData.config.mapTileUrl,
+        mapTileCacheEnabled: stationData.config.mapTileCacheEnabled,
+        maxZoom: MAP_TILE_MAX_ZOOM,
+        orthophoto: orthophoto ? {
+            url: `/api/map/orthophoto?v=${new Date(orthophoto.uploadedAt).getTime()}`,
+            bounds: orthophoto.bounds,
+            size: orthophoto.size,
+            uploadedAt: orthophoto.uploadedAt
+        } : null
+    };
+}
+
+// GET /api/map - Fond de carte et capteurs / réservoirs géolocalisés
+app.get('/api/map', (req, res) => {
+    try {
+        const sensors = stationData.sensors
+            .filter(sensor => getEntityPosition(sensor))
+            .map(sensor => ({
+                id: sensor.id,
+                name: sensor.name,
+                type: sensor.type,
+                icon: sensor.icon,
+                color: sensor.color,
+                unit: sensor.unit,
+                valueKind: getSensorValueKind(sensor),
+                value: sensor.value,
+                label: isNumericSensor(sensor) ? null : getSensorStateLabel(sensor, sensor.value),
+                status: sensor.status,
+                lastUpdate: sensor.lastUpdate,
+                position: getEntityPosition(sensor),
+                tracked: getSensorValueKind(sensor) === 'location'
+            }));
         
-        if (mqttClient && mqttClient.connected) {
-            // S'abonner à tous les topics avec leurs QoS respectifs
-            mqttClient.subscribe(reservoir.topic, { qos: reservoir.mqttQosLevel });
-            console.log(`📡 Abonné niveau réservoir: ${reservoir.topic} (QoS: ${reservoir.mqttQosLevel}, Format: ${reservoir.jsonFormatLevel})`);
-            
-            if (reservoir.pumpTopic) {
-                mqttClient.subscribe(reservoir.pumpTopic, { qos: reservoir.mqttQosPump });
-                console.log(`📡 Abonné pompe: ${reservoir.pumpTopic} (QoS: ${reservoir.mqttQosPump}, Format: ${reservoir.jsonFormatPump})`);
-            }
-            
-            if (reservoir.fillTopic) {
-                mqttClient.subscribe(reservoir.fillTopic, { qos: reservoir.mqttQosFill });
-                console.log(`📡 Abonné remplissage: ${reservoir.fillTopic} (QoS: ${reservoir.mqttQosFill}, Format: ${reservoir.jsonFormatFill})`);
-            }
-            
-            if (reservoir.modeTopic) {
-                mqttClient.subscribe(reservoir.modeTopic, { qos: reservoir.mqttQosMode });
-                console.log(`📡 Abonné mode: ${reservoir.modeTopic} (QoS: ${reservoir.mqttQosMode}, Format: ${reservoir.jsonFormatMode})`);
-            }
-        }
+        const reservoirs = stationData.reservoirs
+            .filter(reservoir => reservoir.location)
+            .map(reservoir => ({
+                id: reservoir.id,
+                name: reservoir.name,
+                icon: reservoir.icon,
+                color: reservoir.color,
+                currentLevel: reservoir.currentLevel,
+                pumpStatus: reservoir.pumpStatus,
+                lastUpdate: reservoir.lastUpdate,
+                position: reservoir.location
+            }));
         
-        io.emit('reservoir_added', reservoir);
-        res.json(reservoir);
+        res.json({ ...getMapConfig(), sensors, reservoirs });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// PUT /api/reservoirs/:id - AMÉLIORÉ POUR CHIRPSTACK
-app.put('/api/reservoirs/:id', (req, res) => {
+// PUT /api/map/config - Body: { mapTileUrl?, mapTileCacheEnabled?, orthophotoBounds? }
+app.put('/api/map/config', (req, res) => {
     try {
-        const reservoirIndex = stationData.reservoirs.findIndex(r => r.id === req.params.id);
-        if (reservoirIndex === -1) {
-            return res.status(404).json({ error: 'Réservoir non trouvé' });
-        }
+        const { mapTileUrl, mapTileCacheEnabled, orthophotoBounds } = req.body;
         
-        // Validations JSONPath pour tous les topics
-        const validations = [
-            { field: 'isJsonPayloadLevel', pathField: 'jsonPathLevel' },
-            { field: 'isJsonPayloadPump', pathField: 'jsonPathPump' },
-            { field: 'isJsonPayloadFill', pathField: 'jsonPathFill' },
-            { field: 'isJsonPayloadMode', pathField: 'jsonPathMode' }
-        ];
+        if (mapTileUrl !== undefined && !validateTileUrl(mapTileUrl)) {
+            return res.status(400).json({ error: 'URL de tuiles invalide. Exemple: https://tile.openstreetmap.org/{z}/{x}/{y}.png' });
+        }
         
-        for (const validation of validations) {
-            if (req.body[validation.field] && req.body[validation.pathField]) {
-                if (!validateJSONPath(req.body[validation.pathField])) {
-                    return res.status(400).json({ 
-                        error: `JSONPath invalide pour ${validation.pathField}` 
-                    });
-                }
+        let bounds = null;
+        if (orthophotoBounds !== undefined) {
+            if (!stationData.config.mapOrthophoto) {
+                return res.status(404).json({ error: 'Aucune orthophoto importée' });
             }
+            const parsed = parseOrthophotoBounds(orthophotoBounds);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+            bounds = parsed.bounds;
         }
         
-        const oldReservoir = stationData.reservoirs[reservoirIndex];
-        
-        stationData.reservoirs[reservoirIndex] = { 
-            ...oldReservoir, 
-            ...req.body,
-            lastUpdate: new Date()
-        };
+        if (mapTileUrl !== undefined) stationData.config.mapTileUrl = mapTileUrl;
+        if (mapTileCacheEnabled !== undefined) stationData.config.mapTileCacheEnabled = Boolean(mapTileCacheEnabled);
+        if (bounds) stationData.config.mapOrthophoto.bounds = bounds;
         
-        stationData.lastSaved = new Date().toISOString();
         saveDataToFile();
-        
-        if (mqttClient && mqttClient.connected) {
-            // Réabonnement si topics ou QoS ont changé
-            const topicsToCheck = [
-                { oldTopic: oldReservoir.topic, newTopic: req.body.topic, oldQos: oldReservoir.mqttQosLevel, newQos: req.body.mqttQosLevel },
-                { oldTopic: oldReservoir.pumpTopic, newTopic: req.body.pumpTopic, oldQos: oldReservoir.mqttQosPump, newQos: req.body.mqttQosPump },
-                { oldTopic: oldReservoir.fillTopic, newTopic: req.body.fillTopic, oldQos: oldReservoir.mqttQosFill, newQos: req.body.mqttQosFill },
-                { oldTopic: oldReservoir.modeTopic, newTopic: req.body.modeTopic, oldQos: oldReservoir.mqttQosMode, newQos: req.body.mqttQosMode }
-            ];
-            
-            topicsToCheck.forEach(({ oldTopic, newTopic, oldQos, newQos }) => {
-                if (oldTopic && (oldTopic !== newTopic || oldQos !== newQos)) {
-                    mqttClient.unsubscribe(oldTopic);
-                }
-                if (newTopic && (oldTopic !== newTopic || oldQos !== newQos)) {
-                    mqttClient.subscribe(newTopic, { qos: newQos || 1 });
-                    console.log(`📡 Réabonné réservoir: ${newTopic} (QoS: ${newQos || 1})`);
-                }
-            });
-        }
-        
-        io.emit('reservoir_updated', stationData.reservoirs[reservoirIndex]);
-        res.json(stationData.reservoirs[reservoirIndex]);
+        io.emit('map_updated', getMapConfig());
+        res.json(getMapConfig());
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// DELETE /api/reservoirs/:id - AMÉLIORÉ
-app.delete('/api/reservoirs/:id', (req, res) => {
+// GET /api/map/tiles/:z/:x/:y.png - Tuile du fond de carte (cache disque, hors ligne)
+app.get('/api/map/tiles/:z/:x/:y.png', async (req, res) => {
+    const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+    if (![z, x, y].every(Number.isInteger) || z < 0 || z > MAP_TILE_MAX_ZOOM || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+        return res.status(400).json({ error: 'Coordonnées de tuile invalides' });
+    }
+    
     try {
-        const reservoirIndex = stationData.reservoirs.findIndex(r => r.id === req.params.id);
-        if (reservoirIndex === -1) {
-            return res.status(404).json({ error: 'Réservoir non trouvé' });
-        }
-        
-        const reservoir = stationData.reservoirs[reservoirIndex];
-        
-        if (mqttClient && mqttClient.connected) {
-            // Désabonnement de tous les topics
-            mqttClient.unsubscribe(reservoir.topic);
-            if (reservoir.pumpTopic) mqttClient.unsubscribe(reservoir.pumpTopic);
-            if (reservoir.fillTopic) mqttClient.unsubscribe(reservoir.fillTopic);
-            if (reservoir.modeTopic) mqttClient.unsubscribe(reservoir.modeTopic);
-        }
-        
-        stationData.reservoirs.splice(reservoirIndex, 1);
-        delete stationData.reservoirHistory[req.params.id];
-        
-        stationData.lastSaved = new Date().toISOString();
-        saveDataToFile();
-        io.emit('reservoir_deleted', req.params.id);
-        
-        res.json({ message: 'Réservoir supprimé' });
+        const tile = await getMapTile(z, x, y);
+        res.type(MAP_IMAGE_TYPES[getImageType(tile)] || 'application/octet-stream');
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.send(tile);
+    } catch (error) {
+        // Hors ligne et tuile jamais affichée: le navigateur garde une case vide
+        res.status(504).json({ error: `Tuile indisponible: ${error.message}` });
+    }
+});
+
+// DELETE /api/map/tiles - Vide le cache de tuiles
+app.delete('/api/map/tiles', async (req, res) => {
+    try {
+        await fs.rm(path.join(CONFIG.MAP_DIR, 'tiles'), { recursive: true, force: true });
+        console.log('🗺️ Cache de tuiles vidé');
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST /api/reservoirs/:id/pump - AMÉLIORÉ CHIRPSTACK
-app.post('/api/reservoirs/:id/pump', (req, res) => {
+// POST /api/map/orthophoto?north=&south=&east=&west= - Body: image PNG / JPEG / WebP
+app.post('/api/map/orthophoto', express.raw({ type: 'image/*', limit: MAP_ORTHOPHOTO_MAX_SIZE }), async (req, res) => {
     try {
-        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
-        if (!reservoir) {
-            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        const imageType = getImageType(Buffer.isBuffer(req.body) ? req.body : null);
+        if (!imageType) {
+            return res.status(400).json({ error: 'Image attendue (PNG, JPEG ou WebP)' });
         }
         
-        if (!reservoir.pumpTopic) {
-            return res.status(400).json({ error: 'Aucun topic de pompe configuré' });
-        }
-        
-        const { action } = req.body;
-        const newStatus = (action === 'start');
-        
-        let payload;
-        if (reservoir.isJsonPayloadPump) {
-            if (reservoir.jsonFormatPump === 'chirpstack_send') {
-                // Format ChirpStack envoi
-                payload = createChirpStackSendPayload(newStatus ? '1' : '0');
-            } else {
-                // Format simple
-                payload = JSON.stringify({ value: newStatus ? '1' : '0' });
-            }
-        } else {
-            // Format normal
-            payload = newStatus ? '1' : '0';
+        const parsed = parseOrthophotoBounds(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
         }
         
-        if (mqttClient && mqttClient.connected) {
-            mqttClient.publish(reservoir.pumpTopic, payload, { qos: reservoir.mqttQosPump });
-            console.log(`🔧 Pompe ${reservoir.name}: ${action} (${payload})`);
+        const previous = stationData.config.mapOrthophoto;
+        const file = `orthophoto.${imageType === 'jpeg' ? 'jpg' : imageType}`;
+        await fs.mkdir(CONFIG.MAP_DIR, { recursive: true });
+        await fs.writeFile(path.join(CONFIG.MAP_DIR, file), req.body);
+        if (previous && previous.file !== file) {
+            await fs.rm(getOrthophotoFile(previous), { force: true });
         }
         
-        reservoir.pumpStatus = newStatus;
-        reservoir.lastUpdate = new Date();
-        stationData.lastSaved = new Date().toISOString();
+        stationData.config.mapOrthophoto = {
+            file,
+            type: imageType,
+            bounds: parsed.bounds,
+            size: req.body.length,
+            uploadedAt: new Date().toISOString()
+        };
         saveDataToFile();
         
-        io.emit('reservoir_pump_changed', {
-            id: reservoir.id,
-            pumpStatus: reservoir.pumpStatus
-        });
-        
-        res.json({ success: true, pumpStatus: reservoir.pumpStatus });
+        console.log(`🗺️ Orthophoto importée: ${file} (${Math.round(req.body.length / 1024)} Ko)`);
+        io.emit('map_updated', getMapConfig());
+        res.status(201).json(getMapConfig());
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST /api/reservoirs/:id/fill - AMÉLIORÉ CHIRPSTACK
-app.post('/api/reservoirs/:id/fill', (req, res) => {
+app.get('/api/map/orthophoto', async (req, res) => {
     try {
-        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
-        if (!reservoir) {
-            return res.status(404).json({ error: 'Réservoir non trouvé' });
-        }
-        
-        let payload;
-        if (reservoir.fillTopic) {
-            if (reservoir.isJsonPayloadFill) {
-                if (reservoir.jsonFormatFill === 'chirpstack_send') {
-                    // Format ChirpStack envoi
-                    payload = createChirpStackSendPayload('1');
-                } else {
-                    // Format simple
-                    payload = JSON.stringify({ value: '1' });
-                }
-            } else {
-                // Format normal
-                payload = '1';
-            }
-            
-            if (mqttClient && mqttClient.connected) {
-                mqttClient.publish(reservoir.fillTopic, payload, { qos: reservoir.mqttQosFill });
-                console.log(`🔄 Remplissage ${reservoir.name} (${payload})`);
-            }
-        } else {
-            // Simulation locale si pas de topic
-            reservoir.currentLevel = 100;
-            reservoir.lastUpdate = new Date();
-            stationData.lastSaved = new Date().toISOString();
-            saveDataToFile();
-            
-            io.emit('reservoir_realtime_update', {
-                id: reservoir.id,
-                level: reservoir.currentLevel,
-                timestamp: reservoir.lastUpdate
-            });
+        const orthophoto = stationData.config.mapOrthophoto;
+        if (!orthophoto) {
+            return res.status(404).json({ error: 'Aucune orthophoto importée' });
         }
         
-        res.json({ success: true });
+        res.type(MAP_IMAGE_TYPES[orthophoto.type]);
+        res.send(await fs.readFile(getOrthophotoFile(orthophoto)));
     } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Fichier de l\'orthophoto introuvable' });
+        }
         res.status(500).json({ error: error.message });
     }
 });
 
-// POST /api/reservoirs/:id/mode - AMÉLIORÉ CHIRPSTACK
-app.post('/api/reservoirs/:id/mode', (req, res) => {
+app.delete('/api/map/orthophoto', async (req, res) => {
     try {
-        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
-        if (!reservoir) {
-            return res.status(404).json({ error: 'Réservoir non trouvé' });
-        }
-        
-        const { mode } = req.body; // 'auto' ou 'manual'
-        const newAutoMode = (mode === 'auto');
-        
-        if (reservoir.modeTopic) {
-            let payload;
-            if (reservoir.isJsonPayloadMode) {
-                if (reservoir.jsonFormatMode === 'chirpstack_send') {
-                    // Format ChirpStack envoi
-                    payload = createChirpStackSendPayload(mode);
-                } else {
-                    // Format simple
-                    payload = JSON.stringify({ mode: mode });
-                }
-            } else {
-                // Format normal
-                payload = mode;
-            }
-            
-            if (mqttClient && mqttClient.connected) {
-                mqttClient.publish(reservoir.modeTopic, payload, { qos: reservoir.mqttQosMode });
-                console.log(`🎛️ Mode ${reservoir.name}: ${mode} (${payload})`);
-            }
+        const orthophoto = stationData.config.mapOrthophoto;
+        if (!orthophoto) {
+            return res.status(404).json({ error: 'Aucune orthophoto importée' });
         }
         
-        reservoir.isAutoMode = newAutoMode;
-        reservoir.lastUpdate = new Date();
-        stationData.lastSaved = new Date().toISOString();
+        await fs.rm(getOrthophotoFile(orthophoto), { force: true });
+        stationData.config.mapOrthophoto = null;
         saveDataToFile();
         
-        io.emit('reservoir_mode_changed', {
-            id: reservoir.id,
-            isAutoMode: reservoir.isAutoMode,
-            mode: mode
-        });
-        
-        res.json({ 
-            success: true, 
-            isAutoMode: reservoir.isAutoMode,
-            mode: mode
-        });
+        io.emit('map_updated', getMapConfig());
+        res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// ============================================================================
-// API GRAPHIQUES (CONSERVÉE)
-// ============================================================================
-
-app.get('/api/sensors/:id/history', (req, res) => {
+// GET /api/sensors/:id/track?period=24h - Trace d'un capteur GPS sur la période (lecture de trajet)
+app.get('/api/sensors/:id/track', (req, res) => {
     try {
-        const { period = '1h', points = 50 } = req.query;
+        const { period = '24h' } = req.query;
         const sensor = stationData.sensors.find(s => s.id === req.params.id);
         
         if (!sensor) {
             return res.status(404).json({ error: 'Capteur non trouvé' });
         }
-
-        const history = stationData.sensorHistory[req.params.id] || [];
-        const filteredHistory = filterHistoryByPeriod(history, period, parseInt(points));
-        
-        res.json({
-            sensor: {
-                id: sensor.id,
-                name: sensor.name,
-                type: sensor.type,
-                unit: sensor.unit,
-                color: sensor.color
-            },
-            data: filteredHistory,
-            period,
-            totalPoints: history.length
-        });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-app.get('/api/charts/sensors/compare', (req, res) => {
-    try {
-        const { ids, period = '1h', points = 50 } = req.query;
-        const sensorIds = ids.split(',');
-        
-        const compareData = sensorIds.map(id => {
-            const sensor = stationData.sensors.find(s => s.id === id);
-            if (!sensor) return null;
-            
-            const history = stationData.sensorHistory[id] || [];
-            const filteredHistory = filterHistoryByPeriod(history, period, parseInt(points));
-            
-            return {
-                sensor: {
-                    id: sensor.id,
-                    name: sensor.name,
-                    type: sensor.type,
-                    unit: sensor.unit,
-                    color: sensor.color
-                },
-                data: filteredHistory
-            };
-        }).filter(Boolean);
+        if (getSensorValueKind(sensor) !== 'location') {
+            return res.status(400).json({ error: 'Trace disponible uniquement pour les capteurs de position' });
+        }
         
-        res.json({
-            sensors: compareData,
-            period,
-            points: parseInt(points)
-        });
-    } catch (error) {
-        res.status(500).json({ error: error.message });
-    }
-});
-
-// API Historique réservoirs
-app.get('/api/reservoirs/:id/history', (req, res) => {
-    try {
-        const { period = '1h', points = 50 } = req.query;
-        const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+        const history = stationData.sensorHistory[sensor.id] || [];
+        const points = filterHistoryByPeriod(history, period, HISTORY_MAX_ENTRIES)
+            .filter(point => point.value && typeof point.value === 'object')
+            .map(point => ({ timestamp: point.timestamp, ...point.value }));
         
-        if (!reservoir) {
-            return res.status(404).json({ error: 'Réservoir non trouvé' });
+        let distance = 0;
+        for (let i = 1; i < points.length; i++) {
+            distance += getLocationDistance(points[i - 1], points[i]);
         }
-
-        const history = stationData.reservoirHistory[req.params.id] || [];
-        const filteredHistory = filterHistoryByPeriod(history, period, parseInt(points));
         
         res.json({
-            reservoir: {
-                id: reservoir.id,
-                name: reservoir.name,
-                capacity: reservoir.capacity,
-                color: reservoir.color
-            },
-            data: filteredHistory,
+            sensor: { id: sensor.id, name: sensor.name, color: sensor.color },
             period,
-            totalPoints: history.length
+            points,
+            distanceMeters: Math.round(distance)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -740,290 +9001,278 @@ app.get('/api/reservoirs/:id/history', (req, res) => {
 });
 
 // ============================================================================
-// CONNEXION MQTT FLEXIBLE POUR CAPTEURS + RÉSERVOIRS CHIRPSTACK
+// SURVEILLANCE DES DONNÉES ANCIENNES (WATCHDOG) ET DISPONIBILITÉ
 // ============================================================================
+// Chaque capteur / réservoir peut déclarer son intervalle d'émission attendu
+// (expectedIntervalMs: null = config.watchdogDefaultIntervalMs, 0 = non surveillé).
+// Sans donnée depuis:
+// - intervalle × config.watchdogStaleFactor   -> status 'stale' (données anciennes)
+// - intervalle × config.watchdogOfflineFactor -> status 'offline'
+// Chaque transition, puis le retour des données, est diffusée par une alerte stale_data.
+// Les silences sont conservés dans stationData.outages ({ [id]: [{ start, end, offline }] })
+// pour calculer la disponibilité d'un capteur sur une période.
 
-function connectMQTT() {
-    console.log(`🔌 Connexion au broker MQTT: ${CONFIG.MQTT_BROKER}`);
-    
-    mqttClient = mqtt.connect(CONFIG.MQTT_BROKER, {
-        keepalive: 60,
-        reconnectPeriod: 5000,
-        clientId: `station_agricole_chirpstack_complete_${Date.now()}`
-    });
+const WATCHDOG_CHECK_INTERVAL_MS = 30000;
+const OUTAGES_MAX_ENTRIES = 500; // Silences conservés par capteur / réservoir
 
-    mqttClient.on('connect', () => {
-        console.log('✅ MQTT Broker connecté');
-        console.log('🔧 Mode flexible: ChirpStack + JSON + Normal supportés');
-        
-        // S'abonner à tous les topics des capteurs avec leur QoS
-        const sensorTopicGroups = {};
-        
-        stationData.sensors.forEach(sensor => {
-            const qos = sensor.mqttQos || 1;
-            if (!sensorTopicGroups[qos]) {
-                sensorTopicGroups[qos] = [];
-            }
-            sensorTopicGroups[qos].push(sensor.topic);
-        });
-        
-        // S'abonner par groupe de QoS pour capteurs
-        Object.keys(sensorTopicGroups).forEach(qos => {
-            const topics = sensorTopicGroups[qos];
-            topics.forEach(topic => {
-                mqttClient.subscribe(topic, { qos: parseInt(qos) });
-            });
-            console.log(`📡 Capteurs: ${topics.length} topics avec QoS ${qos}`);
-        });
-        
-        // S'abonner aux topics des réservoirs avec leurs QoS respectifs
-        stationData.reservoirs.forEach(reservoir => {
-            // Topic niveau (obligatoire)
-            mqttClient.subscribe(reservoir.topic, { qos: reservoir.mqttQosLevel || 1 });
-            console.log(`📡 Réservoir ${reservoir.name} - Niveau: ${reservoir.topic} (QoS: ${reservoir.mqttQosLevel || 1}, Format: ${reservoir.jsonFormatLevel})`);
-            
-            // Topic pompe (optionnel)
-            if (reservoir.pumpTopic) {
-                mqttClient.subscribe(reservoir.pumpTopic, { qos: reservoir.mqttQosPump || 1 });
-                console.log(`📡 Réservoir ${reservoir.name} - Pompe: ${reservoir.pumpTopic} (QoS: ${reservoir.mqttQosPump || 1}, Format: ${reservoir.jsonFormatPump})`);
-            }
-            
-            // Topic remplissage (optionnel)
-            if (reservoir.fillTopic) {
-                mqttClient.subscribe(reservoir.fillTopic, { qos: reservoir.mqttQosFill || 1 });
-                console.log(`📡 Réservoir ${reservoir.name} - Remplissage: ${reservoir.fillTopic} (QoS: ${reservoir.mqttQosFill || 1}, Format: ${reservoir.jsonFormatFill})`);
-            }
-            
-            // Topic mode (optionnel)
-            if (reservoir.modeTopic) {
-                mqttClient.subscribe(reservoir.modeTopic, { qos: reservoir.mqttQosMode || 1 });
-                console.log(`📡 Réservoir ${reservoir.name} - Mode: ${reservoir.modeTopic} (QoS: ${reservoir.mqttQosMode || 1}, Format: ${reservoir.jsonFormatMode})`);
-            }
-        });
-        
-        io.emit('mqtt_status', { connected: true });
-    });
+function validateExpectedInterval(value) {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(value) || value < 0) {
+        return 'Intervalle attendu invalide (ms, entier >= 0, null = valeur par défaut)';
+    }
+    return null;
+}
 
-    mqttClient.on('message', (topic, message, packet) => {
-        try {
-            const receivedTimestamp = new Date();
-            const messageStr = message.toString();
-            
-            console.log(`📨 Message reçu sur ${topic}: ${messageStr.substring(0, 100)}${messageStr.length > 100 ? '...' : ''}`);
-            
-            // Traitement des capteurs (amélioré pour ChirpStack)
-            const relatedSensors = stationData.sensors.filter(s => s.topic === topic);
-            
-            if (relatedSensors.length > 0) {
-                relatedSensors.forEach(sensor => {
-                    let extractedValue = null;
-                    
-                    if (sensor.isJsonPayload) {
-                        // TRAITEMENT JSON avec JSONPath et formats ChirpStack
-                        try {
-                            const jsonData = JSON.parse(messageStr);
-                            console.log(`🔍 Parsing JSON pour capteur ${sensor.name}:`);
-                            console.log(`   Format: ${sensor.jsonFormat}`);
-                            console.log(`   JSONPath: ${sensor.jsonPath}`);
-                            
-                            // Détection automatique du format si non spécifié
-                            let actualFormat = sensor.jsonFormat;
-                            if (!actualFormat || actualFormat === 'auto') {
-                                if (isChirpStackReceiveFormat(jsonData)) {
-                                    actualFormat = 'chirpstack_receive';
-                                } else if (isChirpStackSendFormat(jsonData)) {
-                                    actualFormat = 'chirpstack_send';
-                                } else {
-                                    actualFormat = 'simple';
-                                }
-                                console.log(`   Format détecté: ${actualFormat}`);
-                            }
-                            
-                            extractedValue = extractValueFromJSON(jsonData, sensor.jsonPath);
-                            console.log(`   Valeur extraite: ${extractedValue}`);
-                            
-                            if (extractedValue === null || extractedValue === undefined) {
-                                console.log(`⚠️ Impossible d'extraire la valeur avec JSONPath: ${sensor.jsonPath}`);
-                                return;
-                            }
-                            
-                            // Convertir en nombre si possible
-                            if (typeof extractedValue === 'string') {
-                                const numValue = parseFloat(extractedValue);
-                                if (!isNaN(numValue)) {
-                                    extractedValue = numValue;
-                                }
-                            }
-                            
-                            if (typeof extractedValue !== 'number') {
-                                console.log(`⚠️ Valeur extraite n'est pas numérique: ${extractedValue} (${typeof extractedValue})`);
-                                return;
-                            }
-                            
-                        } catch (jsonError) {
-                            console.error(`❌ Erreur parsing JSON pour capteur ${sensor.name}:`, jsonError);
-                            return;
-                        }
-                    } else {
-                        // TRAITEMENT NORMAL (valeur simple)
-                        extractedValue = parseFloat(messageStr);
-                        if (isNaN(extractedValue)) {
-                            console.log(`⚠️ Valeur non numérique pour capteur normal ${sensor.name}: ${messageStr}`);
-                            return;
-                        }
-                    }
-                    
-                    // Mettre à jour le capteur avec la valeur extraite
-                    console.log(`📊 Mise à jour capteur ${sensor.name}: ${extractedValue} ${sensor.unit}`);
-                    handleSensorData(sensor, extractedValue, receivedTimestamp);
-                });
-                return;
-            }
-            
-            // Traitement des réservoirs (AMÉLIORÉ POUR CHIRPSTACK)
-            const relatedReservoirs = stationData.reservoirs.filter(r => 
-                r.topic === topic || r.pumpTopic === topic || r.fillTopic === topic || r.modeTopic === topic
-            );
-            
-            if (relatedReservoirs.length > 0) {
-                relatedReservoirs.forEach(reservoir => {
-                    if (reservoir.topic === topic) {
-                        // Topic niveau
-                        handleReservoirTopicMessage(reservoir, messageStr, 'level', receivedTimestamp);
-                        
-                    } else if (reservoir.pumpTopic === topic) {
-                        // Topic pompe - état retour
-                        handleReservoirTopicMessage(reservoir, messageStr, 'pump', receivedTimestamp);
-                        
-                    } else if (reservoir.modeTopic === topic) {
-                        // Topic mode - manuel/automatique
-                        handleReservoirTopicMessage(reservoir, messageStr, 'mode', receivedTimestamp);
-                    }
-                });
-                return;
-            }
-            
-            console.log(`⚠️ Aucun dispositif trouvé pour le topic: ${topic}`);
-            
-        } catch (error) {
-            console.error('❌ Erreur traitement message MQTT:', error);
-            console.error(`❌ Topic: ${topic}, Message: ${message.toString()}`);
-        }
-    });
+function validateWatchdogConfig(config) {
+    if (!Number.isInteger(config.watchdogDefaultIntervalMs) || config.watchdogDefaultIntervalMs < 0) {
+        return 'Intervalle attendu par défaut invalide (ms, entier >= 0)';
+    }
+    if (!(config.watchdogStaleFactor >= 1) || !(config.watchdogOfflineFactor > config.watchdogStaleFactor)) {
+        return 'Facteurs de surveillance invalides (données anciennes >= 1, hors ligne > données anciennes)';
+    }
+    return null;
+}
+
+function getExpectedInterval(entity, context = createLiveContext()) {
+    if (entity.expectedIntervalMs !== undefined && entity.expectedIntervalMs !== null) return entity.expectedIntervalMs;
+    return context.data.config.watchdogDefaultIntervalMs || 0;
+}
+
+/**
+ * État de silence attendu d'après la dernière donnée reçue: null, 'stale' ou 'offline'
+ */
+function getSilenceStatus(entity, now) {
+    const interval = getExpectedInterval(entity);
+    if (!(interval > 0) || !entity.lastDataAt) return null;
 
-    mqttClient.on('error', (error) => {
-        console.error('❌ Erreur MQTT:', error);
-        io.emit('mqtt_status', { connected: false, error: error.message });
+    const silentForMs = now - new Date(entity.lastDataAt).getTime();
+    if (silentForMs >= interval * stationData.config.watchdogOfflineFactor) return 'offline';
+    if (silentForMs >= interval * stationData.config.watchdogStaleFactor) return 'stale';
+    return null;
+}
+
+function getOpenOutage(entityId, context = createLiveContext()) {
+    const outages = context.data.outages[entityId] || [];
+    const last = outages[outages.length - 1];
+    return last && !last.end ? last : null;
+}
+
+function emitEntityStatus(entityType, entity, context = createLiveContext()) {
+    context.emit('entity_status_update', {
+        entityType,
+        id: entity.id,
+        status: entity.status,
+        lastDataAt: entity.lastDataAt,
+        silentSince: entity.silentSince
     });
+}
 
-    mqttClient.on('reconnect', () => {
-        console.log('🔄 Reconnexion MQTT...');
+function emitStaleAlert(entityType, entity, silentForMs, recovered = false, context = createLiveContext()) {
+    context.emit('alert', {
+        type: 'stale_data',
+        [entityType]: entity.name,
+        entityType,
+        id: entity.id,
+        status: entity.status,
+        recovered,
+        lastDataAt: entity.lastDataAt,
+        expectedIntervalMs: getExpectedInterval(entity, context),
+        silentForMs
     });
 }
 
-// ============================================================================
-// NOUVELLE FONCTION DE TRAITEMENT DES MESSAGES RÉSERVOIRS CHIRPSTACK
-// ============================================================================
+/**
+ * Fin de silence: clôture du silence en cours (sans changer le statut)
+ */
+function closeEntitySilence(entity, now, context = createLiveContext()) {
+    const outage = getOpenOutage(entity.id, context);
+    if (outage) outage.end = now;
+    entity.silentSince = null;
+}
 
-function handleReservoirTopicMessage(reservoir, messageStr, topicType, receivedTimestamp) {
-    const topicConfig = {
-        level: {
-            isJson: reservoir.isJsonPayloadLevel,
-            jsonPath: reservoir.jsonPathLevel,
-            jsonFormat: reservoir.jsonFormatLevel
-        },
-        pump: {
-            isJson: reservoir.isJsonPayloadPump,
-            jsonPath: reservoir.jsonPathPump,
-            jsonFormat: reservoir.jsonFormatPump
-        },
-        mode: {
-            isJson: reservoir.isJsonPayloadMode,
-            jsonPath: reservoir.jsonPathMode,
-            jsonFormat: reservoir.jsonFormatMode
-        }
-    };
-    
-    const config = topicConfig[topicType];
-    if (!config) return;
-    
-    let extractedValue = null;
-    
-    if (config.isJson) {
-        try {
-            const jsonData = JSON.parse(messageStr);
-            console.log(`🔍 Parsing JSON ${topicType} pour réservoir ${reservoir.name}:`);
-            console.log(`   Format: ${config.jsonFormat}`);
-            console.log(`   JSONPath: ${config.jsonPath}`);
-            
-            // Détection automatique du format si non spécifié
-            let actualFormat = config.jsonFormat;
-            if (!actualFormat || actualFormat === 'auto') {
-                if (isChirpStackReceiveFormat(jsonData)) {
-                    actualFormat = 'chirpstack_receive';
-                } else if (isChirpStackSendFormat(jsonData)) {
-                    actualFormat = 'chirpstack_send';
-                } else {
-                    actualFormat = 'simple';
-                }
-                console.log(`   Format détecté: ${actualFormat}`);
-            }
-            
-            extractedValue = extractValueFromJSON(jsonData, config.jsonPath);
-            console.log(`   Valeur extraite: ${extractedValue}`);
-            
-            if (extractedValue === null || extractedValue === undefined) {
-                console.log(`⚠️ Impossible d'extraire la valeur ${topicType} avec JSONPath: ${config.jsonPath}`);
-                return;
+/**
+ * Donnée reçue d'un capteur / réservoir (appelé par les fonctions de traitement,
+ * qui fixent elles-mêmes le nouveau statut)
+ */
+function markEntityReported(entityType, entity, context = createLiveContext()) {
+    const now = new Date();
+    const previousDataAt = entity.lastDataAt;
+    entity.lastDataAt = now;
+
+    if (!entity.silentSince) return;
+
+    closeEntitySilence(entity, now, context);
+    const silentForMs = previousDataAt ? now - new Date(previousDataAt).getTime() : null;
+    console.log(`📶 ${entity.name}: données reçues après ${Math.round((silentForMs || 0) / 60000)} min de silence`);
+    emitStaleAlert(entityType, entity, silentForMs, true, context);
+}
+
+/**
+ * Passe en 'stale' puis 'offline' les capteurs et réservoirs silencieux
+ */
+function checkStaleEntities() {
+    const now = Date.now();
+    let changed = false;
+
+    const checkEntity = (entityType, entity) => {
+        const silence = getSilenceStatus(entity, now);
+
+        // Surveillance désactivée ou intervalle allongé pendant un silence
+        if (!silence) {
+            if (entity.silentSince) {
+                closeEntitySilence(entity, new Date(now));
+                entity.status = entity.lastDataAt ? 'online' : 'offline';
+                emitEntityStatus(entityType, entity);
+                changed = true;
             }
-            
-        } catch (error) {
-            console.error(`❌ Erreur parsing JSON ${topicType} réservoir ${reservoir.name}:`, error);
             return;
         }
-    } else {
-        extractedValue = messageStr.trim();
-    }
-    
-    // Traitement selon le type de topic
-    switch (topicType) {
-        case 'level':
-            const levelValue = parseFloat(extractedValue);
-            if (!isNaN(levelValue)) {
-                console.log(`🫗 Mise à jour niveau ${reservoir.name}: ${levelValue}%`);
-                handleReservoirLevelData(reservoir, levelValue, receivedTimestamp);
+        if (entity.silentSince && entity.status === silence) return;
+
+        // Début du silence: instant où la donnée est devenue ancienne (même si la vérification est plus tardive)
+        if (!entity.silentSince) {
+            const interval = getExpectedInterval(entity);
+            entity.silentSince = new Date(new Date(entity.lastDataAt).getTime() + interval * stationData.config.watchdogStaleFactor);
+
+            if (!stationData.outages[entity.id]) {
+                stationData.outages[entity.id] = [];
             }
-            break;
-            
-        case 'pump':
-            let pumpStatus;
-            if (typeof extractedValue === 'string') {
-                pumpStatus = (extractedValue === '1' || extractedValue.toLowerCase() === 'true');
-            } else if (typeof extractedValue === 'number') {
-                pumpStatus = (extractedValue === 1);
-            } else {
-                pumpStatus = Boolean(extractedValue);
+            stationData.outages[entity.id].push({ start: entity.silentSince, end: null, offline: false });
+            if (stationData.outages[entity.id].length > OUTAGES_MAX_ENTRIES) {
+                stationData.outages[entity.id].shift();
             }
-            console.log(`🔧 État pompe ${reservoir.name}: ${pumpStatus ? 'ON' : 'OFF'}`);
-            handleReservoirPumpData(reservoir, pumpStatus, receivedTimestamp);
-            break;
-            
-        case 'mode':
-            const isAutoMode = (extractedValue === 'auto' || extractedValue === 'automatic');
-            console.log(`🎛️ Mode ${reservoir.name}: ${isAutoMode ? 'AUTOMATIQUE' : 'MANUEL'}`);
-            handleReservoirModeData(reservoir, isAutoMode, receivedTimestamp);
-            break;
+        }
+        if (silence === 'offline') {
+            const outage = getOpenOutage(entity.id);
+            if (outage) outage.offline = true;
+        }
+
+        entity.status = silence;
+        const silentForMs = now - new Date(entity.lastDataAt).getTime();
+        console.log(`⏱️ ${entity.name}: ${silence === 'offline' ? 'hors ligne' : 'données anciennes'} (aucune donnée depuis ${Math.round(silentForMs / 60000)} min)`);
+        emitStaleAlert(entityType, entity, silentForMs);
+        emitEntityStatus(entityType, entity);
+        changed = true;
+    };
+
+    stationData.sensors.forEach(sensor => checkEntity('sensor', sensor));
+    stationData.reservoirs.forEach(reservoir => checkEntity('reservoir', reservoir));
+
+    if (changed) {
+        stationData.lastSaved = new Date().toISOString();
+        saveDataToFile();
     }
 }
 
+/**
+ * Disponibilité sur la période: part du temps sans silence anormal
+ */
+function getEntityAvailability(entity, period) {
+    const now = Date.now();
+    const periodStart = getPeriodStartTime(period).getTime();
+    const interval = getExpectedInterval(entity);
+
+    let downtimeMs = 0;
+    const outages = (stationData.outages[entity.id] || [])
+        .filter(outage => (outage.end ? new Date(outage.end).getTime() : now) > periodStart)
+        .map(outage => {
+            const start = new Date(outage.start).getTime();
+            const end = outage.end ? new Date(outage.end).getTime() : now;
+            downtimeMs += end - Math.max(start, periodStart);
+            return { ...outage, durationMs: end - start };
+        });
+
+    // Jamais reçu de donnée, ou pas surveillé sur la période: pas de mesure possible
+    const measurable = Boolean(entity.lastDataAt) && (interval > 0 || outages.length > 0);
+
+    return {
+        id: entity.id,
+        name: entity.name,
+        period,
+        monitored: interval > 0,
+        expectedIntervalMs: interval,
+        status: entity.status,
+        lastDataAt: entity.lastDataAt || null,
+        availabilityPercent: measurable
+            ? Math.round((1 - downtimeMs / (now - periodStart)) * 1000) / 10
+            : null,
+        downtimeMs,
+        outages
+    };
+}
+
+// GET /api/sensors/:id/availability?period=24h - Disponibilité et silences d'un capteur
+app.get('/api/sensors/:id/availability', (req, res) => {
+    const sensor = stationData.sensors.find(s => s.id === req.params.id);
+    if (!sensor) {
+        return res.status(404).json({ error: 'Capteur non trouvé' });
+    }
+    res.json(getEntityAvailability(sensor, req.query.period || '24h'));
+});
+
+// GET /api/reservoirs/:id/availability?period=24h - Disponibilité et silences d'un réservoir
+app.get('/api/reservoirs/:id/availability', (req, res) => {
+    const reservoir = stationData.reservoirs.find(r => r.id === req.params.id);
+    if (!reservoir) {
+        return res.status(404).json({ error: 'Réservoir non trouvé' });
+    }
+    res.json(getEntityAvailability(reservoir, req.query.period || '24h'));
+});
+
+// GET /api/availability?period=7d - Disponibilité de tous les capteurs et réservoirs
+app.get('/api/availability', (req, res) => {
+    const period = req.query.period || '24h';
+    res.json({
+        period,
+        sensors: stationData.sensors.map(sensor => getEntityAvailability(sensor, period)),
+        reservoirs: stationData.reservoirs.map(reservoir => getEntityAvailability(reservoir, period))
+    });
+});
+
 // ============================================================================
 // TRAITEMENT DES DONNÉES CAPTEURS (CONSERVÉ)
 // ============================================================================
 
-function handleSensorData(sensor, value, receivedTimestamp = null) {
+function handleSensorData(sensor, rawValue, receivedTimestamp = null, context = createLiveContext()) {
+    // Booléen / état / texte: stockage et alertes par changement d'état
+    if (isStateSensor(sensor)) {
+        handleSensorStateData(sensor, rawValue, receivedTimestamp, context);
+        return;
+    }
+    
+    // Position GPS: chaque point est conservé (trace)
+    if (getSensorValueKind(sensor) === 'location') {
+        handleSensorLocationData(sensor, rawValue, receivedTimestamp, context);
+        return;
+    }
+    
+    const hasTransforms = Array.isArray(sensor.transforms) && sensor.transforms.length > 0;
+    
+    // Plausibilité avant lissage: une valeur aberrante n'entre ni dans les moyennes glissantes,
+    // ni dans l'historique, ni dans les alertes
+    const checkedValue = hasTransforms ? applyTransformPipeline(sensor.transforms, rawValue) : rawValue;
+    const violations = checkSensorPlausibility(sensor, checkedValue, Date.now(), context);
+    if (violations.length > 0) {
+        // Le dispositif a bien émis: valeur refusée mais capteur en ligne pour le watchdog
+        markEntityReported('sensor', sensor, context);
+        if (sensor.status !== 'online') {
+            sensor.status = 'online';
+            emitEntityStatus('sensor', sensor, context);
+        }
+        quarantineSensorValue(sensor, checkedValue, rawValue, violations, receivedTimestamp, context);
+        return;
+    }
+    
+    // Calibration / transformations (la valeur brute est conservée)
+    const value = applySensorTransforms(sensor, rawValue, context);
+    
     sensor.value = value;
+    if (hasTransforms) {
+        sensor.rawValue = rawValue;
+    }
     sensor.lastUpdate = new Date();
     sensor.status = 'online';
+    markEntityReported('sensor', sensor, context);
     
     // Ajouter timestamp de réception si configuré
     if (receivedTimestamp && sensor.showReceivedTimestamp) {
@@ -1033,7 +9282,7 @@ function handleSensorData(sensor, value, receivedTimestamp = null) {
     // Vérification des seuils
     if (sensor.minValue !== null && value < sensor.minValue) {
         sensor.status = 'warning';
-        io.emit('alert', {
+        context.emit('alert', {
             type: 'low_threshold',
             sensor: sensor.name,
             value,
@@ -1041,7 +9290,7 @@ function handleSensorData(sensor, value, receivedTimestamp = null) {
         });
     } else if (sensor.maxValue !== null && value > sensor.maxValue) {
         sensor.status = 'warning';
-        io.emit('alert', {
+        context.emit('alert', {
             type: 'high_threshold',
             sensor: sensor.name,
             value,
@@ -1050,8 +9299,8 @@ function handleSensorData(sensor, value, receivedTimestamp = null) {
     }
     
     // Historique
-    if (!stationData.sensorHistory[sensor.id]) {
-        stationData.sensorHistory[sensor.id] = [];
+    if (!context.data.sensorHistory[sensor.id]) {
+        context.data.sensorHistory[sensor.id] = [];
     }
     
     const historyEntry = {
@@ -1059,16 +9308,21 @@ function handleSensorData(sensor, value, receivedTimestamp = null) {
         value
     };
     
+    // Valeur brute conservée pour pouvoir corriger la calibration et recalculer
+    if (hasTransforms) {
+        historyEntry.rawValue = rawValue;
+    }
+    
     // Ajouter receivedTimestamp à l'historique si activé
     if (receivedTimestamp && sensor.showReceivedTimestamp) {
         historyEntry.receivedTimestamp = receivedTimestamp;
     }
     
-    stationData.sensorHistory[sensor.id].push(historyEntry);
+    context.data.sensorHistory[sensor.id].push(historyEntry);
     
     // Garder max 1000 points
-    if (stationData.sensorHistory[sensor.id].length > 1000) {
-        stationData.sensorHistory[sensor.id].shift();
+    if (context.data.sensorHistory[sensor.id].length > 1000) {
+        context.data.sensorHistory[sensor.id].shift();
     }
     
     // Diffusion temps réel
@@ -1079,24 +9333,30 @@ function handleSensorData(sensor, value, receivedTimestamp = null) {
         timestamp: sensor.lastUpdate
     };
     
+    if (hasTransforms) {
+        updateData.rawValue = rawValue;
+    }
+    
     // Ajouter receivedTimestamp si configuré
     if (receivedTimestamp && sensor.showReceivedTimestamp) {
         updateData.receivedTimestamp = receivedTimestamp;
     }
     
-    io.emit('sensor_realtime_update', updateData);
+    context.emit('sensor_realtime_update', updateData);
     
-    stationData.lastSaved = new Date().toISOString();
-    saveDataToFile();
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
 }
 
 // ============================================================================
 // FONCTIONS DE TRAITEMENT DES DONNÉES RÉSERVOIRS (CONSERVÉES)
 // ============================================================================
 
-function handleReservoirLevelData(reservoir, level, receivedTimestamp = null) {
+function handleReservoirLevelData(reservoir, level, receivedTimestamp = null, context = createLiveContext()) {
     reservoir.currentLevel = Math.max(0, Math.min(100, level));
     reservoir.lastUpdate = new Date();
+    reservoir.status = 'online';
+    markEntityReported('reservoir', reservoir, context);
     
     // Ajouter timestamp de réception si configuré
     if (receivedTimestamp && reservoir.showReceivedTimestamp) {
@@ -1105,7 +9365,7 @@ function handleReservoirLevelData(reservoir, level, receivedTimestamp = null) {
     
     // Vérification du seuil bas
     if (reservoir.currentLevel <= reservoir.lowThreshold) {
-        io.emit('alert', {
+        context.emit('alert', {
             type: 'low_level',
             reservoir: reservoir.name,
             level: reservoir.currentLevel,
@@ -1114,8 +9374,8 @@ function handleReservoirLevelData(reservoir, level, receivedTimestamp = null) {
     }
     
     // Historique
-    if (!stationData.reservoirHistory[reservoir.id]) {
-        stationData.reservoirHistory[reservoir.id] = [];
+    if (!context.data.reservoirHistory[reservoir.id]) {
+        context.data.reservoirHistory[reservoir.id] = [];
     }
     
     const historyEntry = {
@@ -1128,17 +9388,18 @@ function handleReservoirLevelData(reservoir, level, receivedTimestamp = null) {
         historyEntry.receivedTimestamp = receivedTimestamp;
     }
     
-    stationData.reservoirHistory[reservoir.id].push(historyEntry);
+    context.data.reservoirHistory[reservoir.id].push(historyEntry);
     
     // Garder max 1000 points
-    if (stationData.reservoirHistory[reservoir.id].length > 1000) {
-        stationData.reservoirHistory[reservoir.id].shift();
+    if (context.data.reservoirHistory[reservoir.id].length > 1000) {
+        context.data.reservoirHistory[reservoir.id].shift();
     }
     
     // Diffusion temps réel
     const updateData = {
         id: reservoir.id,
         level: reservoir.currentLevel,
+        status: reservoir.status,
         timestamp: reservoir.lastUpdate
     };
     
@@ -1147,13 +9408,14 @@ function handleReservoirLevelData(reservoir, level, receivedTimestamp = null) {
         updateData.receivedTimestamp = receivedTimestamp;
     }
     
-    io.emit('reservoir_realtime_update', updateData);
+    context.emit('reservoir_realtime_update', updateData);
     
-    stationData.lastSaved = new Date().toISOString();
-    saveDataToFile();
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
 }
 
-function handleReservoirPumpData(reservoir, pumpStatus, receivedTimestamp = null) {
+function handleReservoirPumpData(reservoir, pumpStatus, receivedTimestamp = null, context = createLiveContext()) {
+    recordShadowReported(reservoir, 'pump', pumpStatus, receivedTimestamp, context);
     reservoir.pumpStatus = pumpStatus;
     reservoir.lastUpdate = new Date();
     
@@ -1161,17 +9423,18 @@ function handleReservoirPumpData(reservoir, pumpStatus, receivedTimestamp = null
         reservoir.receivedTimestamp = receivedTimestamp;
     }
     
-    io.emit('reservoir_pump_changed', {
+    context.emit('reservoir_pump_changed', {
         id: reservoir.id,
         pumpStatus: reservoir.pumpStatus,
         timestamp: reservoir.lastUpdate
     });
     
-    stationData.lastSaved = new Date().toISOString();
-    saveDataToFile();
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
 }
 
-function handleReservoirModeData(reservoir, isAutoMode, receivedTimestamp = null) {
+function handleReservoirModeData(reservoir, isAutoMode, receivedTimestamp = null, context = createLiveContext()) {
+    recordShadowReported(reservoir, 'mode', isAutoMode ? 'auto' : 'manual', receivedTimestamp, context);
     reservoir.isAutoMode = isAutoMode;
     reservoir.lastUpdate = new Date();
     
@@ -1179,47 +9442,44 @@ function handleReservoirModeData(reservoir, isAutoMode, receivedTimestamp = null
         reservoir.receivedTimestamp = receivedTimestamp;
     }
     
-    io.emit('reservoir_mode_changed', {
+    context.emit('reservoir_mode_changed', {
         id: reservoir.id,
         isAutoMode: reservoir.isAutoMode,
         mode: isAutoMode ? 'auto' : 'manual',
         timestamp: reservoir.lastUpdate
     });
     
-    stationData.lastSaved = new Date().toISOString();
-    saveDataToFile();
+    context.data.lastSaved = new Date().toISOString();
+    context.save();
 }
 
 // ============================================================================
 // FONCTIONS UTILITAIRES (CONSERVÉES)
 // ============================================================================
 
-function filterHistoryByPeriod(history, period, maxPoints = 50) {
+function getPeriodStartTime(period) {
     const now = new Date();
-    let startTime;
     
     switch (period) {
         case '10m':
-            startTime = new Date(now.getTime() - 10 * 60 * 1000);
-            break;
+            return new Date(now.getTime() - 10 * 60 * 1000);
         case '1h':
-            startTime = new Date(now.getTime() - 60 * 60 * 1000);
-            break;
+            return new Date(now.getTime() - 60 * 60 * 1000);
         case '6h':
-            startTime = new Date(now.getTime() - 6 * 60 * 60 * 1000);
-            break;
+            return new Date(now.getTime() - 6 * 60 * 60 * 1000);
         case '24h':
-            startTime = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-            break;
+            return new Date(now.getTime() - 24 * 60 * 60 * 1000);
         case '7d':
-            startTime = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-            break;
+            return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
         case '30d':
-            startTime = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-            break;
+            return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
         default:
-            startTime = new Date(now.getTime() - 60 * 60 * 1000);
+            return new Date(now.getTime() - 60 * 60 * 1000);
     }
+}
+
+function filterHistoryByPeriod(history, period, maxPoints = 50) {
+    const startTime = getPeriodStartTime(period);
     
     let filteredData = history.filter(record => {
         const recordDate = new Date(record.timestamp);
@@ -1234,6 +9494,7 @@ function filterHistoryByPeriod(history, period, maxPoints = 50) {
     return filteredData.map(record => ({
         timestamp: record.timestamp,
         value: record.value !== undefined ? record.value : record.level,
+        rawValue: record.rawValue !== undefined ? record.rawValue : null,
         formattedTime: formatTimeForChart(new Date(record.timestamp), period),
         receivedTimestamp: record.receivedTimestamp || null
     }));
@@ -1279,67 +9540,28 @@ function formatTimeForChart(date, period) {
 io.on('connection', (socket) => {
     console.log(`👤 Client connecté: ${socket.id}`);
     
-    socket.emit('initial_data', stationData);
+    socket.emit('initial_data', getPublicStationData());
+    
+    // Inspecteur de payloads: flux brut réservé aux clients qui l'affichent
+    socket.on('inspector_subscribe', () => socket.join(INSPECTOR_ROOM));
+    socket.on('inspector_unsubscribe', () => socket.leave(INSPECTOR_ROOM));
     
     socket.on('reservoir_command', (data) => {
-        const { reservoirId, command } = data;
+        const { reservoirId, command, expiresInMs, durationSeconds } = data;
         const reservoir = stationData.reservoirs.find(r => r.id === reservoirId);
+        if (!reservoir) return;
         
-        if (reservoir && mqttClient && mqttClient.connected) {
-            if (command === 'pump_toggle' && reservoir.pumpTopic) {
-                const newStatus = !reservoir.pumpStatus;
-                
-                let payload;
-                if (reservoir.isJsonPayloadPump) {
-                    if (reservoir.jsonFormatPump === 'chirpstack_send') {
-                        payload = createChirpStackSendPayload(newStatus ? '1' : '0');
-                    } else {
-                        payload = JSON.stringify({ value: newStatus ? '1' : '0' });
-                    }
-                } else {
-                    payload = newStatus ? '1' : '0';
-                }
-                
-                mqttClient.publish(reservoir.pumpTopic, payload, { qos: reservoir.mqttQosPump });
-                
-                reservoir.pumpStatus = newStatus;
-                
-                io.emit('reservoir_pump_changed', {
-                    id: reservoirId,
-                    pumpStatus: reservoir.pumpStatus
-                });
-                
-                stationData.lastSaved = new Date().toISOString();
-                saveDataToFile();
-            }
-            
-            if (command === 'mode_toggle' && reservoir.modeTopic) {
-                const newMode = reservoir.isAutoMode ? 'manual' : 'auto';
-                
-                let payload;
-                if (reservoir.isJsonPayloadMode) {
-                    if (reservoir.jsonFormatMode === 'chirpstack_send') {
-                        payload = createChirpStackSendPayload(newMode);
-                    } else {
-                        payload = JSON.stringify({ mode: newMode });
-                    }
-                } else {
-                    payload = newMode;
-                }
-                
-                mqttClient.publish(reservoir.modeTopic, payload, { qos: reservoir.mqttQosMode });
-                
-                reservoir.isAutoMode = !reservoir.isAutoMode;
-                
-                io.emit('reservoir_mode_changed', {
-                    id: reservoirId,
-                    isAutoMode: reservoir.isAutoMode,
-                    mode: newMode
-                });
-                
-                stationData.lastSaved = new Date().toISOString();
-                saveDataToFile();
-            }
+        // Mêmes règles que l'API: commande mise en file, état mis à jour à la publication
+        let result = null;
+        if (command === 'pump_toggle' && (reservoir.pumpTopic || reservoir.modbusPump)) {
+            result = queueReservoirCommand(reservoir, 'pump', !getActuatorToggleState(reservoir, 'pump'), { expiresInMs, durationSeconds });
+        }
+        if (command === 'mode_toggle' && reservoir.modeTopic) {
+            result = queueReservoirCommand(reservoir, 'mode', getActuatorToggleState(reservoir, 'mode') === 'auto' ? 'manual' : 'auto', { expiresInMs });
+        }
+        
+        if (result && result.error) {
+            console.log(`⚠️ Commande ${command} refusée pour ${reservoir.name}: ${result.error}`);
         }
     });
     
@@ -1380,8 +9602,64 @@ async function loadDataFromFile() {
             if (sensor.isJsonPayload === undefined) sensor.isJsonPayload = false;
             if (sensor.jsonPath === undefined) sensor.jsonPath = '';
             if (sensor.jsonFormat === undefined) sensor.jsonFormat = 'chirpstack_receive';
+            if (sensor.byteExtraction === undefined) sensor.byteExtraction = null;
+            // signed enregistré en texte avant la validation: seul "true" est signé
+            if (sensor.byteExtraction && typeof sensor.byteExtraction.signed === 'string') {
+                sensor.byteExtraction.signed = sensor.byteExtraction.signed === 'true';
+            }
+            if (sensor.codec === undefined) sensor.codec = '';
+            if (sensor.transforms === undefined) sensor.transforms = [];
+            if (sensor.valueKind === undefined) sensor.valueKind = 'numeric';
+            if (sensor.alertStates === undefined) sensor.alertStates = [];
+            if (sensor.alertOnChange === undefined) sensor.alertOnChange = false;
+            if (sensor.location === undefined) sensor.location = null;
             if (sensor.showReceivedTimestamp === undefined) sensor.showReceivedTimestamp = false;
             if (sensor.mqttQos === undefined) sensor.mqttQos = 1;
+            if (sensor.connectionId === undefined) sensor.connectionId = DEFAULT_CONNECTION_ID;
+            if (sensor.expectedIntervalMs === undefined) sensor.expectedIntervalMs = null;
+            // Limites physiques du type non activées pour les capteurs existants (opt-in)
+            if (sensor.plausibility === undefined) sensor.plausibility = normalizePlausibility();
+            if (sensor.silentSince === undefined) sensor.silentSince = null;
+            // Dernière donnée: dernière mise à jour des capteurs ayant déjà émis
+            if (sensor.lastDataAt === undefined) sensor.lastDataAt = sensor.status === 'offline' ? null : sensor.lastUpdate;
+        });
+        
+        // Migration: fenêtres de déduplication
+        if (stationData.config.duplicateFCntWindowMs === undefined) stationData.config.duplicateFCntWindowMs = 60000;
+        if (stationData.config.duplicatePayloadWindowMs === undefined) stationData.config.duplicatePayloadWindowMs = 2000;
+        
+        // Migration: broker MQTT embarqué (désactivé par défaut)
+        if (stationData.config.embeddedBrokerEnabled === undefined) stationData.config.embeddedBrokerEnabled = false;
+        if (stationData.config.embeddedBrokerPort === undefined) stationData.config.embeddedBrokerPort = 1883;
+        if (stationData.config.embeddedBrokerUsername === undefined) stationData.config.embeddedBrokerUsername = '';
+        if (stationData.config.embeddedBrokerPassword === undefined) stationData.config.embeddedBrokerPassword = '';
+        if (stationData.config.embeddedBrokerWsEnabled === undefined) stationData.config.embeddedBrokerWsEnabled = false;
+        if (stationData.config.embeddedBrokerWsPort === undefined) stationData.config.embeddedBrokerWsPort = 9001;
+        if (stationData.config.embeddedBrokerUseAsMain === undefined) stationData.config.embeddedBrokerUseAsMain = true;
+        
+        // Migration: file de commandes sortantes
+        if (stationData.config.commandExpiryMs === undefined) stationData.config.commandExpiryMs = 7200000;
+        if (stationData.config.commandAckTimeoutMs === undefined) stationData.config.commandAckTimeoutMs = 900000;
+        
+        // Migration: surveillance des données anciennes
+        if (stationData.config.watchdogDefaultIntervalMs === undefined) stationData.config.watchdogDefaultIntervalMs = 0;
+        if (stationData.config.watchdogStaleFactor === undefined) stationData.config.watchdogStaleFactor = 1.5;
+        if (stationData.config.watchdogOfflineFactor === undefined) stationData.config.watchdogOfflineFactor = 3;
+        
+        // Migration: carte de l'exploitation
+        if (stationData.config.mapTileUrl === undefined) stationData.config.mapTileUrl = MAP_DEFAULT_TILE_URL;
+        if (stationData.config.mapTileCacheEnabled === undefined) stationData.config.mapTileCacheEnabled = true;
+        if (stationData.config.mapOrthophoto === undefined) stationData.config.mapOrthophoto = null;
+        stationData.commandQueue.forEach(command => {
+            if (command.transport === undefined) command.transport = 'mqtt';
+            if (command.modbus === undefined) command.modbus = null;
+        });
+        const queuedCommands = stationData.commandQueue.filter(command => command.status === 'queued').length;
+        if (queuedCommands > 0) console.log(`📥 ${queuedCommands} commande(s) en attente du broker`);
+        
+        // Migration: configuration batterie des dispositifs LoRaWAN suivis
+        Object.values(stationData.devices).forEach(device => {
+            if (device.battery === undefined) device.battery = { ...DEFAULT_BATTERY_CONFIG };
         });
         
         // Migration: ajouter les nouvelles propriétés aux réservoirs existants
@@ -1394,26 +9672,47 @@ async function loadDataFromFile() {
             if (reservoir.isJsonPayloadLevel === undefined) reservoir.isJsonPayloadLevel = false;
             if (reservoir.jsonPathLevel === undefined) reservoir.jsonPathLevel = '';
             if (reservoir.jsonFormatLevel === undefined) reservoir.jsonFormatLevel = 'chirpstack_receive';
+            if (reservoir.byteExtractionLevel === undefined) reservoir.byteExtractionLevel = null;
+            if (reservoir.byteExtractionLevel && typeof reservoir.byteExtractionLevel.signed === 'string') {
+                reservoir.byteExtractionLevel.signed = reservoir.byteExtractionLevel.signed === 'true';
+            }
+            if (reservoir.codecLevel === undefined) reservoir.codecLevel = '';
             if (reservoir.mqttQosLevel === undefined) reservoir.mqttQosLevel = 1;
+            if (reservoir.connectionId === undefined) reservoir.connectionId = DEFAULT_CONNECTION_ID;
             
             if (reservoir.isJsonPayloadPump === undefined) reservoir.isJsonPayloadPump = false;
             if (reservoir.jsonPathPump === undefined) reservoir.jsonPathPump = '';
             if (reservoir.jsonFormatPump === undefined) reservoir.jsonFormatPump = 'chirpstack_send';
             if (reservoir.mqttQosPump === undefined) reservoir.mqttQosPump = 1;
+            if (reservoir.downlinkPump === undefined) reservoir.downlinkPump = null;
+            if (reservoir.modbusPump === undefined) reservoir.modbusPump = null;
             
             if (reservoir.isJsonPayloadFill === undefined) reservoir.isJsonPayloadFill = false;
             if (reservoir.jsonPathFill === undefined) reservoir.jsonPathFill = '';
             if (reservoir.jsonFormatFill === undefined) reservoir.jsonFormatFill = 'chirpstack_send';
             if (reservoir.mqttQosFill === undefined) reservoir.mqttQosFill = 1;
+            if (reservoir.downlinkFill === undefined) reservoir.downlinkFill = null;
+            if (reservoir.modbusFill === undefined) reservoir.modbusFill = null;
             
             if (reservoir.isJsonPayloadMode === undefined) reservoir.isJsonPayloadMode = false;
             if (reservoir.jsonPathMode === undefined) reservoir.jsonPathMode = '';
             if (reservoir.jsonFormatMode === undefined) reservoir.jsonFormatMode = 'chirpstack_send';
             if (reservoir.mqttQosMode === undefined) reservoir.mqttQosMode = 1;
+            if (reservoir.downlinkMode === undefined) reservoir.downlinkMode = null;
             if (reservoir.modeTopic === undefined) reservoir.modeTopic = '';
             
             if (reservoir.isAutoMode === undefined) reservoir.isAutoMode = true;
             if (reservoir.showReceivedTimestamp === undefined) reservoir.showReceivedTimestamp = false;
+            if (reservoir.shadow === undefined) reservoir.shadow = createReservoirShadow();
+            if (reservoir.location === undefined) reservoir.location = null;
+            if (reservoir.expectedIntervalMs === undefined) reservoir.expectedIntervalMs = null;
+            if (reservoir.silentSince === undefined) reservoir.silentSince = null;
+            if (reservoir.lastDataAt === undefined) {
+                // Dernière donnée: dernier point de l'historique de niveau
+                const history = stationData.reservoirHistory[reservoir.id] || [];
+                reservoir.lastDataAt = history.length > 0 ? history[history.length - 1].timestamp : null;
+            }
+            if (reservoir.status === undefined) reservoir.status = reservoir.lastDataAt ? 'online' : 'offline';
         });
         
         console.log('📂 Données chargées depuis le fichier');
@@ -1436,14 +9735,19 @@ async function loadDataFromFile() {
 async function startServer() {
     try {
         await loadDataFromFile();
-        connectMQTT();
+        registerBuiltinCodecs();
+        await loadCustomCodecs();
+        await startEmbeddedBroker();
+        connectAllMQTT();
+        startAllModbusPolling();
+        checkStaleEntities();
         
         server.listen(CONFIG.PORT, () => {
             console.log('🌾='.repeat(60));
             console.log('🌾 STATION AGRICOLE - CHIRPSTACK + JSON + NORMAL COMPLET');
             console.log('🌾='.repeat(60));
             console.log(`🚀 Serveur démarré sur http://localhost:${CONFIG.PORT}`);
-            console.log(`📡 MQTT Broker: ${CONFIG.MQTT_BROKER}`);
+            console.log(`📡 MQTT Broker: ${getMqttBrokerUrl()}${isEmbeddedBrokerMain() ? ' (embarqué)' : ''}`);
             console.log(`📊 Capteurs total: ${stationData.sensors.length}`);
             
             const jsonSensors = stationData.sensors.filter(s => s.isJsonPayload);
@@ -1457,6 +9761,7 @@ async function startServer() {
             }
             
             console.log(`📊 Capteurs normaux: ${normalSensors.length}`);
+            console.log(`🧩 Codecs disponibles: ${Array.from(payloadCodecs.keys()).join(', ')}`);
             
             console.log(`🫗 Réservoirs total: ${stationData.reservoirs.length}`);
             stationData.reservoirs.forEach(r => {
@@ -1476,7 +9781,8 @@ async function startServer() {
             
             console.log('🌾='.repeat(60));
             console.log('✅ Prêt à recevoir données ChirpStack, JSON et normales !');
-            console.log('📋 Format ChirpStack (Réception): applicationID, deviceName, object, etc.');
+            console.log('📋 Format ChirpStack v3 (Réception): applicationID, deviceName, object, etc.');
+            console.log('📋 Format ChirpStack v4 (Réception): deviceInfo.devEui, deviceInfo.deviceName, data (base64), object');
             console.log('📋 Format ChirpStack (Envoi): { "confirmed": true, "data": "base64", "fPort": 1 }');
             console.log('🎛️ Modes: Manuel/Automatique supportés');
         });
@@ -1493,12 +9799,25 @@ setInterval(() => {
     saveDataToFile();
 }, 30000);
 
+// Expiration des commandes en attente (sans attendre la reconnexion du broker)
+// et délais d'accusé / de confirmation des commandes publiées
+setInterval(() => {
+    expireQueuedCommands();
+    checkShadowTimeouts();
+}, 10000);
+
+// Capteurs et réservoirs silencieux (données anciennes, hors ligne)
+setInterval(checkStaleEntities, WATCHDOG_CHECK_INTERVAL_MS);
+
 process.on('SIGINT', async () => {
     console.log('\n🛑 Arrêt du serveur ChirpStack complet...');
     
-    if (mqttClient) {
-        mqttClient.end();
-    }
+    stopSimulation();
+    stopAllModbus();
+    mqttConnections.forEach(connection => {
+        if (connection.client) connection.client.end();
+    });
+    await stopEmbeddedBroker();
     
     await saveDataToFile();
     console.log('💾 Données ChirpStack complètes sauvegardées');